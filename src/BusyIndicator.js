@@ -0,0 +1,91 @@
+/**
+ * Provides a terminal busy indicator for running async commands. On a TTY an animated spinner with a label is drawn at
+ * the start of the current line and the cursor is returned to the start of the line after each frame so that any
+ * other output overwrites the spinner. Without a TTY nothing is drawn.
+ */
+export default class BusyIndicator
+{
+   /**
+    * Instantiate BusyIndicator.
+    *
+    * @param {stream.Writable}   [output=process.stdout] - The output stream.
+    * @param {number}            [interval=100] - The frame interval in milliseconds.
+    * @param {boolean}           [color=true] - When false the spinner is drawn without ANSI colors.
+    */
+   constructor(output = process.stdout, interval = 100, color = true)
+   {
+      this._output = output;
+      this._interval = interval;
+      this._color = color;
+      this._timer = void 0;
+      this._frame = 0;
+      this._label = '';
+   }
+
+   /**
+    * Clears the spinner from the current line; it is drawn again on the next frame.
+    */
+   clear()
+   {
+      if (this._timer) { this._output.write('\u001b[2K\r'); }
+   }
+
+   /**
+    * Draws the next spinner frame.
+    */
+   draw()
+   {
+      const frame = s_FRAMES[this._frame++ % s_FRAMES.length];
+
+      this._output.write(this._color ? `\u001b[2K\u001b[33m${frame} ${this._label}\u001b[0m\r` :
+       `\u001b[2K${frame} ${this._label}\r`);
+   }
+
+   /**
+    * Returns whether the spinner is running.
+    *
+    * @returns {boolean}
+    */
+   isRunning()
+   {
+      return typeof this._timer !== 'undefined';
+   }
+
+   /**
+    * Starts the spinner with the given label replacing any current label.
+    *
+    * @param {string}   label - The label drawn after the spinner.
+    */
+   start(label)
+   {
+      this._label = label;
+
+      if (this._timer || !this._output.isTTY) { return; }
+
+      this._frame = 0;
+      this._timer = setInterval(() => this.draw(), this._interval);
+
+      this.draw();
+   }
+
+   /**
+    * Stops the spinner clearing it from the current line.
+    */
+   stop()
+   {
+      if (!this._timer) { return; }
+
+      this.clear();
+
+      clearInterval(this._timer);
+
+      this._timer = void 0;
+   }
+}
+
+/**
+ * The spinner animation frames.
+ * @type {string[]}
+ * @ignore
+ */
+const s_FRAMES = ['|', '/', '-', '\\'];
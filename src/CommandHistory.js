@@ -0,0 +1,86 @@
+import fs   from 'fs';
+
+/**
+ * Persists terminal command lines across sessions in a plain text file with one command line per line; oldest first.
+ * Empty lines and consecutive duplicates are not recorded and only the most recent `size` lines are retained.
+ */
+export default class CommandHistory
+{
+   /**
+    * Instantiate CommandHistory.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    * @param {string}   filePath - The history file path.
+    * @param {number}   [size=500] - The maximum number of command lines retained.
+    */
+   constructor(watcherHost, filePath, size = 500)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      this._watcherHost = watcherHost;
+      this._filePath = filePath;
+      this._size = size;
+      this._lines = void 0;
+   }
+
+   /**
+    * Adds a command line and saves the history file.
+    *
+    * @param {string}   line - The entered command line.
+    */
+   add(line)
+   {
+      const lines = this.getLines();
+
+      line = line.trim();
+
+      if (line === '' || lines[lines.length - 1] === line) { return; }
+
+      lines.push(line);
+
+      if (lines.length > this._size) { lines.splice(0, lines.length - this._size); }
+
+      if (typeof this._filePath !== 'string') { return; }
+
+      try
+      {
+         fs.writeFileSync(this._filePath, `${lines.join('\n')}\n`);
+      }
+      catch (err)
+      {
+         // Disable saving after the first failure.
+         this._filePath = void 0;
+
+         this._watcherHost.logWarn(`tjsdoc-plugin-watcher - could not save command history; history not persisted: ${
+          err.message}`);
+      }
+   }
+
+   /**
+    * Returns the command lines; oldest first. The history file is loaded on first access.
+    *
+    * @returns {string[]}
+    */
+   getLines()
+   {
+      if (!Array.isArray(this._lines))
+      {
+         this._lines = [];
+
+         try
+         {
+            if (fs.existsSync(this._filePath))
+            {
+               this._lines = fs.readFileSync(this._filePath, 'utf8').split('\n').filter((line) => line.trim() !== '');
+               this._lines = this._lines.slice(Math.max(0, this._lines.length - this._size));
+            }
+         }
+         catch (err)
+         {
+            this._watcherHost.logWarn(`tjsdoc-plugin-watcher - could not load command history: ${err.message}`);
+         }
+      }
+
+      return this._lines;
+   }
+}
@@ -0,0 +1,685 @@
+/**
+ * Provides a declarative terminal command spec from which command lines are parsed, usage is generated and tab
+ * completion candidates are provided. Value types are `string` (default), `number`, `boolean` (`on` / `off` / `true` /
+ * `false`) and `enum` (one of `values`). A spec has the following optional properties:
+ *
+ * - args: An array of positional arguments `{ name, type, values, optional, defaultValue, rest, pattern, complete }`. A
+ *   `rest` argument collects all remaining tokens into an array and must be last. A `pattern` argument is a string
+ *   such as a glob or regex where a `-` prefixed token is the argument value and not a flag. `complete` returns
+ *   completion candidates and is invoked with the preceding positional tokens. An optional non-string argument is
+ *   skipped when a token does not match its type and a later argument remains; IE `history [n] [group]` accepts
+ *   `history source`.
+ *
+ * - flags: An object hash of flag name -> `{ type, values, alias, defaultValue }` given as `--name value`,
+ *   `--name=value` or `-alias value`. Boolean flags take no value and `--no-name` sets false. `--` ends flag parsing.
+ *
+ * - subcommands: An object hash of subcommand name -> spec with `description` and an optional `exec` which replaces the
+ *   command `exec` for the subcommand.
+ *
+ * Parse errors are thrown as `Error` with the message `<name> command malformed; <reason>; must be '<usage>'`.
+ */
+export default class CommandSpec
+{
+   /**
+    * Instantiate CommandSpec validating the spec.
+    *
+    * @param {string}   name - The command name; for subcommands the command and subcommand name.
+    *
+    * @param {object}   [spec] - The command spec.
+    * @property {string}   [spec.description] - The description for help.
+    * @property {object[]} [spec.args] - The positional arguments.
+    * @property {object}   [spec.flags] - The flags.
+    * @property {object}   [spec.subcommands] - The subcommands.
+    * @property {function} [spec.exec] - The subcommand exec function.
+    */
+   constructor(name, spec = {})
+   {
+      if (typeof name !== 'string') { throw new TypeError(`'name' is not a 'string'.`); }
+      if (typeof spec !== 'object') { throw new TypeError(`'spec' is not an 'object'.`); }
+
+      const args = typeof spec.args === 'undefined' ? [] : spec.args;
+      const flags = typeof spec.flags === 'undefined' ? {} : spec.flags;
+      const subcommands = typeof spec.subcommands === 'undefined' ? {} : spec.subcommands;
+
+      if (!Array.isArray(args)) { throw new TypeError(`'${name}' spec 'args' is not an 'array'.`); }
+      if (typeof flags !== 'object') { throw new TypeError(`'${name}' spec 'flags' is not an 'object'.`); }
+      if (typeof subcommands !== 'object') { throw new TypeError(`'${name}' spec 'subcommands' is not an 'object'.`); }
+
+      if (Object.keys(subcommands).length > 0 && (args.length > 0 || Object.keys(flags).length > 0))
+      {
+         throw new TypeError(`'${name}' spec may not define 'args' or 'flags' along with 'subcommands'.`);
+      }
+
+      this._name = name;
+      this._description = spec.description;
+      this._exec = spec.exec;
+      this._args = [];
+      this._flags = {};
+      this._aliases = {};
+      this._subcommands = {};
+
+      args.forEach((arg, index) =>
+      {
+         if (typeof arg !== 'object' || typeof arg.name !== 'string')
+         {
+            throw new TypeError(`'${name}' spec 'args[${index}].name' is not a 'string'.`);
+         }
+
+         CommandSpec.validateType(arg, `'${name}' spec arg '${arg.name}'`);
+
+         if (arg.rest && index !== args.length - 1)
+         {
+            throw new TypeError(`'${name}' spec arg '${arg.name}' is 'rest' but not last.`);
+         }
+
+         if (!arg.optional && index > 0 && args[index - 1].optional)
+         {
+            throw new TypeError(`'${name}' spec arg '${arg.name}' is required after an optional arg.`);
+         }
+
+         if (arg.pattern && typeof arg.type !== 'undefined' && arg.type !== 'string')
+         {
+            throw new TypeError(`'${name}' spec arg '${arg.name}' is a 'pattern' but not a 'string'.`);
+         }
+
+         if (typeof arg.complete !== 'undefined' && typeof arg.complete !== 'function')
+         {
+            throw new TypeError(`'${name}' spec arg '${arg.name}' 'complete' is not a 'function'.`);
+         }
+
+         this._args.push(arg);
+      });
+
+      for (const flagName in flags)
+      {
+         const flag = flags[flagName];
+
+         if (typeof flag !== 'object') { throw new TypeError(`'${name}' spec flag '${flagName}' is not an 'object'.`); }
+
+         CommandSpec.validateType(flag, `'${name}' spec flag '${flagName}'`);
+
+         if (typeof flag.alias === 'string') { this._aliases[flag.alias] = flagName; }
+
+         this._flags[flagName] = flag;
+      }
+
+      for (const subName in subcommands)
+      {
+         this._subcommands[subName] = new CommandSpec(`${name} ${subName}`, subcommands[subName]);
+      }
+   }
+
+   /**
+    * Returns tab completion candidates for the last token which may be partially entered.
+    *
+    * @param {string[]} tokens - The tokens following the command name.
+    *
+    * @returns {string[]}
+    */
+   complete(tokens)
+   {
+      const partial = tokens.length > 0 ? tokens[tokens.length - 1] : '';
+
+      if (Object.keys(this._subcommands).length > 0)
+      {
+         if (tokens.length <= 1) { return Object.keys(this._subcommands); }
+
+         const subcommand = this._subcommands[tokens[0]];
+
+         return subcommand ? subcommand.complete(tokens.slice(1)) : [];
+      }
+
+      if (partial.startsWith('-')) { return Object.keys(this._flags).map((flagName) => `--${flagName}`); }
+
+      const positionals = [];
+
+      // Skip flags and flag values in the preceding tokens; a flag expecting a value completes the flag value.
+      for (let cntr = 0; cntr < tokens.length - 1; cntr++)
+      {
+         const flag = this.getFlag(tokens[cntr]);
+
+         if (flag && flag.type !== 'boolean' && !tokens[cntr].includes('='))
+         {
+            if (cntr === tokens.length - 2) { return s_CANDIDATES(flag, positionals); }
+
+            cntr++;
+         }
+         else if (!flag)
+         {
+            positionals.push(tokens[cntr]);
+         }
+      }
+
+      const candidates = [];
+
+      let index = Math.min(positionals.length, this._args.length - 1);
+
+      if (index < 0 || (positionals.length >= this._args.length && !this._args[index].rest)) { return candidates; }
+
+      // Optional non-string arguments may be skipped so include the candidates of the following argument.
+      for (; index < this._args.length; index++)
+      {
+         const arg = this._args[index];
+
+         candidates.push(...s_CANDIDATES(arg, positionals));
+
+         if (!arg.optional || arg.type === 'string' || typeof arg.type === 'undefined') { break; }
+      }
+
+      return candidates;
+   }
+
+   /**
+    * Returns the flag spec for a flag token or undefined if the token is not a defined flag.
+    *
+    * @param {string}   token - A token; IE `--count`, `--count=2`, `--no-verbose` or `-c`.
+    *
+    * @returns {object}
+    */
+   getFlag(token)
+   {
+      if (typeof token !== 'string' || token.length < 2 || !token.startsWith('-')) { return void 0; }
+
+      if (!token.startsWith('--')) { return this._flags[this._aliases[token.substring(1)]]; }
+
+      const flagName = token.substring(2).split('=')[0];
+
+      if (this._flags[flagName]) { return this._flags[flagName]; }
+
+      const negated = flagName.startsWith('no-') ? this._flags[flagName.substring(3)] : void 0;
+
+      return negated && negated.type === 'boolean' ? negated : void 0;
+   }
+
+   /**
+    * Returns the command name; for subcommands the command and subcommand name.
+    *
+    * @returns {string}
+    */
+   getName()
+   {
+      return this._name;
+   }
+
+   /**
+    * Returns the generated usage; IE `resume <group> [replay|discard]`.
+    *
+    * @returns {string}
+    */
+   getUsage()
+   {
+      const subNames = Object.keys(this._subcommands);
+
+      if (subNames.length > 0) { return `${this._name} <${subNames.join('|')}>`; }
+
+      const parts = [this._name];
+
+      for (const arg of this._args)
+      {
+         const label = `${s_VALUE_LABEL(arg, arg.name)}${arg.rest ? '...' : ''}`;
+
+         parts.push(arg.optional ? `[${label}]` : `<${label}>`);
+      }
+
+      for (const flagName in this._flags)
+      {
+         const flag = this._flags[flagName];
+
+         parts.push(flag.type === 'boolean' ? `[--${flagName}]` : `[--${flagName} <${s_VALUE_LABEL(flag, 'value')}>]`);
+      }
+
+      return parts.join(' ');
+   }
+
+   /**
+    * Returns the usage and description of the command or of each subcommand for help.
+    *
+    * @returns {Array<{usage: string, description: string}>}
+    */
+   getUsages()
+   {
+      const subNames = Object.keys(this._subcommands);
+
+      if (subNames.length === 0) { return [{ usage: this.getUsage(), description: this._description }]; }
+
+      return subNames.reduce((usages, subName) => usages.concat(this._subcommands[subName].getUsages()), []);
+   }
+
+   /**
+    * Parses the tokens following the command name.
+    *
+    * @param {string[]} tokens - The tokens following the command name.
+    *
+    * @returns {{args: object, flags: object, subcommand: string, exec: function}} The parsed arguments by name, flags
+    *          by name, the subcommand name if any and the subcommand `exec` function if defined.
+    */
+   parse(tokens)
+   {
+      if (Object.keys(this._subcommands).length > 0)
+      {
+         const subcommand = this._subcommands[tokens[0]];
+
+         if (!subcommand)
+         {
+            throw s_PARSE_ERROR(this, tokens.length === 0 ? 'missing subcommand' : `unknown subcommand '${tokens[0]}'`);
+         }
+
+         const result = subcommand.parse(tokens.slice(1));
+
+         result.subcommand = typeof result.subcommand === 'string' ? `${tokens[0]} ${result.subcommand}` : tokens[0];
+
+         return result;
+      }
+
+      const args = {}, flags = {}, positionals = [];
+
+      for (const flagName in this._flags)
+      {
+         const flag = this._flags[flagName];
+
+         flags[flagName] = typeof flag.defaultValue !== 'undefined' ? flag.defaultValue :
+          flag.type === 'boolean' ? false : void 0;
+      }
+
+      let flagsEnded = false;
+
+      for (let cntr = 0; cntr < tokens.length; cntr++)
+      {
+         const token = tokens[cntr];
+
+         if (!flagsEnded && token === '--')
+         {
+            flagsEnded = true;
+            continue;
+         }
+
+         const arg = this._args[Math.min(positionals.length, this._args.length - 1)];
+
+         // Tokens starting with `-` are flags unless a negative number or the value of a pattern argument.
+         if (flagsEnded || !token.startsWith('-') || token.length < 2 || Number.isFinite(Number(token)) ||
+          (arg && arg.pattern))
+         {
+            positionals.push(token);
+            continue;
+         }
+
+         const flag = this.getFlag(token);
+
+         if (!flag) { throw s_PARSE_ERROR(this, `unknown flag '${token}'`); }
+
+         const flagName = Object.keys(this._flags).find((key) => this._flags[key] === flag);
+         const equalsIndex = token.indexOf('=');
+
+         if (flag.type === 'boolean' && equalsIndex < 0)
+         {
+            flags[flagName] = !token.startsWith('--no-') || this._flags[token.substring(2)] === flag;
+            continue;
+         }
+
+         let value;
+
+         if (equalsIndex >= 0)
+         {
+            value = token.substring(equalsIndex + 1);
+         }
+         else
+         {
+            if (cntr + 1 >= tokens.length) { throw s_PARSE_ERROR(this, `missing value for '--${flagName}'`); }
+
+            value = tokens[++cntr];
+         }
+
+         flags[flagName] = s_COERCE(this, value, flag, `'--${flagName}'`);
+      }
+
+      let position = 0;
+
+      for (let index = 0; index < this._args.length; index++)
+      {
+         const arg = this._args[index];
+
+         if (arg.rest)
+         {
+            if (position >= positionals.length && !arg.optional) { throw s_PARSE_ERROR(this, `missing <${arg.name}>`); }
+
+            args[arg.name] = positionals.slice(position).map((token) => s_COERCE(this, token, arg, `<${arg.name}>`));
+            position = positionals.length;
+            break;
+         }
+
+         if (position >= positionals.length)
+         {
+            if (!arg.optional) { throw s_PARSE_ERROR(this, `missing <${arg.name}>`); }
+
+            args[arg.name] = arg.defaultValue;
+            continue;
+         }
+
+         // Skip an optional non-string argument which does not match the token when a later argument remains.
+         if (arg.optional && index < this._args.length - 1 && !CommandSpec.isValid(s_PARSE_VALUE(positionals[position],
+          arg), arg))
+         {
+            args[arg.name] = arg.defaultValue;
+            continue;
+         }
+
+         args[arg.name] = s_COERCE(this, positionals[position++], arg, `<${arg.name}>`);
+      }
+
+      if (position < positionals.length)
+      {
+         throw s_PARSE_ERROR(this, `unexpected argument '${positionals[position]}'`);
+      }
+
+      return { args, flags, subcommand: void 0, exec: this._exec };
+   }
+
+   /**
+    * Returns whether a value is valid for a value type.
+    *
+    * @param {*}        value - The value to test.
+    * @param {object}   typeSpec - The value type; `{ type, values }`.
+    *
+    * @returns {boolean}
+    */
+   static isValid(value, typeSpec)
+   {
+      switch (typeSpec.type)
+      {
+         case 'boolean':
+            return typeof value === 'boolean';
+
+         case 'enum':
+            return typeSpec.values.includes(value);
+
+         case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+
+         default:
+            return typeof value === 'string';
+      }
+   }
+
+   /**
+    * Splits a command line into `;` chained command lines. A `;` in single or double quotes or escaped by a backslash
+    * does not separate command lines; quotes and escapes are retained for `tokenize`.
+    *
+    * @param {string}   line - The command line; IE `verbose on; pause test`.
+    *
+    * @returns {string[]}
+    */
+   static split(line)
+   {
+      const segments = [];
+
+      let quote, start = 0;
+
+      for (let cntr = 0; cntr < line.length; cntr++)
+      {
+         const char = line[cntr];
+
+         if (char === '\\' && quote !== `'`)
+         {
+            cntr++;
+         }
+         else if (quote)
+         {
+            if (char === quote) { quote = void 0; }
+         }
+         else if (char === '"' || char === `'`)
+         {
+            quote = char;
+         }
+         else if (char === ';')
+         {
+            segments.push(line.substring(start, cntr));
+            start = cntr + 1;
+         }
+      }
+
+      segments.push(line.substring(start));
+
+      return segments;
+   }
+
+   /**
+    * Splits a command line into tokens. Whitespace separates tokens except in single or double quotes. Outside of single
+    * quotes a backslash escapes a following quote, backslash or space; other backslashes are retained so that regex
+    * patterns such as `\.spec\.js$` are not altered.
+    *
+    * @param {string}   line - The command line.
+    *
+    * @returns {string[]}
+    */
+   static tokenize(line)
+   {
+      const result = s_TOKENIZE(line);
+
+      if (result.quote) { throw new Error(`command line has an unterminated ${result.quote} quote.`); }
+
+      return result.tokens;
+   }
+
+   /**
+    * Splits a partially entered command line into tokens for tab completion. An unterminated quote is allowed and a
+    * trailing empty token is added when the line ends with whitespace.
+    *
+    * @param {string}   line - The partially entered command line.
+    *
+    * @returns {{tokens: string[], partial: string}} The tokens and the raw text of the last token.
+    */
+   static tokenizePartial(line)
+   {
+      const result = s_TOKENIZE(line);
+
+      if (result.tokens.length === 0 || result.trailingSpace)
+      {
+         result.tokens.push('');
+         result.starts.push(line.length);
+      }
+
+      return { tokens: result.tokens, partial: line.substring(result.starts[result.starts.length - 1]) };
+   }
+
+   /**
+    * Validates the value type of an argument, flag or option throwing a TypeError if invalid.
+    *
+    * @param {object}   typeSpec - The value type; `{ type, values }`.
+    * @param {string}   label - The label for error messages.
+    */
+   static validateType(typeSpec, label)
+   {
+      if (typeof typeSpec !== 'object') { throw new TypeError(`${label} is not an 'object'.`); }
+
+      if (typeof typeSpec.type !== 'undefined' && !s_TYPES.includes(typeSpec.type))
+      {
+         throw new TypeError(`${label} 'type' is not one of ${s_TYPES.join(', ')}.`);
+      }
+
+      if (typeSpec.type === 'enum' && (!Array.isArray(typeSpec.values) || typeSpec.values.length === 0 ||
+       !typeSpec.values.every((value) => typeof value === 'string')))
+      {
+         throw new TypeError(`${label} 'values' is not a non-empty 'string[]'.`);
+      }
+   }
+}
+
+/**
+ * The tokens parsed as boolean values.
+ * @type {{on: boolean, off: boolean, true: boolean, false: boolean}}
+ * @ignore
+ */
+const s_BOOLEAN_VALUES = { 'on': true, 'off': false, 'true': true, 'false': false };
+
+/**
+ * Returns the completion candidates for an argument or flag.
+ *
+ * @param {object}   spec - The argument or flag spec.
+ * @param {string[]} positionals - The preceding positional tokens.
+ *
+ * @returns {string[]}
+ * @ignore
+ */
+const s_CANDIDATES = (spec, positionals) =>
+{
+   if (typeof spec.complete === 'function')
+   {
+      const candidates = spec.complete(positionals.slice());
+
+      return Array.isArray(candidates) ? candidates : [];
+   }
+
+   switch (spec.type)
+   {
+      case 'boolean':
+         return ['on', 'off'];
+
+      case 'enum':
+         return spec.values.slice();
+
+      default:
+         return [];
+   }
+};
+
+/**
+ * Converts a token to the value type of an argument or flag throwing a parse error if invalid.
+ *
+ * @param {CommandSpec} commandSpec - The command spec.
+ * @param {string}      token - The token.
+ * @param {object}      typeSpec - The value type; `{ type, values }`.
+ * @param {string}      label - The argument or flag label for error messages.
+ *
+ * @returns {*}
+ * @ignore
+ */
+const s_COERCE = (commandSpec, token, typeSpec, label) =>
+{
+   const value = s_PARSE_VALUE(token, typeSpec);
+
+   if (!CommandSpec.isValid(value, typeSpec))
+   {
+      throw s_PARSE_ERROR(commandSpec, `${label} must be ${typeSpec.type === 'boolean' ? 'on or off' :
+       typeSpec.type === 'enum' ? `one of ${typeSpec.values.join('|')}` : 'a number'}; received '${token}'`);
+   }
+
+   return value;
+};
+
+/**
+ * The characters escaped by a backslash outside of single quotes when tokenizing.
+ * @type {string[]}
+ * @ignore
+ */
+const s_ESCAPED_CHARS = ['"', `'`, '\\', ' '];
+
+/**
+ * Creates a parse error with the usage of the command spec.
+ *
+ * @param {CommandSpec} commandSpec - The command spec.
+ * @param {string}      reason - The reason parsing failed.
+ *
+ * @returns {Error}
+ * @ignore
+ */
+const s_PARSE_ERROR = (commandSpec, reason) =>
+ new Error(`${commandSpec.getName()} command malformed; ${reason}; must be '${commandSpec.getUsage()}'`);
+
+/**
+ * Converts a token to the value type without validation; invalid numbers and booleans become `NaN` / undefined.
+ *
+ * @param {string}   token - The token.
+ * @param {object}   typeSpec - The value type; `{ type, values }`.
+ *
+ * @returns {*}
+ * @ignore
+ */
+const s_PARSE_VALUE = (token, typeSpec) =>
+{
+   switch (typeSpec.type)
+   {
+      case 'boolean':
+         return s_BOOLEAN_VALUES[token];
+
+      case 'number':
+         return token.trim() === '' ? Number.NaN : Number(token);
+
+      default:
+         return token;
+   }
+};
+
+/**
+ * Splits a command line into tokens tracking the start index of each token, any unterminated quote character and
+ * whether the line ends with unquoted whitespace.
+ *
+ * @param {string}   line - The command line.
+ *
+ * @returns {{tokens: string[], starts: number[], quote: string, trailingSpace: boolean}}
+ * @ignore
+ */
+const s_TOKENIZE = (line) =>
+{
+   const starts = [], tokens = [];
+
+   let current, quote;
+
+   for (let cntr = 0; cntr < line.length; cntr++)
+   {
+      const char = line[cntr];
+
+      if (!quote && (/\s/).test(char))
+      {
+         if (typeof current === 'string') { tokens.push(current); }
+
+         current = void 0;
+         continue;
+      }
+
+      if (typeof current !== 'string')
+      {
+         current = '';
+         starts.push(cntr);
+      }
+
+      if (char === '\\' && quote !== `'` && s_ESCAPED_CHARS.includes(line[cntr + 1]))
+      {
+         current += line[++cntr];
+      }
+      else if (quote && char === quote)
+      {
+         quote = void 0;
+      }
+      else if (!quote && (char === '"' || char === `'`))
+      {
+         quote = char;
+      }
+      else
+      {
+         current += char;
+      }
+   }
+
+   if (typeof current === 'string') { tokens.push(current); }
+
+   return { tokens, starts, quote, trailingSpace: line.length > 0 && !quote && typeof current !== 'string' };
+};
+
+/**
+ * The supported value types.
+ * @type {string[]}
+ * @ignore
+ */
+const s_TYPES = ['boolean', 'enum', 'number', 'string'];
+
+/**
+ * Returns the usage label of an argument or flag value.
+ *
+ * @param {object}   typeSpec - The value type; `{ type, values }`.
+ * @param {string}   name - The name used for string and number values.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_VALUE_LABEL = (typeSpec, name) =>
+ typeSpec.type === 'boolean' ? 'on|off' : typeSpec.type === 'enum' ? typeSpec.values.join('|') : name;
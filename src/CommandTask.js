@@ -0,0 +1,111 @@
+/**
+ * Tracks the execution of a terminal command and provides cooperative cancellation. Every command `exec` receives its
+ * task; async commands may check `isCancelled` or register `onCancel` listeners to stop work early. When cancelled the
+ * promise returned by `run` rejects immediately with an error with code `ECANCELED` even if the command promise has not
+ * settled; any later result of the command is ignored.
+ */
+export default class CommandTask
+{
+   /**
+    * Instantiate CommandTask.
+    *
+    * @param {string}   name - The command name.
+    */
+   constructor(name)
+   {
+      this._name = name;
+      this._cancelled = false;
+      this._listeners = [];
+      this._reject = void 0;
+   }
+
+   /**
+    * Cancels the task invoking all cancel listeners and rejecting the promise returned by `run`.
+    *
+    * @returns {boolean} True if the task was cancelled; false if already cancelled.
+    */
+   cancel()
+   {
+      if (this._cancelled) { return false; }
+
+      this._cancelled = true;
+
+      for (const listener of this._listeners)
+      {
+         try { listener(); }
+         catch (err) { /* nop */ }
+      }
+
+      this._listeners = [];
+
+      if (this._reject)
+      {
+         const error = new Error(`${this._name} command cancelled.`);
+
+         error.code = 'ECANCELED';
+
+         this._reject(error);
+         this._reject = void 0;
+      }
+
+      return true;
+   }
+
+   /**
+    * Returns the command name.
+    *
+    * @returns {string}
+    */
+   getName()
+   {
+      return this._name;
+   }
+
+   /**
+    * Returns whether the task has been cancelled.
+    *
+    * @returns {boolean}
+    */
+   isCancelled()
+   {
+      return this._cancelled;
+   }
+
+   /**
+    * Adds a listener invoked when the task is cancelled. If already cancelled the listener is invoked immediately.
+    *
+    * @param {function} listener - The cancel listener.
+    */
+   onCancel(listener)
+   {
+      if (typeof listener !== 'function') { throw new TypeError(`'listener' is not a 'function'.`); }
+
+      if (this._cancelled) { listener(); }
+      else { this._listeners.push(listener); }
+   }
+
+   /**
+    * Returns a promise settled with the command promise unless the task is cancelled first.
+    *
+    * @param {Promise}  promise - The promise returned by the command `exec`.
+    *
+    * @returns {Promise}
+    */
+   run(promise)
+   {
+      return new Promise((resolve, reject) =>
+      {
+         this._reject = reject;
+
+         Promise.resolve(promise).then((result) =>
+         {
+            this._reject = void 0;
+            resolve(result);
+         }, (err) =>
+         {
+            this._reject = void 0;
+            reject(err);
+         });
+      });
+   }
+}
@@ -0,0 +1,248 @@
+import chokidar   from 'chokidar';
+import fs         from 'fs';
+import nodePath   from 'path';
+
+/**
+ * Watches the active TJSDoc config file and any config files it `extends`. When any of these files change the config
+ * is reloaded and validated. A valid config is passed to the `onChange` callback and becomes the last good config
+ * while validation errors are passed to the `onError` callback leaving the last good config active.
+ *
+ * Extended configs are resolved relative to the config file which extends them and are deeply merged in order with
+ * the extending config taking precedence; nested objects such as `test` are merged while arrays are replaced.
+ */
+export default class ConfigWatcher
+{
+   /**
+    * Instantiate ConfigWatcher.
+    *
+    * @param {string}   configPath - The path of the active TJSDoc config file.
+    * @param {function} onChange - Invoked with the new and last good config after a valid config change.
+    * @param {function} onError - Invoked with an Error when the changed config is invalid.
+    */
+   constructor(configPath, onChange, onError)
+   {
+      this._configPath = configPath;
+      this._onChange = onChange;
+      this._onError = onError;
+      this._watcher = void 0;
+      this._files = [];
+
+      /**
+       * The last successfully loaded and validated config.
+       * @type {object}
+       */
+      this.lastGoodConfig = void 0;
+   }
+
+   /**
+    * Closes the chokidar watcher instance.
+    */
+   close()
+   {
+      if (this._watcher)
+      {
+         this._watcher.close();
+         this._watcher = void 0;
+      }
+   }
+
+   /**
+    * Gets the config files being watched.
+    *
+    * @returns {string[]}
+    */
+   getFiles()
+   {
+      return this._files.slice();
+   }
+
+   /**
+    * Loads the initial config and starts watching the config file and any extended configs. Returns a promise which is
+    * resolved when the watcher is ready.
+    *
+    * @returns {Promise}
+    */
+   initialize()
+   {
+      const { config, files } = this.load();
+
+      this.lastGoodConfig = config;
+      this._files = files;
+
+      this._watcher = chokidar.watch(files, { ignoreInitial: true });
+
+      return new Promise((resolve, reject) =>
+      {
+         this._watcher.on('error', (error) => reject(error));
+
+         this._watcher.on('ready', () =>
+         {
+            this._watcher.on('change', () => this.reload());
+            this._watcher.on('add', () => this.reload());
+
+            resolve(files);
+         });
+      });
+   }
+
+   /**
+    * Loads the config file resolving any extended configs.
+    *
+    * @param {string}   [configPath] - The config file to load; defaults to the active config file.
+    * @param {string[]} [files=[]] - Accumulates all config files loaded; used to detect circular `extends`.
+    *
+    * @returns {{config: object, files: string[]}}
+    */
+   load(configPath = this._configPath, files = [])
+   {
+      const resolvedPath = nodePath.resolve(configPath);
+
+      if (files.includes(resolvedPath)) { throw new Error(`circular 'extends' for config: ${configPath}`); }
+
+      files.push(resolvedPath);
+
+      let config;
+
+      try
+      {
+         config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      }
+      catch (err)
+      {
+         throw new Error(`could not load config '${configPath}': ${err.message}`);
+      }
+
+      if (typeof config !== 'object' || config === null || Array.isArray(config))
+      {
+         throw new TypeError(`config '${configPath}' is not an 'object'.`);
+      }
+
+      const extendsPaths = typeof config.extends === 'string' ? [config.extends] :
+       Array.isArray(config.extends) ? config.extends : [];
+
+      const bases = extendsPaths.map((extendsPath) =>
+       this.load(nodePath.resolve(nodePath.dirname(resolvedPath), extendsPath), files).config);
+
+      const merged = [...bases, config].reduce((target, source) => s_MERGE(target, source), {});
+
+      delete merged.extends;
+
+      return { config: merged, files };
+   }
+
+   /**
+    * Reloads and validates the config invoking `onChange` for a valid config or `onError` on failure. Newly extended
+    * config files are added to the watcher.
+    */
+   reload()
+   {
+      let result;
+
+      try
+      {
+         result = this.load();
+
+         ConfigWatcher.validate(result.config);
+      }
+      catch (err)
+      {
+         this._onError(err);
+         return;
+      }
+
+      const added = result.files.filter((file) => !this._files.includes(file));
+
+      if (added.length > 0 && this._watcher) { this._watcher.add(added); }
+
+      this._files = result.files;
+
+      const previous = this.lastGoodConfig;
+
+      this.lastGoodConfig = result.config;
+
+      this._onChange(result.config, previous);
+   }
+
+   /**
+    * Validates the entries of a TJSDoc config that are relevant to file watching.
+    *
+    * @param {object}   config - The config to validate.
+    */
+   static validate(config)
+   {
+      const validateStrings = (value, name) =>
+      {
+         if (typeof value === 'undefined') { return; }
+
+         if (typeof value === 'string') { return; }
+
+         if (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string'))
+         {
+            throw new TypeError(`'${name}' is not a 'string' or 'string[]'.`);
+         }
+      };
+
+      const validateRegexes = (value, name) =>
+      {
+         if (typeof value === 'undefined') { return; }
+
+         if (!Array.isArray(value)) { throw new TypeError(`'${name}' is not an 'array'.`); }
+
+         for (const entry of value)
+         {
+            try { new RegExp(entry); }
+            catch (err) { throw new TypeError(`'${name}' contains an invalid regex: ${entry}`); }
+         }
+      };
+
+      if (typeof config.source === 'undefined') { throw new TypeError(`'source' is missing.`); }
+
+      validateStrings(config.source, 'source');
+      validateRegexes(config.includes, 'includes');
+      validateRegexes(config.excludes, 'excludes');
+
+      if (typeof config.test !== 'undefined')
+      {
+         if (typeof config.test !== 'object' || config.test === null)
+         {
+            throw new TypeError(`'test' is not an 'object'.`);
+         }
+
+         validateStrings(config.test.source, 'test.source');
+         validateRegexes(config.test.includes, 'test.includes');
+         validateRegexes(config.test.excludes, 'test.excludes');
+      }
+   }
+}
+
+/**
+ * Returns whether the value is a plain object.
+ *
+ * @param {*}  value - The value to test.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_OBJECT = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Deeply merges the source config into the target config. Nested plain objects are merged and any other value
+ * including arrays replaces the target value.
+ *
+ * @param {object}   target - The target config.
+ * @param {object}   source - The source config taking precedence.
+ *
+ * @returns {object} The target config.
+ * @ignore
+ */
+const s_MERGE = (target, source) =>
+{
+   for (const key of Object.keys(source))
+   {
+      const value = source[key];
+
+      target[key] = s_IS_OBJECT(value) ? s_MERGE(s_IS_OBJECT(target[key]) ? target[key] : {}, value) : value;
+   }
+
+   return target;
+};
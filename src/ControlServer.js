@@ -0,0 +1,248 @@
+import crypto   from 'crypto';
+import http     from 'http';
+import url      from 'url';
+
+/**
+ * Provides a local HTTP control server for the watcher allowing control when the readline terminal is not available;
+ * IE when TJSDoc runs inside an IDE task or container. The server only binds to localhost by default and all requests
+ * require the token from plugin options either as an `Authorization: Bearer <token>` header or `token` query parameter.
+ *
+ * Endpoints:
+ * - `GET /events` - A server sent events (SSE) stream of all `tjsdoc:system:watcher:*` events as JSON.
+ * - `POST /command` - Executes a terminal command; the JSON body is `{ "command": "trigger on" }`. The response is
+ *   `{ "ok": true, "output": [] }` with the output of the executed commands or `{ "ok": false, "error": "<message>" }`.
+ */
+export default class ControlServer
+{
+   /**
+    * Instantiate ControlServer.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    *
+    * @param {object}   options - Server options.
+    * @property {string} options.token - The authentication token.
+    * @property {number} [options.port=0] - The port to listen on; 0 selects a free port.
+    * @property {string} [options.host='127.0.0.1'] - The host to bind.
+    */
+   constructor(watcherHost, { token, port = 0, host = '127.0.0.1' } = {})
+   {
+      if (typeof token !== 'string' || token.length === 0) { throw new TypeError(`'token' is not a 'string'.`); }
+
+      this._watcherHost = watcherHost;
+      this._token = token;
+      this._port = port;
+      this._host = host;
+      this._server = void 0;
+      this._clients = new Set();
+      this._eventListener = void 0;
+   }
+
+   /**
+    * Verifies the request token.
+    *
+    * @param {http.IncomingMessage} request - The request.
+    * @param {object}               query - The parsed query parameters.
+    *
+    * @returns {boolean}
+    */
+   authorize(request, query)
+   {
+      const header = request.headers.authorization;
+
+      const token = typeof header === 'string' && header.startsWith('Bearer ') ? header.substring(7) : query.token;
+
+      if (typeof token !== 'string' || token.length !== this._token.length) { return false; }
+
+      return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(this._token));
+   }
+
+   /**
+    * Closes all event streams and the HTTP server.
+    *
+    * @returns {Promise}
+    */
+   close()
+   {
+      if (this._eventListener)
+      {
+         this._watcherHost.eventbus.off('all', this._eventListener);
+         this._eventListener = void 0;
+      }
+
+      for (const response of this._clients) { response.end(); }
+
+      this._clients.clear();
+
+      if (!this._server) { return Promise.resolve(); }
+
+      const server = this._server;
+
+      this._server = void 0;
+
+      return new Promise((resolve) => server.close(() => resolve()));
+   }
+
+   /**
+    * Handles a command request executing the command line via the host Watcher; `;` chained commands and aliases are
+    * supported. The response is sent once all commands complete.
+    *
+    * @param {http.IncomingMessage} request - The request.
+    * @param {http.ServerResponse}  response - The response.
+    */
+   handleCommand(request, response)
+   {
+      let body = '';
+
+      request.on('data', (chunk) =>
+      {
+         body += chunk;
+
+         // Guard against unbounded request bodies.
+         if (body.length > 65536) { request.destroy(); }
+      });
+
+      request.on('end', () =>
+      {
+         const output = [];
+
+         let result;
+
+         try
+         {
+            const data = JSON.parse(body);
+
+            if (typeof data !== 'object' || typeof data.command !== 'string')
+            {
+               throw new TypeError(`'command' is not a 'string'.`);
+            }
+
+            // Only the output of the executed commands is captured; not concurrent terminal or request output.
+            result = this._watcherHost.executeCommands(data.command, void 0, (message) => output.push(message));
+         }
+         catch (err)
+         {
+            result = Promise.reject(err);
+         }
+
+         result.then((executed) =>
+         {
+            if (!executed) { throw new Error(`'command' is empty.`); }
+         }).then(() => this.sendJSON(response, 200, { ok: true, output }),
+          (err) => this.sendJSON(response, 400, { ok: false, error: err.message }));
+      });
+   }
+
+   /**
+    * Handles an event stream request registering the response as a server sent events client.
+    *
+    * @param {http.IncomingMessage} request - The request.
+    * @param {http.ServerResponse}  response - The response.
+    */
+   handleEvents(request, response)
+   {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache',
+       'Connection': 'keep-alive' });
+
+      response.write(': tjsdoc-plugin-watcher\n\n');
+
+      this._clients.add(response);
+
+      request.on('close', () => this._clients.delete(response));
+   }
+
+   /**
+    * Handles all requests.
+    *
+    * @param {http.IncomingMessage} request - The request.
+    * @param {http.ServerResponse}  response - The response.
+    */
+   handleRequest(request, response)
+   {
+      const parsed = url.parse(request.url, true);
+
+      if (!this.authorize(request, parsed.query))
+      {
+         this.sendJSON(response, 401, { ok: false, error: 'unauthorized' });
+         return;
+      }
+
+      if (request.method === 'GET' && parsed.pathname === '/events')
+      {
+         this.handleEvents(request, response);
+      }
+      else if (request.method === 'POST' && parsed.pathname === '/command')
+      {
+         this.handleCommand(request, response);
+      }
+      else
+      {
+         this.sendJSON(response, 404, { ok: false, error: 'not found' });
+      }
+   }
+
+   /**
+    * Starts the HTTP server and streams all `tjsdoc:system:watcher:*` events to connected clients.
+    *
+    * @returns {Promise<string>} A promise resolved with the server URL when listening.
+    */
+   initialize()
+   {
+      this._eventListener = (name, ...args) =>
+      {
+         if (typeof name !== 'string' || !name.startsWith('tjsdoc:system:watcher:')) { return; }
+
+         let data;
+
+         try { data = JSON.stringify({ event: name, data: args.length > 1 ? args : args[0] }); }
+         catch (err) { data = JSON.stringify({ event: name }); }
+
+         for (const response of this._clients) { response.write(`event: ${name}\ndata: ${data}\n\n`); }
+      };
+
+      this._watcherHost.eventbus.on('all', this._eventListener);
+
+      this._server = http.createServer((request, response) => this.handleRequest(request, response));
+
+      return new Promise((resolve, reject) =>
+      {
+         this._server.on('error', (error) => reject(error));
+
+         this._server.listen(this._port, this._host, () =>
+         {
+            const address = this._server.address();
+
+            resolve(`http://${address.address}:${address.port}`);
+         });
+      });
+   }
+
+   /**
+    * Sends a JSON response.
+    *
+    * @param {http.ServerResponse}  response - The response.
+    * @param {number}               status - The HTTP status code.
+    * @param {object}               data - The data to send.
+    */
+   sendJSON(response, status, data)
+   {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(data));
+   }
+
+   /**
+    * Sets the host Watcher moving the event stream listener to its eventbus. The server and connected event stream
+    * clients persist across regeneration where a new host Watcher may be created.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    */
+   setWatcherHost(watcherHost)
+   {
+      if (this._eventListener)
+      {
+         this._watcherHost.eventbus.off('all', this._eventListener);
+         watcherHost.eventbus.on('all', this._eventListener);
+      }
+
+      this._watcherHost = watcherHost;
+   }
+}
@@ -0,0 +1,354 @@
+import path   from 'path';
+
+/**
+ * Provides a full-screen terminal dashboard of the watcher drawn on the alternate screen buffer. The dashboard shows
+ * the trigger / verbose state and any running command, per watch group file counts, pause state and strategy, the last
+ * regeneration duration, recent warnings and errors, the most recent updates with timestamps and recent messages
+ * including command output. The bottom line is the command input line of the line mode readline instance.
+ *
+ * The dashboard listens to all `tjsdoc:system:watcher:*` events and redraws at most once per `interval`.
+ */
+export default class Dashboard
+{
+   /**
+    * Instantiate Dashboard.
+    *
+    * @param {Watcher}           watcherHost - The host Watcher instance.
+    * @param {stream.Writable}   [output=process.stdout] - The output TTY stream.
+    * @param {boolean}           [color=true] - When false the dashboard is drawn without ANSI colors.
+    * @param {number}            [interval=100] - The minimum redraw interval in milliseconds.
+    */
+   constructor(watcherHost, output = process.stdout, color = true, interval = 100)
+   {
+      this._watcherHost = watcherHost;
+      this._output = output;
+      this._color = color;
+      this._interval = interval;
+
+      this._errors = [];
+      this._messages = [];
+      this._updates = [];
+
+      this._eventListener = void 0;
+      this._readline = void 0;
+      this._renderTimer = void 0;
+      this._resizeListener = void 0;
+   }
+
+   /**
+    * Adds a log entry; warnings are listed as errors and update log entries are skipped as updates are listed from
+    * `tjsdoc:system:watcher:update`.
+    *
+    * @param {object}   entry - A log entry of `tjsdoc:system:watcher:log`.
+    */
+   addEntry(entry)
+   {
+      if (typeof entry !== 'object' || typeof entry.message !== 'string' || typeof entry.action === 'string')
+      {
+         return;
+      }
+
+      const message = entry.message.replace(/^tjsdoc-plugin-watcher - /, '');
+
+      if (entry.level === 'warn')
+      {
+         this._errors.unshift({ time: entry.timestamp, message });
+
+         if (this._errors.length > s_MAX_ERRORS) { this._errors.pop(); }
+      }
+      else
+      {
+         this._messages.push(message);
+
+         if (this._messages.length > s_MAX_MESSAGES) { this._messages.shift(); }
+      }
+   }
+
+   /**
+    * Adds an update of `tjsdoc:system:watcher:update`.
+    *
+    * @param {object}   data - The update data.
+    */
+   addUpdate(data)
+   {
+      if (typeof data !== 'object') { return; }
+
+      this._updates.unshift({ time: new Date().toISOString(), type: data.type, action: data.action,
+       path: typeof data.fromPath === 'string' ? `${data.fromPath} -> ${data.path}` : data.path });
+
+      if (this._updates.length > s_MAX_UPDATES) { this._updates.pop(); }
+   }
+
+   /**
+    * Returns the dashboard lines without the command input line; one line per terminal row except the last.
+    *
+    * @param {number}   [rows=24] - The terminal rows.
+    * @param {number}   [columns=80] - The terminal columns.
+    *
+    * @returns {string[]}
+    */
+   getLines(rows = 24, columns = 80)
+   {
+      const host = this._watcherHost;
+      const options = host.getOptions();
+      const groups = host.getWatchGroups();
+      const watching = host.getWatching({ relative: true });
+
+      const lines = [];
+
+      lines.push(`TJSDoc watcher | trigger: ${s_ON_OFF(options.trigger)} | verbose: ${s_ON_OFF(options.verbose)}${
+       host.commandTask ? ` | running: ${host.commandTask.getName()} (Ctrl-C to cancel)` : ''}`);
+
+      lines.push('');
+      lines.push(s_COLUMNS(['group', 'files', 'state', 'strategy']));
+
+      for (const name of Object.keys(watching))
+      {
+         const group = groups[name];
+
+         const state = Array.isArray(host.pausedGroups[name]) ?
+          `paused (${host.pausedGroups[name].length} queued)` : group ? 'watching' : 'inactive';
+
+         const strategy = group && typeof group.getStrategy === 'function' ? group.getStrategy() || '-' : '-';
+
+         lines.push(s_COLUMNS([name, String(s_COUNT_FILES(watching[name].files)), state, strategy]));
+      }
+
+      lines.push('');
+
+      const lastRegen = host.regenState.lastRegen;
+
+      lines.push(`last regeneration: ${lastRegen ? `${lastRegen.duration} ms at ${s_TIME(lastRegen.time)}` :
+       'none this session'}`);
+
+      lines.push('');
+
+      const errorRows = Math.min(this._errors.length, s_ERROR_ROWS);
+
+      // Rows remaining for updates and messages after the error rows, section titles and blank separator lines.
+      const free = Math.max(0, rows - 1 - lines.length - (errorRows + 1) - 4);
+      const messageRows = Math.min(this._messages.length, Math.floor(free / 2));
+      const updateRows = free - messageRows;
+
+      lines.push(errorRows > 0 ? 'errors:' : 'errors: none');
+
+      for (const entry of this._errors.slice(0, errorRows)) { lines.push(`  ${s_TIME(entry.time)} ${entry.message}`); }
+
+      lines.push('');
+      lines.push(this._updates.length > 0 ? 'recent updates:' : 'recent updates: none');
+
+      for (const update of this._updates.slice(0, updateRows))
+      {
+         lines.push(`  ${s_TIME(update.time)} ${update.type} ${update.action} ${update.path}`);
+      }
+
+      lines.push('');
+      lines.push('messages:');
+
+      if (messageRows > 0)
+      {
+         for (const message of this._messages.slice(-messageRows)) { lines.push(`  ${message}`); }
+      }
+
+      // Fill or truncate to the terminal rows leaving the last row for the command input line.
+      while (lines.length < rows - 1) { lines.push(''); }
+
+      return lines.slice(0, Math.max(0, rows - 1)).map((line) => line.length > columns ? line.substring(0, columns) :
+       line);
+   }
+
+   /**
+    * Handles a watcher event adding log entries / updates and scheduling a redraw.
+    *
+    * @param {string}   name - The event name.
+    * @param {*}        data - The event data.
+    */
+   handleEvent(name, data)
+   {
+      if (typeof name !== 'string' || !name.startsWith('tjsdoc:system:watcher:')) { return; }
+
+      switch (name)
+      {
+         case 'tjsdoc:system:watcher:log':
+            this.addEntry(data);
+            break;
+
+         case 'tjsdoc:system:watcher:update':
+            this.addUpdate(data);
+            break;
+      }
+
+      this.scheduleRender();
+   }
+
+   /**
+    * Returns whether the dashboard is shown.
+    *
+    * @returns {boolean}
+    */
+   isRunning()
+   {
+      return typeof this._eventListener === 'function';
+   }
+
+   /**
+    * Draws the dashboard and redraws the command input line.
+    */
+   render()
+   {
+      if (!this.isRunning()) { return; }
+
+      if (this._renderTimer)
+      {
+         clearTimeout(this._renderTimer);
+         this._renderTimer = void 0;
+      }
+
+      const rows = this._output.rows || 24;
+      const columns = this._output.columns || 80;
+
+      const lines = this.getLines(rows, columns);
+
+      // The title line is drawn in inverse video.
+      if (this._color && lines.length > 0) { lines[0] = `\u001b[7m${lines[0].padEnd(columns)}\u001b[0m`; }
+
+      this._output.write(`\u001b[H${lines.map((line) => `${line}\u001b[K`).join('\n')}\n\u001b[2K`);
+
+      if (this._readline) { this._readline.prompt(true); }
+   }
+
+   /**
+    * Schedules a redraw unless one is already scheduled.
+    */
+   scheduleRender()
+   {
+      if (!this.isRunning() || this._renderTimer) { return; }
+
+      this._renderTimer = setTimeout(() => this.render(), this._interval);
+   }
+
+   /**
+    * Shows the dashboard on the alternate screen buffer.
+    *
+    * @param {readline.Interface}   [rl] - The readline instance of the command input line.
+    */
+   start(rl)
+   {
+      if (this.isRunning()) { return; }
+
+      this._readline = rl;
+
+      this._eventListener = (name, data) => this.handleEvent(name, data);
+      this._resizeListener = () => this.render();
+
+      this._watcherHost.eventbus.on('all', this._eventListener);
+      this._output.on('resize', this._resizeListener);
+
+      this._output.write('\u001b[?1049h\u001b[H\u001b[2J');
+
+      this.render();
+   }
+
+   /**
+    * Hides the dashboard restoring the main screen buffer.
+    */
+   stop()
+   {
+      if (!this.isRunning()) { return; }
+
+      this._watcherHost.eventbus.off('all', this._eventListener);
+      this._output.removeListener('resize', this._resizeListener);
+
+      if (this._renderTimer) { clearTimeout(this._renderTimer); }
+
+      this._eventListener = void 0;
+      this._readline = void 0;
+      this._renderTimer = void 0;
+      this._resizeListener = void 0;
+
+      this._output.write('\u001b[?1049l');
+   }
+}
+
+/**
+ * Formats the columns of a watch group table row.
+ *
+ * @param {string[]} values - The group, files, state and strategy column values.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_COLUMNS = (values) =>
+ `  ${values[0].padEnd(12)} ${values[1].padStart(7)}  ${values[2].padEnd(24)} ${values[3]}`;
+
+/**
+ * Counts the files of the watched paths of a watch group; `{ dir: [names] }`. Entries which are watched directories
+ * themselves are not counted.
+ *
+ * @param {object}   files - The watched paths indexed by relative directory.
+ *
+ * @returns {number}
+ * @ignore
+ */
+const s_COUNT_FILES = (files) =>
+{
+   let count = 0;
+
+   for (const dir in files)
+   {
+      for (const name of files[dir])
+      {
+         if (!Array.isArray(files[path.join(dir, name)])) { count++; }
+      }
+   }
+
+   return count;
+};
+
+/**
+ * The maximum number of errors listed.
+ * @type {number}
+ * @ignore
+ */
+const s_ERROR_ROWS = 3;
+
+/**
+ * The maximum number of retained errors.
+ * @type {number}
+ * @ignore
+ */
+const s_MAX_ERRORS = 20;
+
+/**
+ * The maximum number of retained messages.
+ * @type {number}
+ * @ignore
+ */
+const s_MAX_MESSAGES = 200;
+
+/**
+ * The maximum number of retained updates.
+ * @type {number}
+ * @ignore
+ */
+const s_MAX_UPDATES = 100;
+
+/**
+ * Formats a boolean option state.
+ *
+ * @param {boolean}  value - The option state.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_ON_OFF = (value) => value ? 'on' : 'off';
+
+/**
+ * Formats an ISO timestamp as local `HH:MM:SS`.
+ *
+ * @param {string}   timestamp - The ISO timestamp.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_TIME = (timestamp) => new Date(timestamp).toTimeString().substring(0, 8);
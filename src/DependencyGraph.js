@@ -0,0 +1,241 @@
+import nodePath from 'path';
+
+/**
+ * Maintains an import graph over the watched source and test files. Relative import / export / require specifiers are
+ * parsed from each file and resolved against the file system; package imports are not tracked. The graph provides the
+ * files affected by an update:
+ *
+ * - source: all source files which directly or transitively import the file.
+ * - test: all test files which import the file or any of its affected source files.
+ *
+ * All paths are stored as absolute paths and affected lists are returned relative to the CWD.
+ */
+export default class DependencyGraph
+{
+   /**
+    * Instantiate DependencyGraph.
+    *
+    * @param {NodeWatchBackend}  backend - The watch backend providing file access.
+    */
+   constructor(backend)
+   {
+      this._backend = backend;
+      this._imports = new Map();
+      this._importedBy = new Map();
+      this._types = new Map();
+   }
+
+   /**
+    * Removes all files from the graph.
+    */
+   clear()
+   {
+      this._imports.clear();
+      this._importedBy.clear();
+      this._types.clear();
+   }
+
+   /**
+    * Returns the source and test files affected by a change to the given file.
+    *
+    * @param {string}   path - The file path.
+    *
+    * @returns {{source: string[], test: string[]}}
+    */
+   getAffected(path)
+   {
+      const start = nodePath.resolve(path);
+
+      const visited = new Set([start]);
+      const queue = [start];
+      const source = [];
+      const test = new Set();
+
+      while (queue.length > 0)
+      {
+         const current = queue.shift();
+         const importedBy = this._importedBy.get(current);
+
+         if (!importedBy) { continue; }
+
+         for (const dependent of importedBy)
+         {
+            const type = this._types.get(dependent);
+
+            if (type === 'test')
+            {
+               test.add(nodePath.relative('.', dependent));
+            }
+            else if (type === 'source' && !visited.has(dependent))
+            {
+               visited.add(dependent);
+               source.push(nodePath.relative('.', dependent));
+               queue.push(dependent);
+            }
+         }
+      }
+
+      return { source, test: [...test] };
+   }
+
+   /**
+    * Parses the given file contents returning all relative import specifiers.
+    *
+    * @param {string}   content - The file contents.
+    *
+    * @returns {string[]}
+    */
+   parseImports(content)
+   {
+      const specifiers = new Set();
+
+      let match;
+
+      s_IMPORT_REGEX.lastIndex = 0;
+
+      while ((match = s_IMPORT_REGEX.exec(content)) !== null)
+      {
+         const specifier = match[1] || match[2] || match[3];
+
+         if (specifier.startsWith('./') || specifier.startsWith('../')) { specifiers.add(specifier); }
+      }
+
+      return [...specifiers];
+   }
+
+   /**
+    * Adds all files from chokidar watched data for the given watch group type.
+    *
+    * @param {object}   watched - The result of chokidar `getWatched`; directory path -> array of entry names.
+    * @param {string}   type - The watch group type; `source` or `test`.
+    */
+   primeWatched(watched = {}, type)
+   {
+      for (const dir in watched)
+      {
+         for (const name of watched[dir])
+         {
+            const path = nodePath.resolve(dir, name);
+
+            try
+            {
+               if (this._backend.stat(path).isFile()) { this.update(path, type); }
+            }
+            catch (err) { /* nop */ }
+         }
+      }
+   }
+
+   /**
+    * Removes the given file and its imports from the graph. Files importing it retain the edge so that the file is
+    * reconnected if it is added again.
+    *
+    * @param {string}   path - The file path.
+    */
+   remove(path)
+   {
+      const key = nodePath.resolve(path);
+
+      this.setImports(key, []);
+
+      this._imports.delete(key);
+      this._types.delete(key);
+   }
+
+   /**
+    * Resolves an import specifier relative to the importing file trying common extensions and index files.
+    *
+    * @param {string}   from - The absolute path of the importing file.
+    * @param {string}   specifier - The relative import specifier.
+    *
+    * @returns {string} The resolved absolute path; unresolved specifiers are returned as the joined path.
+    */
+   resolve(from, specifier)
+   {
+      const base = nodePath.resolve(nodePath.dirname(from), specifier);
+
+      const candidates = [base, ...s_EXTENSIONS.map((ext) => `${base}${ext}`),
+       ...s_EXTENSIONS.map((ext) => nodePath.join(base, `index${ext}`))];
+
+      for (const candidate of candidates)
+      {
+         try
+         {
+            if (this._backend.stat(candidate).isFile()) { return candidate; }
+         }
+         catch (err) { /* nop */ }
+      }
+
+      return base;
+   }
+
+   /**
+    * Sets the imports of a file updating the reverse lookup.
+    *
+    * @param {string}   key - The absolute file path.
+    * @param {string[]} imports - The resolved absolute import paths.
+    */
+   setImports(key, imports)
+   {
+      const previous = this._imports.get(key) || new Set();
+
+      for (const entry of previous)
+      {
+         const importedBy = this._importedBy.get(entry);
+
+         if (importedBy)
+         {
+            importedBy.delete(key);
+
+            if (importedBy.size === 0) { this._importedBy.delete(entry); }
+         }
+      }
+
+      for (const entry of imports)
+      {
+         if (!this._importedBy.has(entry)) { this._importedBy.set(entry, new Set()); }
+
+         this._importedBy.get(entry).add(key);
+      }
+
+      this._imports.set(key, new Set(imports));
+   }
+
+   /**
+    * Parses and stores the imports of the given file.
+    *
+    * @param {string}   path - The file path.
+    * @param {string}   type - The watch group type; `source` or `test`.
+    */
+   update(path, type)
+   {
+      const key = nodePath.resolve(path);
+
+      let content;
+
+      try { content = this._backend.readFile(key, 'utf8'); }
+      catch (err) { return; }
+
+      this._types.set(key, type);
+
+      this.setImports(key, this.parseImports(content).map((specifier) => this.resolve(key, specifier)));
+   }
+}
+
+/**
+ * Extensions tried when resolving import specifiers.
+ * @type {string[]}
+ * @ignore
+ */
+const s_EXTENSIONS = ['.js', '.jsx', '.mjs', '.es6', '.ts', '.tsx'];
+
+/**
+ * Matches `import ... from 'x'`, `export ... from 'x'`, `import 'x'`, `import('x')` and `require('x')`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_IMPORT_REGEX = new RegExp([
+   `(?:import|export)\\s+(?:[\\w*{}\\s,$]+\\s+from\\s+)?['"]([^'"]+)['"]`,
+   `import\\s*\\(\\s*['"]([^'"]+)['"]\\s*\\)`,
+   `require\\s*\\(\\s*['"]([^'"]+)['"]\\s*\\)`
+].join('|'), 'g');
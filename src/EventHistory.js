@@ -0,0 +1,110 @@
+import fs   from 'fs';
+
+/**
+ * Records watcher events in a bounded ring buffer with timestamps. Each entry has the following object hash:
+ *
+ * - time: the ISO timestamp.
+ * - event: the event name without the `tjsdoc:system:watcher:` prefix; IE `update`.
+ * - group: the watch group name for update events.
+ * - data: a JSON copy of the event data excluding `options`.
+ *
+ * When a journal file path is provided each entry is also appended to the file as JSON lines.
+ */
+export default class EventHistory
+{
+   /**
+    * Instantiate EventHistory.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    * @param {number}   [size=500] - The maximum number of entries retained.
+    * @param {string}   [journalPath] - The JSONL journal file path; no journal if undefined.
+    */
+   constructor(watcherHost, size = 500, journalPath = void 0)
+   {
+      this._watcherHost = watcherHost;
+      this._size = size;
+      this._journalPath = journalPath;
+      this._entries = [];
+   }
+
+   /**
+    * Adds an entry for the given event removing the oldest entry when the buffer is full.
+    *
+    * @param {string}   event - The event name without the `tjsdoc:system:watcher:` prefix.
+    * @param {*}        [data] - The event data.
+    */
+   add(event, data = void 0)
+   {
+      let copy;
+
+      try
+      {
+         copy = typeof data === 'undefined' ? void 0 : JSON.parse(JSON.stringify(data));
+      }
+      catch (err) { /* nop */ }
+
+      if (typeof copy === 'object' && copy !== null) { delete copy.options; }
+
+      const entry = { time: new Date().toISOString(), event };
+
+      if (event === 'update' && typeof copy === 'object' && copy !== null) { entry.group = copy.type; }
+
+      if (typeof copy !== 'undefined') { entry.data = copy; }
+
+      this._entries.push(entry);
+
+      if (this._entries.length > this._size) { this._entries.shift(); }
+
+      if (typeof this._journalPath === 'string')
+      {
+         try
+         {
+            fs.appendFileSync(this._journalPath, `${JSON.stringify(entry)}\n`);
+         }
+         catch (err)
+         {
+            // Disable the journal after the first failure.
+            this._journalPath = void 0;
+
+            this._watcherHost.logWarn(`tjsdoc-plugin-watcher - could not write journal; journal disabled: ${
+             err.message}`);
+         }
+      }
+   }
+
+   /**
+    * Removes all entries.
+    */
+   clear()
+   {
+      this._entries = [];
+   }
+
+   /**
+    * Returns the most recent entries optionally filtered by watch group; oldest first.
+    *
+    * @param {object}   [options] - Optional parameters.
+    * @property {number} [options.count] - The maximum number of entries; default: all entries.
+    * @property {string} [options.group] - Only includes update entries for this watch group.
+    *
+    * @returns {object[]}
+    */
+   get({ count = void 0, group = void 0 } = {})
+   {
+      const entries = typeof group === 'string' ? this._entries.filter((entry) => entry.group === group) :
+       this._entries;
+
+      return JSON.parse(JSON.stringify(typeof count === 'number' ?
+       entries.slice(Math.max(0, entries.length - count)) : entries));
+   }
+
+   /**
+    * Returns the journal file path or undefined if the journal is disabled.
+    *
+    * @returns {string}
+    */
+   getJournalPath()
+   {
+      return this._journalPath;
+   }
+}
@@ -0,0 +1,127 @@
+import crypto   from 'crypto';
+import nodePath from 'path';
+
+/**
+ * Stores a content hash for each watched file which allows change events to be suppressed when file content has not
+ * changed; IE editors saving unchanged buffers or tools only modifying mtimes. All paths are resolved to absolute paths
+ * as chokidar may report paths relative to the CWD for events and absolute paths for watched data.
+ */
+export default class FileHashCache
+{
+   /**
+    * Instantiate FileHashCache.
+    *
+    * @param {NodeWatchBackend}  backend - The watch backend providing file access.
+    */
+   constructor(backend)
+   {
+      this._backend = backend;
+      this._hashes = new Map();
+   }
+
+   /**
+    * Removes all stored hashes.
+    */
+   clear()
+   {
+      this._hashes.clear();
+   }
+
+   /**
+    * Returns the stored hash for the given file path.
+    *
+    * @param {string}   path - The file path.
+    *
+    * @returns {string|undefined}
+    */
+   get(path)
+   {
+      return this._hashes.get(nodePath.resolve(path));
+   }
+
+   /**
+    * Computes the content hash for the given file path.
+    *
+    * @param {string}   path - The file path.
+    *
+    * @returns {string|undefined} The hash or undefined if the file can not be read.
+    */
+   hash(path)
+   {
+      try
+      {
+         return crypto.createHash('sha1').update(this._backend.readFile(path)).digest('hex');
+      }
+      catch (err) { return void 0; }
+   }
+
+   /**
+    * Returns whether the given hash is the content hash of an empty file.
+    *
+    * @param {string}   hash - A content hash.
+    *
+    * @returns {boolean}
+    */
+   static isEmptyHash(hash)
+   {
+      return hash === s_EMPTY_HASH;
+   }
+
+   /**
+    * Stores hashes for all files from chokidar watched data; directory entries are skipped.
+    *
+    * @param {object}   watched - The result of chokidar `getWatched`; directory path -> array of entry names.
+    */
+   primeWatched(watched = {})
+   {
+      for (const dir in watched)
+      {
+         for (const name of watched[dir])
+         {
+            const path = nodePath.resolve(dir, name);
+
+            try
+            {
+               if (this._backend.stat(path).isFile()) { this.update(path); }
+            }
+            catch (err) { /* nop */ }
+         }
+      }
+   }
+
+   /**
+    * Removes the stored hash for the given file path.
+    *
+    * @param {string}   path - The file path.
+    */
+   remove(path)
+   {
+      this._hashes.delete(nodePath.resolve(path));
+   }
+
+   /**
+    * Computes and stores the hash for the given file path.
+    *
+    * @param {string}   path - The file path.
+    *
+    * @returns {boolean} True if the content hash changed or could not be computed.
+    */
+   update(path)
+   {
+      const key = nodePath.resolve(path);
+      const previous = this._hashes.get(key);
+      const current = this.hash(key);
+
+      if (typeof current === 'string') { this._hashes.set(key, current); }
+      else { this._hashes.delete(key); }
+
+      return typeof current !== 'string' || current !== previous;
+   }
+}
+
+/**
+ * The content hash of an empty file.
+ * @type {string}
+ * @ignore
+ */
+const s_EMPTY_HASH = crypto.createHash('sha1').update('').digest('hex');
@@ -0,0 +1,131 @@
+import fs       from 'fs';
+import nodePath from 'path';
+
+/**
+ * Persists a manifest of all watched files between watcher sessions. Each entry is indexed by the file path relative
+ * to the CWD and stores the watch group type, mtime, size and content hash. On the next session the manifest is
+ * compared against the current watched files to detect changes which occurred while the watcher was not running.
+ */
+export default class FileManifest
+{
+   /**
+    * Instantiate FileManifest.
+    *
+    * @param {string}   filePath - The file path where the manifest is loaded / saved.
+    */
+   constructor(filePath)
+   {
+      this._filePath = filePath;
+   }
+
+   /**
+    * Collects manifest entries for all files in the given chokidar watched data indexed by watch group type.
+    *
+    * @param {object}         watchedByType - An object hash of type -> chokidar `getWatched` data.
+    *
+    * @param {FileHashCache}  fileHashCache - Provides existing content hashes; any missing hashes are computed.
+    *
+    * @param {NodeWatchBackend}  backend - The watch backend providing file stats.
+    *
+    * @returns {object} Relative file path -> { type, mtime, size, hash }.
+    */
+   collect(watchedByType, fileHashCache, backend)
+   {
+      const files = {};
+
+      for (const type in watchedByType)
+      {
+         const watched = watchedByType[type] || {};
+
+         for (const dir in watched)
+         {
+            for (const name of watched[dir])
+            {
+               const path = nodePath.resolve(dir, name);
+
+               let stats;
+
+               try { stats = backend.stat(path); }
+               catch (err) { continue; }
+
+               if (!stats.isFile()) { continue; }
+
+               files[nodePath.relative('.', path)] =
+               {
+                  type,
+                  mtime: stats.mtime.getTime(),
+                  size: stats.size,
+                  hash: fileHashCache.get(path) || fileHashCache.hash(path)
+               };
+            }
+         }
+      }
+
+      return files;
+   }
+
+   /**
+    * Compares previous and current manifest entries returning the files added, changed and unlinked. When both entries
+    * have a content hash it is used for comparison otherwise mtime and size are compared.
+    *
+    * @param {object}   previous - The previous manifest entries.
+    *
+    * @param {object}   current - The current manifest entries.
+    *
+    * @returns {{add: object[], change: object[], unlink: object[]}} The `{ type, path }` entries of the files added,
+    *          changed and unlinked.
+    */
+   diff(previous, current)
+   {
+      const result = { add: [], change: [], unlink: [] };
+
+      for (const path in current)
+      {
+         const prevEntry = previous[path];
+         const currEntry = current[path];
+
+         if (typeof prevEntry !== 'object')
+         {
+            result.add.push({ type: currEntry.type, path });
+         }
+         else if (typeof prevEntry.hash === 'string' && typeof currEntry.hash === 'string' ?
+          prevEntry.hash !== currEntry.hash : prevEntry.mtime !== currEntry.mtime || prevEntry.size !== currEntry.size)
+         {
+            result.change.push({ type: currEntry.type, path });
+         }
+      }
+
+      for (const path in previous)
+      {
+         if (typeof current[path] !== 'object') { result.unlink.push({ type: previous[path].type, path }); }
+      }
+
+      return result;
+   }
+
+   /**
+    * Loads the manifest entries from the manifest file.
+    *
+    * @returns {object|undefined} The manifest entries or undefined if no valid manifest exists.
+    */
+   load()
+   {
+      try
+      {
+         const manifest = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+
+         return typeof manifest === 'object' && typeof manifest.files === 'object' ? manifest.files : void 0;
+      }
+      catch (err) { return void 0; }
+   }
+
+   /**
+    * Saves the manifest entries to the manifest file.
+    *
+    * @param {object}   files - The manifest entries to save.
+    */
+   save(files)
+   {
+      fs.writeFileSync(this._filePath, JSON.stringify({ savedAt: Date.now(), files }, null, 2));
+   }
+}
@@ -0,0 +1,78 @@
+import fs   from 'fs';
+
+/**
+ * Records runtime glob edits made to watch groups; globs watched, globs unwatched and ignore patterns added. When a
+ * file path is provided the edits are loaded from and saved to this file so that they are applied on the next run.
+ */
+export default class GlobEdits
+{
+   /**
+    * Instantiate GlobEdits loading any persisted edits.
+    *
+    * @param {string}   [filePath] - The file path where edits are persisted; no persistence if undefined.
+    */
+   constructor(filePath = void 0)
+   {
+      this._filePath = filePath;
+      this._groups = {};
+
+      if (typeof filePath === 'string' && fs.existsSync(filePath))
+      {
+         try
+         {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            if (typeof data === 'object' && typeof data.groups === 'object') { this._groups = data.groups; }
+         }
+         catch (err) { /* nop */ }
+      }
+   }
+
+   /**
+    * Returns the edits for all groups.
+    *
+    * @returns {object} Group name -> { watch: string[], unwatch: string[], ignore: string[] }.
+    */
+   getGroups()
+   {
+      return JSON.parse(JSON.stringify(this._groups));
+   }
+
+   /**
+    * Records an edit and saves all edits if persistence is enabled. Watching a glob which was previously unwatched
+    * removes the unwatch entry and vice versa.
+    *
+    * @param {string}   group - The watch group name.
+    * @param {string}   action - The edit action; one of `watch`, `unwatch` or `ignore`.
+    * @param {string}   value - The glob or ignore pattern.
+    */
+   record(group, action, value)
+   {
+      if (typeof this._groups[group] !== 'object') { this._groups[group] = { watch: [], unwatch: [], ignore: [] }; }
+
+      const edits = this._groups[group];
+
+      const opposite = action === 'watch' ? 'unwatch' : action === 'unwatch' ? 'watch' : void 0;
+
+      if (opposite && edits[opposite].includes(value))
+      {
+         edits[opposite].splice(edits[opposite].indexOf(value), 1);
+      }
+      else if (!edits[action].includes(value))
+      {
+         edits[action].push(value);
+      }
+
+      this.save();
+   }
+
+   /**
+    * Saves all edits to the persistence file if defined.
+    */
+   save()
+   {
+      if (typeof this._filePath !== 'string') { return; }
+
+      fs.writeFileSync(this._filePath, JSON.stringify({ groups: this._groups }, null, 2));
+   }
+}
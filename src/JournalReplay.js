@@ -0,0 +1,139 @@
+import fs   from 'fs';
+
+/**
+ * Replays the `update` entries of a recorded JSONL journal through the host Watcher `emitUpdate` without touching the
+ * file system. Lines may either be journal entries written by EventHistory (`{ time, event: 'update', data }`) or
+ * plain update data (`{ action, type, path }`). Entries are replayed at the recorded timing divided by `speed`; a speed
+ * of 0 replays all entries immediately. Replayed updates include `journal: true` and the current options.
+ */
+export default class JournalReplay
+{
+   /**
+    * Instantiate JournalReplay.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    * @param {string}   filePath - The JSONL journal file path.
+    * @param {number}   [speed=1] - The replay speed multiplier; 0 replays immediately.
+    */
+   constructor(watcherHost, filePath, speed = 1)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof speed !== 'number' || speed < 0) { throw new TypeError(`'speed' is not a positive 'number'.`); }
+
+      this._watcherHost = watcherHost;
+      this._filePath = filePath;
+      this._speed = speed;
+      this._timeouts = [];
+      this._reject = void 0;
+   }
+
+   /**
+    * Loads the update entries from the journal file.
+    *
+    * @returns {Array<{delay: number, data: object}>} The updates with the delay in ms relative to the first entry.
+    */
+   load()
+   {
+      const entries = [];
+
+      let startTime;
+
+      for (const line of fs.readFileSync(this._filePath, 'utf8').split('\n'))
+      {
+         if (line.trim() === '') { continue; }
+
+         let entry;
+
+         try { entry = JSON.parse(line); }
+         catch (err) { throw new Error(`invalid journal line: ${line}`); }
+
+         const isJournal = typeof entry.event === 'string';
+
+         if (isJournal && entry.event !== 'update') { continue; }
+
+         const data = isJournal ? entry.data : entry;
+
+         if (typeof data !== 'object' || typeof data.action !== 'string' || typeof data.path !== 'string') { continue; }
+
+         const time = isJournal ? Date.parse(entry.time) : Number.NaN;
+
+         if (Number.isNaN(time))
+         {
+            entries.push({ delay: 0, data });
+         }
+         else
+         {
+            if (typeof startTime === 'undefined') { startTime = time; }
+
+            entries.push({ delay: Math.max(0, time - startTime), data });
+         }
+      }
+
+      return entries;
+   }
+
+   /**
+    * Loads the journal and replays all updates.
+    *
+    * @returns {Promise<number>} A promise resolved with the count of replayed updates when complete or rejected if
+    *                            stopped.
+    */
+   start()
+   {
+      const entries = this.load();
+
+      return new Promise((resolve, reject) =>
+      {
+         this._reject = reject;
+
+         let remaining = entries.length;
+
+         if (remaining === 0)
+         {
+            resolve(0);
+            return;
+         }
+
+         for (const entry of entries)
+         {
+            const delay = this._speed === 0 ? 0 : entry.delay / this._speed;
+
+            this._timeouts.push(setTimeout(() =>
+            {
+               const data = Object.assign({}, entry.data, { journal: true, options: this._watcherHost.getOptions() });
+
+               this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - replayed ${data.type} ${data.action}: ${
+                data.path}`, { group: data.type, action: data.action, path: data.path, journal: true });
+
+               this._watcherHost.emitUpdate(data);
+
+               if (--remaining === 0)
+               {
+                  this._timeouts = [];
+                  this._reject = void 0;
+                  resolve(entries.length);
+               }
+            }, delay));
+         }
+      });
+   }
+
+   /**
+    * Stops any pending replay rejecting the promise returned by `start`.
+    */
+   stop()
+   {
+      for (const timeout of this._timeouts) { clearTimeout(timeout); }
+
+      this._timeouts = [];
+
+      if (this._reject)
+      {
+         const reject = this._reject;
+
+         this._reject = void 0;
+
+         reject(new Error('journal replay stopped'));
+      }
+   }
+}
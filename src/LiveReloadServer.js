@@ -0,0 +1,257 @@
+import chokidar   from 'chokidar';
+import fs         from 'fs';
+import http       from 'http';
+import nodePath   from 'path';
+import url        from 'url';
+
+/**
+ * Provides a local static server for the TJSDoc documentation destination with live-reload. A small client script is
+ * injected into all served HTML files which connects to a server sent events endpoint. The destination directory is
+ * watched and once file writes settle a `reload` message is pushed to all clients or a `css` message when only CSS
+ * files changed which refreshes stylesheets without a full page reload. A reload may also be pushed explicitly via
+ * `reload`.
+ *
+ * Everything runs locally; no external services or scripts are used.
+ */
+export default class LiveReloadServer
+{
+   /**
+    * Instantiate LiveReloadServer.
+    *
+    * @param {object}   options - Server options.
+    * @property {string} options.destination - The documentation destination directory to serve.
+    * @property {number} [options.port=9320] - The port to listen on; 0 selects a free port.
+    * @property {string} [options.host='127.0.0.1'] - The host to bind.
+    * @property {number} [options.delay=250] - The settle window in milliseconds after destination writes.
+    * @property {function} [options.onReload] - Invoked with the reload type when a reload is pushed.
+    */
+   constructor({ destination, port = 9320, host = '127.0.0.1', delay = 250, onReload = void 0 } = {})
+   {
+      if (typeof destination !== 'string') { throw new TypeError(`'destination' is not a 'string'.`); }
+
+      this._destination = nodePath.resolve(destination);
+      this._port = port;
+      this._host = host;
+      this._delay = delay;
+      this._onReload = onReload;
+      this._clients = new Set();
+      this._server = void 0;
+      this._watcher = void 0;
+      this._timeout = void 0;
+      this._changed = new Set();
+   }
+
+   /**
+    * Closes the destination watcher, all client connections and the HTTP server.
+    *
+    * @returns {Promise}
+    */
+   close()
+   {
+      if (this._timeout) { clearTimeout(this._timeout); }
+
+      this._timeout = void 0;
+
+      if (this._watcher)
+      {
+         this._watcher.close();
+         this._watcher = void 0;
+      }
+
+      for (const response of this._clients) { response.end(); }
+
+      this._clients.clear();
+
+      if (!this._server) { return Promise.resolve(); }
+
+      const server = this._server;
+
+      this._server = void 0;
+
+      return new Promise((resolve) => server.close(() => resolve()));
+   }
+
+   /**
+    * Records a changed destination file and restarts the settle timer.
+    *
+    * @param {string}   path - The changed file path.
+    */
+   destinationChanged(path)
+   {
+      this._changed.add(path);
+
+      if (this._timeout) { clearTimeout(this._timeout); }
+
+      this._timeout = setTimeout(() =>
+      {
+         const changed = [...this._changed];
+
+         this._changed.clear();
+         this._timeout = void 0;
+
+         this.reload(changed.every((file) => nodePath.extname(file) === '.css') ? 'css' : 'reload');
+      }, this._delay);
+   }
+
+   /**
+    * Handles all requests serving the live-reload endpoints or static files from the destination.
+    *
+    * @param {http.IncomingMessage} request - The request.
+    * @param {http.ServerResponse}  response - The response.
+    */
+   handleRequest(request, response)
+   {
+      let pathname;
+
+      try
+      {
+         pathname = decodeURIComponent(url.parse(request.url).pathname);
+      }
+      catch (err)
+      {
+         // Malformed percent encoding.
+         response.writeHead(400, { 'Content-Type': 'text/plain' });
+         response.end('bad request');
+         return;
+      }
+
+      if (pathname === '/__livereload')
+      {
+         response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive' });
+
+         response.write(': tjsdoc-plugin-watcher\n\n');
+
+         this._clients.add(response);
+
+         request.on('close', () => this._clients.delete(response));
+
+         return;
+      }
+
+      if (pathname === '/__livereload.js')
+      {
+         response.writeHead(200, { 'Content-Type': 'application/javascript' });
+         response.end(s_CLIENT_SCRIPT);
+         return;
+      }
+
+      let filePath = nodePath.resolve(this._destination, `.${pathname}`);
+
+      // Prevent access outside of the destination.
+      if (filePath !== this._destination && !filePath.startsWith(`${this._destination}${nodePath.sep}`))
+      {
+         response.writeHead(403);
+         response.end();
+         return;
+      }
+
+      try
+      {
+         if (fs.statSync(filePath).isDirectory()) { filePath = nodePath.join(filePath, 'index.html'); }
+
+         let content = fs.readFileSync(filePath);
+
+         const ext = nodePath.extname(filePath);
+
+         if (ext === '.html')
+         {
+            const html = content.toString();
+            const script = '<script src="/__livereload.js"></script>';
+
+            content = html.includes('</body>') ? html.replace('</body>', `${script}</body>`) : `${html}${script}`;
+         }
+
+         response.writeHead(200, { 'Content-Type': s_MIME_TYPES[ext] || 'application/octet-stream' });
+         response.end(content);
+      }
+      catch (err)
+      {
+         response.writeHead(404, { 'Content-Type': 'text/plain' });
+         response.end('not found');
+      }
+   }
+
+   /**
+    * Starts the HTTP server and watching the destination directory.
+    *
+    * @returns {Promise<string>} A promise resolved with the server URL when listening.
+    */
+   initialize()
+   {
+      this._watcher = chokidar.watch(this._destination, { ignoreInitial: true });
+
+      this._watcher.on('add', (path) => this.destinationChanged(path));
+      this._watcher.on('change', (path) => this.destinationChanged(path));
+
+      this._server = http.createServer((request, response) => this.handleRequest(request, response));
+
+      return new Promise((resolve, reject) =>
+      {
+         this._server.on('error', (error) => reject(error));
+
+         this._server.listen(this._port, this._host, () =>
+         {
+            const address = this._server.address();
+
+            resolve(`http://${address.address}:${address.port}/`);
+         });
+      });
+   }
+
+   /**
+    * Pushes a reload message to all connected clients.
+    *
+    * @param {string}   [type='reload'] - Either `reload` for a full page reload or `css` to refresh stylesheets.
+    */
+   reload(type = 'reload')
+   {
+      for (const response of this._clients) { response.write(`event: ${type}\ndata: {}\n\n`); }
+
+      if (typeof this._onReload === 'function') { this._onReload(type, this._clients.size); }
+   }
+}
+
+/**
+ * Content types for served documentation files.
+ * @type {object}
+ * @ignore
+ */
+const s_MIME_TYPES =
+{
+   '.css': 'text/css',
+   '.gif': 'image/gif',
+   '.html': 'text/html',
+   '.ico': 'image/x-icon',
+   '.jpg': 'image/jpeg',
+   '.js': 'application/javascript',
+   '.json': 'application/json',
+   '.png': 'image/png',
+   '.svg': 'image/svg+xml',
+   '.woff': 'font/woff',
+   '.woff2': 'font/woff2'
+};
+
+/**
+ * The live-reload client script injected into served HTML files.
+ * @type {string}
+ * @ignore
+ */
+const s_CLIENT_SCRIPT = `(function()
+{
+   var source = new EventSource('/__livereload');
+
+   source.addEventListener('reload', function() { window.location.reload(); });
+
+   source.addEventListener('css', function()
+   {
+      var links = document.querySelectorAll('link[rel="stylesheet"]');
+
+      for (var i = 0; i < links.length; i++)
+      {
+         var href = links[i].href.replace(/[?&]livereload=\\d+/, '');
+         links[i].href = href + (href.indexOf('?') >= 0 ? '&' : '?') + 'livereload=' + Date.now();
+      }
+   });
+})();
+`;
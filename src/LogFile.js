@@ -0,0 +1,84 @@
+import fs   from 'fs';
+
+/**
+ * Appends lines to a log file rotating it once a write would exceed `maxSize` bytes. On rotation `watcher.log` is
+ * renamed to `watcher.log.1`, any `watcher.log.1` to `watcher.log.2` and so on retaining at most `maxFiles` rotated
+ * files.
+ */
+export default class LogFile
+{
+   /**
+    * Instantiate LogFile.
+    *
+    * @param {string}   filePath - The log file path.
+    * @param {number}   [maxSize=1048576] - The maximum size in bytes before the log file is rotated.
+    * @param {number}   [maxFiles=3] - The maximum number of rotated log files retained.
+    */
+   constructor(filePath, maxSize = 1048576, maxFiles = 3)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof maxSize !== 'number' || maxSize <= 0) { throw new TypeError(`'maxSize' is not a positive 'number'.`); }
+      if (!Number.isInteger(maxFiles) || maxFiles < 0) { throw new TypeError(`'maxFiles' is not a 'number' >= 0.`); }
+
+      this._filePath = filePath;
+      this._maxSize = maxSize;
+      this._maxFiles = maxFiles;
+      this._size = void 0;
+   }
+
+   /**
+    * Returns the log file path.
+    *
+    * @returns {string}
+    */
+   getPath()
+   {
+      return this._filePath;
+   }
+
+   /**
+    * Rotates the log file shifting any rotated files and removing the oldest beyond `maxFiles`.
+    */
+   rotate()
+   {
+      if (this._maxFiles > 0)
+      {
+         for (let index = this._maxFiles - 1; index >= 1; index--)
+         {
+            const rotated = `${this._filePath}.${index}`;
+
+            if (fs.existsSync(rotated)) { fs.renameSync(rotated, `${this._filePath}.${index + 1}`); }
+         }
+
+         if (fs.existsSync(this._filePath)) { fs.renameSync(this._filePath, `${this._filePath}.1`); }
+      }
+      else if (fs.existsSync(this._filePath))
+      {
+         fs.unlinkSync(this._filePath);
+      }
+
+      this._size = 0;
+   }
+
+   /**
+    * Appends a line to the log file rotating it first if the line would exceed `maxSize`.
+    *
+    * @param {string}   line - The line to append without a trailing new line.
+    */
+   write(line)
+   {
+      if (typeof this._size !== 'number')
+      {
+         this._size = fs.existsSync(this._filePath) ? fs.statSync(this._filePath).size : 0;
+      }
+
+      const data = `${line}\n`;
+      const size = Buffer.byteLength(data);
+
+      if (this._size > 0 && this._size + size > this._maxSize) { this.rotate(); }
+
+      fs.appendFileSync(this._filePath, data);
+
+      this._size += size;
+   }
+}
@@ -0,0 +1,148 @@
+import LogFile  from './LogFile.js';
+
+/**
+ * Formats and writes all watcher log output. Each entry has a `level`; `info`, `verbose`, `warn` or `output` for
+ * terminal command output, a `message`, an ISO `timestamp` and optional fields such as the `group`, `action` and `path`
+ * of a file update. Every entry is triggered as `tjsdoc:system:watcher:log` and written in one of the formats:
+ *
+ * - color: The TJSDoc logger timestamps info / warn messages and command output is green.
+ * - plain: Lines without ANSI escape codes; the default when the `NO_COLOR` environment variable is set.
+ * - json: One JSON object per line for IDE integrations and log collectors.
+ *
+ * Entries are also appended to an optional rotating log file as JSON lines in `json` format and plain lines otherwise.
+ * While muted, IE when the terminal dashboard is shown, entries are not written to the terminal.
+ */
+export default class LogSink
+{
+   /**
+    * Instantiate LogSink.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @property {string}   [options.format] - The format; `color`, `plain` or `json`; default: `plain` if `NO_COLOR` is
+    *                                          set otherwise `color`.
+    *
+    * @property {string}   [options.file] - A log file path.
+    *
+    * @property {number}   [options.maxSize] - The maximum log file size in bytes before rotation.
+    *
+    * @property {number}   [options.maxFiles] - The maximum number of rotated log files retained.
+    */
+   constructor(watcherHost, options = {})
+   {
+      const format = typeof options.format === 'string' ? options.format :
+       typeof process.env.NO_COLOR === 'string' && process.env.NO_COLOR !== '' ? 'plain' : 'color';
+
+      if (!s_FORMATS.includes(format)) { throw new TypeError(`'format' is not one of ${s_FORMATS.join('|')}.`); }
+
+      this._watcherHost = watcherHost;
+      this._format = format;
+      this._logFile = typeof options.file === 'string' ? new LogFile(options.file, options.maxSize, options.maxFiles) :
+       void 0;
+      this._muted = false;
+   }
+
+   /**
+    * Returns the format; `color`, `plain` or `json`.
+    *
+    * @returns {string}
+    */
+   getFormat()
+   {
+      return this._format;
+   }
+
+   /**
+    * Returns the log file path or undefined if there is no log file.
+    *
+    * @returns {string|undefined}
+    */
+   getLogFile()
+   {
+      return this._logFile ? this._logFile.getPath() : void 0;
+   }
+
+   /**
+    * Sets whether entries are written to the terminal; entries are still triggered and written to any log file.
+    *
+    * @param {boolean}  muted - True to mute terminal output.
+    */
+   setMuted(muted)
+   {
+      this._muted = muted;
+   }
+
+   /**
+    * Writes a log entry.
+    *
+    * @param {string}   level - The level; `info`, `verbose`, `warn` or `output`.
+    * @param {string}   message - The message.
+    * @param {object}   [fields] - Additional fields of the entry; IE `{ group, action, path }`.
+    */
+   write(level, message, fields = {})
+   {
+      const entry = Object.assign({ timestamp: new Date().toISOString(), level, message }, fields);
+      const eventbus = this._watcherHost.eventbus;
+
+      eventbus.trigger('tjsdoc:system:watcher:log', entry);
+
+      // Blank output lines only separate terminal output.
+      if (this._logFile && (level !== 'output' || message !== ''))
+      {
+         try
+         {
+            this._logFile.write(this._format === 'json' ? JSON.stringify(entry) : s_FORMAT_PLAIN(entry));
+         }
+         catch (err)
+         {
+            // Disable the log file after the first failure.
+            this._logFile = void 0;
+
+            eventbus.trigger('log:warn:time', `tjsdoc-plugin-watcher - could not write log file: ${err.message}`);
+         }
+      }
+
+      if (this._muted) { return; }
+
+      switch (this._format)
+      {
+         case 'json':
+            if (level !== 'output' || message !== '') { eventbus.trigger('log:info:raw', JSON.stringify(entry)); }
+            break;
+
+         case 'plain':
+            eventbus.trigger('log:info:raw', level === 'output' ? message : s_FORMAT_PLAIN(entry));
+            break;
+
+         default:
+            if (level === 'output')
+            {
+               eventbus.trigger('log:info:raw', message !== '' ? `\u001b[32m${message}\u001b[0m` : message);
+            }
+            else
+            {
+               eventbus.trigger(level === 'warn' ? 'log:warn:time' : 'log:info:time', message);
+            }
+            break;
+      }
+   }
+}
+
+/**
+ * Formats a log entry as a plain line.
+ *
+ * @param {object}   entry - The log entry.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_FORMAT_PLAIN = (entry) => `${entry.timestamp} [${entry.level}] ${entry.message}`;
+
+/**
+ * The supported formats.
+ * @type {string[]}
+ * @ignore
+ */
+const s_FORMATS = ['color', 'plain', 'json'];
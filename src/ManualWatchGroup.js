@@ -1,12 +1,13 @@
-import chokidar   from 'chokidar';
 import nodePath   from 'path';
 
+import WatchGroup from './WatchGroup.js';
+
 /**
  * Provides a wrapper around chokidar for file watching specifically for the manual files. In the watcher callbacks the
  * file path is matched with its corresponding manual section and this is added to the event callback. Initialization
  * returns a promise which is fulfilled when the watcher is ready.
  */
-export default class ManualWatchGroup
+export default class ManualWatchGroup extends WatchGroup
 {
    /**
     * Instantiate WatchGroup.
@@ -23,10 +24,7 @@ export default class ManualWatchGroup
     */
    constructor(watcherHost, manualGlobs, type, onlyChanges = false)
    {
-      this._watcherHost = watcherHost;
-      this._globs = manualGlobs.all;
-      this._type = type;
-      this._onlyChanges = onlyChanges;
+      super(watcherHost, manualGlobs.all, type, onlyChanges);
 
       // Create a reverse lookup hash for file path to manual section.
       this._reverseLookup = Object.keys(manualGlobs.sections).reduce((previous, key) =>
@@ -41,90 +39,18 @@ export default class ManualWatchGroup
    }
 
    /**
-    * Closes the chokidar watcher instance.
-    */
-   close()
-   {
-      this._watcher.close();
-      this._watcher = void 0;
-   }
-
-   /**
-    * Gets the current watched data.
-    * @returns {{}}
-    */
-   getWatched()
-   {
-      return this._watcher ? this._watcher.getWatched() : {};
-   }
-
-   /**
-    * Initializes chokidar for file watching and returns a promise which is resolved when the watcher is ready. The
-    * result is an object indexed by type with the glob and watcher data.
+    * Creates the update data for a file event adding the manual section if a reverse match is found against the file
+    * path.
     *
-    * @param {object}   [chokidarOptions={}] - Any chokidar options taken from plugin options.
-    * @param {function} [ignoreFunction=undefined] - An optional function which defines chokidar ignore functionality.
+    * @param {string}   action - The update action; IE `file:change`.
+    * @param {string}   path - The file path.
     *
-    * @returns {Promise}
+    * @returns {object}
     */
-   initialize(chokidarOptions = {}, ignoreFunction = void 0)
+   createUpdate(action, path)
    {
-      // Create watcher providing a custom ignored function if defined which uses config._includes and config._excludes
-      // for filtering files.
-      this._watcher = chokidar.watch(this._globs, Object.assign(typeof ignoreFunction === 'function' ?
-       { ignored: ignoreFunction } : {}, chokidarOptions));
-
-      return new Promise((resolve, reject) =>
-      {
-         // Add error handler to reject promise.
-         this._watcher.on('error', (error) => reject(error));
-
-         // On source watcher ready.
-         this._watcher.on('ready', () =>
-         {
-            // On source file changed.
-            this._watcher.on('change', (path) =>
-            {
-               this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} changed: ${path}`);
-
-               const section = this._reverseLookup[path] || 'unknown';
-
-               this._watcherHost.triggerEvent('tjsdoc:system:watcher:update',
-                { action: 'file:change', type: this._type, path, section, options: this._watcherHost.getOptions() });
-            });
-
-            if (!this._onlyChanges)
-            {
-               // On source file added.
-               this._watcher.on('add', (path) =>
-               {
-                  this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} addition: ${path}`);
-
-                  const section = this._reverseLookup[path] || 'unknown';
-
-                  this._watcherHost.triggerEvent('tjsdoc:system:watcher:update',
-                   { action: 'file:add', type: this._type, path, section, options: this._watcherHost.getOptions() });
-               });
-
-               // On source file deleted.
-               this._watcher.on('unlink', (path) =>
-               {
-                  this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} unlinked: ${path}`);
-
-                  const section = this._reverseLookup[path] || 'unknown';
-
-                  this._watcherHost.triggerEvent('tjsdoc:system:watcher:update',
-                   { action: 'file:unlink', type: this._type, path, section, options: this._watcherHost.getOptions() });
-               });
-            }
-
-            // Set watcher start data (globs / files).
-            const watchStartData = {};
-
-            watchStartData[this._type] = { globs: this._globs, files: this._watcher.getWatched() };
+      const section = this._reverseLookup[path] || 'unknown';
 
-            resolve(watchStartData);
-         });
-      });
+      return { action, type: this._type, path, section, options: this._watcherHost.getOptions() };
    }
 }
@@ -0,0 +1,428 @@
+import anymatch      from 'anymatch';
+import EventEmitter  from 'events';
+import nodePath      from 'path';
+
+/**
+ * Provides an in-memory virtual file system watch backend; see NodeWatchBackend for the backend interface. Files are
+ * created, changed and removed via `write`, `unlink` and `rename` which synchronously emit `add`, `change` and
+ * `unlink` events to all ready watchers whose globs match and whose `ignored` option does not ignore the path. No disk
+ * I/O occurs which allows deterministic testing of the watcher and plugins consuming watcher events.
+ *
+ * Directories are implied by the stored file paths. Event paths are relative to the CWD for files below the CWD and
+ * otherwise absolute.
+ *
+ * @example
+ * const backend = new MemoryWatchBackend({ 'src/index.js': 'export default 1;' });
+ *
+ * // Plugin options: `{ backend }`
+ * backend.write('src/index.js', 'export default 2;');   // `file:change` update for the source group.
+ */
+export default class MemoryWatchBackend
+{
+   /**
+    * Instantiate MemoryWatchBackend.
+    *
+    * @param {object}   [files={}] - Initial files; file path -> contents. No events are emitted for initial files.
+    */
+   constructor(files = {})
+   {
+      this._files = new Map();
+      this._watchers = new Set();
+
+      for (const path in files) { this._files.set(nodePath.resolve(path), s_CREATE_ENTRY(files[path])); }
+   }
+
+   /**
+    * Returns whether the path exists as a file or implied directory.
+    *
+    * @param {string}   path - The path.
+    *
+    * @returns {boolean}
+    */
+   exists(path)
+   {
+      const absPath = nodePath.resolve(path);
+
+      return this._files.has(absPath) || this.isDirectory(absPath);
+   }
+
+   /**
+    * Returns the relative paths of all files.
+    *
+    * @returns {string[]}
+    */
+   getFiles()
+   {
+      return [...this._files.keys()].map((absPath) => s_RELATIVE(absPath)).sort();
+   }
+
+   /**
+    * Returns whether any stored file is below the given absolute path.
+    *
+    * @param {string}   absPath - The absolute path.
+    *
+    * @returns {boolean}
+    */
+   isDirectory(absPath)
+   {
+      const prefix = absPath.endsWith(nodePath.sep) ? absPath : `${absPath}${nodePath.sep}`;
+
+      for (const filePath of this._files.keys())
+      {
+         if (filePath.startsWith(prefix)) { return true; }
+      }
+
+      return false;
+   }
+
+   /**
+    * Returns the stats of the path; there are no symbolic links.
+    *
+    * @param {string}   path - The path.
+    *
+    * @returns {{isFile: function, isDirectory: function, isSymbolicLink: function, mtime: Date, size: number}}
+    */
+   lstat(path)
+   {
+      return this.stat(path);
+   }
+
+   /**
+    * Notifies all watchers of a file event.
+    *
+    * @param {string}   event - The event; `add`, `change` or `unlink`.
+    * @param {string}   absPath - The absolute file path.
+    * @param {object}   stats - The file stats; for `unlink` the stats before removal.
+    */
+   notify(event, absPath, stats)
+   {
+      for (const watcher of this._watchers) { watcher.notify(event, absPath, stats); }
+   }
+
+   /**
+    * Returns the contents of a file.
+    *
+    * @param {string}   path - The file path.
+    * @param {string}   [encoding] - The encoding; a Buffer is returned if undefined.
+    *
+    * @returns {Buffer|string}
+    */
+   readFile(path, encoding = void 0)
+   {
+      const entry = this._files.get(nodePath.resolve(path));
+
+      if (!entry) { throw s_ENOENT('open', path); }
+
+      return typeof encoding === 'string' ? entry.content.toString(encoding) : Buffer.from(entry.content);
+   }
+
+   /**
+    * Removes a watcher; invoked when a watcher is closed.
+    *
+    * @param {MemoryWatcher}  watcher - The watcher.
+    */
+   removeWatcher(watcher)
+   {
+      this._watchers.delete(watcher);
+   }
+
+   /**
+    * Renames a file emitting `unlink` for the current path and `add` for the new path.
+    *
+    * @param {string}   from - The current file path.
+    * @param {string}   to - The new file path.
+    */
+   rename(from, to)
+   {
+      const content = this.readFile(from);
+
+      this.unlink(from);
+      this.write(to, content);
+   }
+
+   /**
+    * Returns the stats of the path.
+    *
+    * @param {string}   path - The path.
+    *
+    * @returns {{isFile: function, isDirectory: function, isSymbolicLink: function, mtime: Date, size: number}}
+    */
+   stat(path)
+   {
+      const absPath = nodePath.resolve(path);
+      const entry = this._files.get(absPath);
+
+      if (entry) { return s_CREATE_STATS(true, entry.mtime, entry.content.length); }
+
+      if (this.isDirectory(absPath)) { return s_CREATE_STATS(false, new Date(0), 0); }
+
+      throw s_ENOENT('stat', path);
+   }
+
+   /**
+    * Removes a file emitting `unlink`.
+    *
+    * @param {string}   path - The file path.
+    */
+   unlink(path)
+   {
+      const absPath = nodePath.resolve(path);
+
+      if (!this._files.has(absPath)) { throw s_ENOENT('unlink', path); }
+
+      const stats = this.stat(absPath);
+
+      this._files.delete(absPath);
+
+      this.notify('unlink', absPath, stats);
+   }
+
+   /**
+    * Creates a watcher for the given globs. Chokidar options other than `ignored` are not applicable.
+    *
+    * @param {string|string[]}   globs - The globs to watch.
+    * @param {object}            [options={}] - The watch options.
+    *
+    * @returns {MemoryWatcher}
+    */
+   watch(globs, options = {})
+   {
+      const watcher = new MemoryWatcher(this, globs, options);
+
+      this._watchers.add(watcher);
+
+      return watcher;
+   }
+
+   /**
+    * Writes a file emitting `add` for a new file or `change` for an existing file.
+    *
+    * @param {string}         path - The file path.
+    * @param {string|Buffer}  content - The file contents.
+    */
+   write(path, content)
+   {
+      const absPath = nodePath.resolve(path);
+      const existed = this._files.has(absPath);
+
+      this._files.set(absPath, s_CREATE_ENTRY(content));
+
+      this.notify(existed ? 'change' : 'add', absPath, this.stat(absPath));
+   }
+}
+
+/**
+ * Provides a chokidar like watcher for MemoryWatchBackend. `ready` is emitted asynchronously after creation so that
+ * listeners may be added.
+ */
+class MemoryWatcher extends EventEmitter
+{
+   /**
+    * Instantiate MemoryWatcher.
+    *
+    * @param {MemoryWatchBackend}   backend - The backend.
+    * @param {string|string[]}      globs - The globs to watch.
+    * @param {object}               options - The watch options.
+    */
+   constructor(backend, globs, options)
+   {
+      super();
+
+      this._backend = backend;
+      this._globs = [];
+      this._ignored = options.ignored;
+      this._ready = false;
+      this._closed = false;
+
+      this.add(globs);
+
+      Promise.resolve().then(() =>
+      {
+         if (this._closed) { return; }
+
+         this._ready = true;
+         this.emit('ready');
+      });
+   }
+
+   /**
+    * Adds globs to watch.
+    *
+    * @param {string|string[]}   globs - The globs to add.
+    *
+    * @returns {MemoryWatcher}
+    */
+   add(globs)
+   {
+      for (const glob of Array.isArray(globs) ? globs : [globs])
+      {
+         if (!this._globs.includes(glob)) { this._globs.push(glob); }
+      }
+
+      return this;
+   }
+
+   /**
+    * Closes the watcher.
+    */
+   close()
+   {
+      this._closed = true;
+      this._backend.removeWatcher(this);
+      this.removeAllListeners();
+   }
+
+   /**
+    * Returns the watched files; directory path -> array of file names. Like chokidar with relative globs directory
+    * paths are relative to the CWD and the CWD is an empty string.
+    *
+    * @returns {object}
+    */
+   getWatched()
+   {
+      const watched = {};
+
+      for (const path of this._backend.getFiles())
+      {
+         const absPath = nodePath.resolve(path);
+
+         if (!this.matches(absPath, this._backend.stat(absPath))) { continue; }
+
+         const dir = s_RELATIVE(nodePath.dirname(absPath));
+
+         if (!Array.isArray(watched[dir])) { watched[dir] = []; }
+
+         watched[dir].push(nodePath.basename(absPath));
+      }
+
+      return watched;
+   }
+
+   /**
+    * Returns whether the absolute file path matches the watched globs and is not ignored. A glob without glob
+    * characters matches the path itself and as a directory all files below it.
+    *
+    * @param {string}   absPath - The absolute file path.
+    * @param {object}   stats - The file stats.
+    *
+    * @returns {boolean}
+    */
+   matches(absPath, stats)
+   {
+      const patterns = this._globs.map((glob) => glob.startsWith('!') ? `!${nodePath.resolve(glob.substring(1))}` :
+       nodePath.resolve(glob));
+
+      const included = patterns.filter((glob) => !glob.startsWith('!'));
+
+      if (!anymatch(included, absPath) && !included.some((glob) => !(/[*?{}[\]]/).test(glob) &&
+       absPath.startsWith(`${glob}${nodePath.sep}`)))
+      {
+         return false;
+      }
+
+      if (anymatch(patterns.filter((glob) => glob.startsWith('!')).map((glob) => glob.substring(1)), absPath))
+      {
+         return false;
+      }
+
+      const path = s_RELATIVE(absPath);
+
+      if (typeof this._ignored === 'function') { return !this._ignored(path, stats); }
+
+      return typeof this._ignored === 'undefined' || !anymatch(this._ignored, path);
+   }
+
+   /**
+    * Emits a file event if ready and the path is watched.
+    *
+    * @param {string}   event - The event; `add`, `change` or `unlink`.
+    * @param {string}   absPath - The absolute file path.
+    * @param {object}   stats - The file stats.
+    */
+   notify(event, absPath, stats)
+   {
+      if (!this._ready || this._closed || !this.matches(absPath, stats)) { return; }
+
+      this.emit(event, s_RELATIVE(absPath), event === 'unlink' ? void 0 : stats);
+   }
+
+   /**
+    * Removes globs from watching.
+    *
+    * @param {string|string[]}   globs - The globs to remove.
+    *
+    * @returns {MemoryWatcher}
+    */
+   unwatch(globs)
+   {
+      const removed = Array.isArray(globs) ? globs : [globs];
+
+      this._globs = this._globs.filter((glob) => !removed.includes(glob));
+
+      return this;
+   }
+}
+
+/**
+ * Creates a stored file entry.
+ *
+ * @param {string|Buffer}  content - The file contents.
+ *
+ * @returns {{content: Buffer, mtime: Date}}
+ * @ignore
+ */
+const s_CREATE_ENTRY = (content) => ({ content: Buffer.from(content), mtime: new Date() });
+
+/**
+ * Creates `fs.Stats` like data.
+ *
+ * @param {boolean}  isFile - True for a file; false for a directory.
+ * @param {Date}     mtime - The modification time.
+ * @param {number}   size - The size in bytes.
+ *
+ * @returns {object}
+ * @ignore
+ */
+const s_CREATE_STATS = (isFile, mtime, size) =>
+({
+   isFile: () => isFile,
+   isDirectory: () => !isFile,
+   isSymbolicLink: () => false,
+   mtime,
+   size
+});
+
+/**
+ * Creates an ENOENT error matching Node file system errors.
+ *
+ * @param {string}   syscall - The operation.
+ * @param {string}   path - The path.
+ *
+ * @returns {Error}
+ * @ignore
+ */
+const s_ENOENT = (syscall, path) =>
+{
+   const error = new Error(`ENOENT: no such file or directory, ${syscall} '${path}'`);
+
+   error.code = 'ENOENT';
+   error.path = path;
+   error.syscall = syscall;
+
+   return error;
+};
+
+/**
+ * Returns the path relative to the CWD for paths below the CWD; otherwise the absolute path.
+ *
+ * @param {string}   absPath - The absolute path.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_RELATIVE = (absPath) =>
+{
+   const path = nodePath.relative('.', absPath);
+
+   return path.startsWith('..') ? absPath : path;
+};
@@ -0,0 +1,113 @@
+import chokidar   from 'chokidar';
+import fs         from 'fs';
+
+/**
+ * Provides the default watch backend using the Node file system and chokidar. A watch backend hides all file system
+ * access of the watcher and may be replaced via plugin option `backend`; see MemoryWatchBackend. A backend implements:
+ *
+ * - exists(path) - Returns whether the path exists.
+ * - lstat(path) / stat(path) - Returns `fs.Stats` like data with `isFile`, `isDirectory`, `mtime` and `size`; throws if
+ *   the path does not exist.
+ * - readFile(path, [encoding]) - Returns the file contents.
+ * - rename(from, to) - Renames a file.
+ * - unlink(path) - Removes a file.
+ * - watch(globs, options) - Returns a chokidar like watcher emitting `ready`, `add`, `change`, `unlink`, `unlinkDir`
+ *   and `error` with `add`, `close`, `getWatched` and `unwatch` methods.
+ * - write(path, content) - Writes a file.
+ */
+export default class NodeWatchBackend
+{
+   /**
+    * Returns whether the path exists.
+    *
+    * @param {string}   path - The path.
+    *
+    * @returns {boolean}
+    */
+   exists(path)
+   {
+      return fs.existsSync(path);
+   }
+
+   /**
+    * Returns the stats of the path without following symbolic links.
+    *
+    * @param {string}   path - The path.
+    *
+    * @returns {fs.Stats}
+    */
+   lstat(path)
+   {
+      return fs.lstatSync(path);
+   }
+
+   /**
+    * Returns the contents of a file.
+    *
+    * @param {string}   path - The file path.
+    * @param {string}   [encoding] - The encoding; a Buffer is returned if undefined.
+    *
+    * @returns {Buffer|string}
+    */
+   readFile(path, encoding = void 0)
+   {
+      return fs.readFileSync(path, encoding);
+   }
+
+   /**
+    * Renames a file.
+    *
+    * @param {string}   from - The current file path.
+    * @param {string}   to - The new file path.
+    */
+   rename(from, to)
+   {
+      fs.renameSync(from, to);
+   }
+
+   /**
+    * Returns the stats of the path.
+    *
+    * @param {string}   path - The path.
+    *
+    * @returns {fs.Stats}
+    */
+   stat(path)
+   {
+      return fs.statSync(path);
+   }
+
+   /**
+    * Removes a file.
+    *
+    * @param {string}   path - The file path.
+    */
+   unlink(path)
+   {
+      fs.unlinkSync(path);
+   }
+
+   /**
+    * Creates a chokidar watcher instance.
+    *
+    * @param {string|string[]}   globs - The globs to watch.
+    * @param {object}            [options={}] - The chokidar options.
+    *
+    * @returns {object}
+    */
+   watch(globs, options = {})
+   {
+      return chokidar.watch(globs, options);
+   }
+
+   /**
+    * Writes a file.
+    *
+    * @param {string}         path - The file path.
+    * @param {string|Buffer}  content - The file contents.
+    */
+   write(path, content)
+   {
+      fs.writeFileSync(path, content);
+   }
+}
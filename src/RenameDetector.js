@@ -0,0 +1,128 @@
+import nodePath      from 'path';
+
+import FileHashCache from './FileHashCache.js';
+
+/**
+ * Pairs `file:unlink` and `file:add` updates which occur within a short time window and have matching content hashes
+ * emitting a single `file:rename` update instead. Pairing works across watch groups; IE a file moved from source to
+ * test. The resulting update contains the add update data along with `fromPath` and `fromType` of the unlinked file.
+ * Empty files are only paired when the file name is unchanged as any two empty files have matching content.
+ *
+ * Add and unlink updates are held for the rename window before they are emitted individually when no pair is found.
+ * Updates are emitted in the order received; held updates received before a paired update are emitted before the
+ * rename.
+ */
+export default class RenameDetector
+{
+   /**
+    * Instantiate RenameDetector.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    * @param {number}   [timeWindow=100] - The time window in milliseconds to pair unlink and add updates.
+    */
+   constructor(watcherHost, timeWindow = 100)
+   {
+      this._watcherHost = watcherHost;
+      this._timeWindow = timeWindow;
+      this._pending = [];
+   }
+
+   /**
+    * Adds an add or unlink update. If a pending update of the opposite action has a matching content hash then a
+    * `file:rename` update is emitted otherwise the update is held for the rename window.
+    *
+    * @param {object}   data - The update event data.
+    *
+    * @param {string}   [hash] - The content hash of the file; without a hash the update can not be paired.
+    */
+   add(data, hash)
+   {
+      const pairAction = data.action === 'file:add' ? 'file:unlink' : 'file:add';
+
+      const index = typeof hash === 'string' ?
+       this._pending.findIndex((entry) => entry.data.action === pairAction && entry.hash === hash &&
+        entry.data.path !== data.path && (!FileHashCache.isEmptyHash(hash) ||
+         nodePath.basename(entry.data.path) === nodePath.basename(data.path))) : -1;
+
+      if (index >= 0)
+      {
+         const earlier = this._pending.splice(0, index);
+         const entry = this._pending.shift();
+
+         clearTimeout(entry.timeout);
+
+         // Emit held updates received before the paired update first so that updates stay in order.
+         for (const earlierEntry of earlier)
+         {
+            clearTimeout(earlierEntry.timeout);
+            this._watcherHost.emitUpdate(earlierEntry.data);
+         }
+
+         const addData = data.action === 'file:add' ? data : entry.data;
+         const unlinkData = data.action === 'file:add' ? entry.data : data;
+
+         const renameData = Object.assign({}, addData,
+          { action: 'file:rename', fromPath: unlinkData.path, fromType: unlinkData.type });
+
+         if (typeof unlinkData.section === 'string') { renameData.fromSection = unlinkData.section; }
+
+         // Files affected by either path are affected by the rename.
+         if (typeof unlinkData.affected === 'object' || typeof addData.affected === 'object')
+         {
+            const unlinkAffected = unlinkData.affected || { source: [], test: [] };
+            const addAffected = addData.affected || { source: [], test: [] };
+
+            renameData.affected =
+            {
+               source: [...new Set([...unlinkAffected.source, ...addAffected.source])],
+               test: [...new Set([...unlinkAffected.test, ...addAffected.test])]
+            };
+         }
+
+         this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${unlinkData.type} renamed: ${unlinkData.path} -> ${
+          addData.type}: ${addData.path}`, { group: addData.type, action: renameData.action, path: addData.path,
+           fromPath: unlinkData.path });
+
+         this._watcherHost.emitUpdate(renameData);
+
+         return;
+      }
+
+      const entry = { data, hash };
+
+      entry.timeout = setTimeout(() =>
+      {
+         const entryIndex = this._pending.indexOf(entry);
+
+         if (entryIndex >= 0)
+         {
+            this._pending.splice(entryIndex, 1);
+            this._watcherHost.emitUpdate(entry.data);
+         }
+      }, this._timeWindow);
+
+      this._pending.push(entry);
+   }
+
+   /**
+    * Discards all pending updates without emitting them.
+    */
+   clear()
+   {
+      for (const entry of this._pending) { clearTimeout(entry.timeout); }
+
+      this._pending = [];
+   }
+
+   /**
+    * Immediately emits all pending updates in the order received.
+    */
+   flush()
+   {
+      const pending = this._pending;
+
+      this.clear();
+
+      for (const entry of pending) { this._watcherHost.emitUpdate(entry.data); }
+   }
+}
@@ -0,0 +1,78 @@
+/**
+ * Coalesces individual file update events from all watch groups into a single batch event. Each update added restarts
+ * a settle timer and once no further updates arrive within the settle window `tjsdoc:system:watcher:update:batch` is
+ * triggered with the following object hash:
+ *
+ * - count: the total number of updates in the batch.
+ * - types: updates grouped by type then action; IE `{ source: { 'file:change': ['src/a.js'] } }`.
+ * - updates: the individual update data in the order received.
+ * - options: the current optional parameter state.
+ */
+export default class UpdateBatcher
+{
+   /**
+    * Instantiate UpdateBatcher.
+    *
+    * @param {Watcher}  watcherHost - The host Watcher instance.
+    * @param {number}   [delay=100] - The settle window in milliseconds.
+    */
+   constructor(watcherHost, delay = 100)
+   {
+      this._watcherHost = watcherHost;
+      this._delay = delay;
+      this._timeout = void 0;
+      this._updates = [];
+   }
+
+   /**
+    * Adds an update to the pending batch and restarts the settle timer.
+    *
+    * @param {object}   data - The update event data.
+    */
+   add(data)
+   {
+      this._updates.push(data);
+
+      if (this._timeout) { clearTimeout(this._timeout); }
+
+      this._timeout = setTimeout(() => this.flush(), this._delay);
+   }
+
+   /**
+    * Discards any pending updates without triggering the batch event.
+    */
+   clear()
+   {
+      if (this._timeout) { clearTimeout(this._timeout); }
+
+      this._timeout = void 0;
+      this._updates = [];
+   }
+
+   /**
+    * Triggers `tjsdoc:system:watcher:update:batch` for any pending updates.
+    */
+   flush()
+   {
+      const updates = this._updates;
+
+      this.clear();
+
+      if (updates.length === 0) { return; }
+
+      const types = {};
+
+      for (const update of updates)
+      {
+         if (typeof types[update.type] !== 'object') { types[update.type] = {}; }
+         if (!Array.isArray(types[update.type][update.action])) { types[update.type][update.action] = []; }
+
+         types[update.type][update.action].push(update.path);
+      }
+
+      this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - update batch: ${updates.length} update(s).`);
+
+      this._watcherHost.triggerEvent('tjsdoc:system:watcher:update:batch',
+       { count: updates.length, types, updates, options: this._watcherHost.getOptions() });
+   }
+}
@@ -1,8 +1,11 @@
-import chokidar   from 'chokidar';
+import nodePath   from 'path';
 
 /**
- * Provides a wrapper around chokidar for file watching. Initialization returns a promise which is fulfilled when
- * the watcher is ready.
+ * Provides a wrapper around chokidar for file watching via the host Watcher watch backend. Initialization returns a
+ * promise which is fulfilled when the watcher is ready. Errors after the watcher is ready and removal of a watched root
+ * directory are passed to the host Watcher `watchError` for recovery. The watch strategy for the group is provided by
+ * the host Watcher; for the `hybrid` strategy a second polling chokidar instance is created and duplicate events
+ * received from both chokidar instances are ignored.
  */
 export default class WatchGroup
 {
@@ -13,22 +16,124 @@ export default class WatchGroup
     * @param {string[]} globs - An array of globs to watch.
     * @param {string}   type - The file type being watched.
     * @param {boolean}  [onlyChanges=false] - If true only changes to files initially watched are tracked.
+    * @param {function} [decorator=undefined] - An optional function which may modify or replace the update data.
     */
-   constructor(watcherHost, globs, type, onlyChanges = false)
+   constructor(watcherHost, globs, type, onlyChanges = false, decorator = void 0)
    {
       this._watcherHost = watcherHost;
       this._globs = globs;
       this._type = type;
       this._onlyChanges = onlyChanges;
+      this._decorator = decorator;
+      this._recovering = false;
+      this._restarts = 0;
+      this._strategy = watcherHost.getStrategy(type);
+      this._backend = watcherHost.getBackend();
+      this._closed = false;
+      this._recent = new Map();
    }
 
    /**
-    * Closes the chokidar watcher instance.
+    * Closes the chokidar watcher instances.
     */
    close()
    {
-      this._watcher.close();
-      this._watcher = void 0;
+      this._closed = true;
+
+      if (this._watcher)
+      {
+         this._watcher.close();
+         this._watcher = void 0;
+      }
+
+      if (this._pollWatcher)
+      {
+         this._pollWatcher.close();
+         this._pollWatcher = void 0;
+      }
+
+      this._recent.clear();
+   }
+
+   /**
+    * Creates the update data for a file event. If a decorator function is defined it is invoked with the update data
+    * and may return replacement data.
+    *
+    * @param {string}   action - The update action; IE `file:change`.
+    * @param {string}   path - The file path.
+    *
+    * @returns {object}
+    */
+   createUpdate(action, path)
+   {
+      const data = { action, type: this._type, path, options: this._watcherHost.getOptions() };
+
+      if (typeof this._decorator === 'function')
+      {
+         const result = this._decorator(data);
+
+         if (typeof result === 'object') { return result; }
+      }
+
+      return data;
+   }
+
+   /**
+    * Gets the globs being watched.
+    *
+    * @returns {string[]}
+    */
+   getGlobs()
+   {
+      return this._globs;
+   }
+
+   /**
+    * Gets the count of recoveries performed after errors.
+    *
+    * @returns {number}
+    */
+   getRestarts()
+   {
+      return this._restarts;
+   }
+
+   /**
+    * Gets the absolute root paths of all globs; IE the leading path segments without glob characters.
+    *
+    * @returns {string[]}
+    */
+   getRoots()
+   {
+      const globs = Array.isArray(this._globs) ? this._globs : [this._globs];
+
+      return globs.map((glob) =>
+      {
+         const segments = glob.split('/');
+         const index = segments.findIndex((segment) => (/[*?{}[\]!]/).test(segment));
+
+         return nodePath.resolve(index >= 0 ? segments.slice(0, index).join('/') || '.' : glob);
+      });
+   }
+
+   /**
+    * Gets the file type being watched; IE the watch group name.
+    *
+    * @returns {string}
+    */
+   getType()
+   {
+      return this._type;
+   }
+
+   /**
+    * Gets the watch strategy.
+    *
+    * @returns {WatchStrategy}
+    */
+   getStrategy()
+   {
+      return this._strategy;
    }
 
    /**
@@ -40,9 +145,54 @@ export default class WatchGroup
       return this._watcher ? this._watcher.getWatched() : {};
    }
 
+   /**
+    * Handles a file event from a chokidar watcher instance triggering the update with the host Watcher. For the
+    * `hybrid` strategy an event is ignored when the other watcher reported the same event within the dedupe window.
+    * Repeated events from the same watcher are real changes and are never ignored.
+    *
+    * @param {string}   action - The update action; IE `file:change`.
+    * @param {string}   path - The file path.
+    * @param {string}   [source='native'] - The reporting watcher; `native` or `poll`.
+    */
+   handleEvent(action, path, source = 'native')
+   {
+      // Ignore strategy probe files from other watch groups sharing a root directory.
+      if (nodePath.basename(path).startsWith('.tjsdoc-watcher-probe-')) { return; }
+
+      if (this._pollWatcher)
+      {
+         const key = `${action}:${path}`;
+         const now = Date.now();
+         const window = this._strategy.getDedupeWindow();
+
+         // Prune expired entries.
+         for (const [entry, recent] of this._recent)
+         {
+            if (now - recent.time >= window) { this._recent.delete(entry); }
+         }
+
+         const recent = this._recent.get(key);
+
+         // The duplicate of an event from the other watcher is ignored once.
+         if (recent && recent.source !== source)
+         {
+            this._recent.delete(key);
+            return;
+         }
+
+         this._recent.set(key, { source, time: now });
+      }
+
+      this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} ${s_ACTION_LABELS[action]}: ${path}`,
+       { group: this._type, action, path });
+
+      this._watcherHost.triggerUpdate(this.createUpdate(action, path));
+   }
+
    /**
     * Initializes chokidar for file watching and returns a promise which is resolved when the watcher is ready. The
-    * result is an object indexed by type with the glob and watcher data.
+    * result is an object indexed by type with the glob and watcher data. The watch strategy is resolved first which
+    * for `auto` probes whether native events arrive.
     *
     * @param {object}   [chokidarOptions={}] - Any chokidar options taken from plugin options.
     * @param {function} [ignoreFunction=undefined] - An optional function which defines chokidar ignore functionality.
@@ -51,56 +201,204 @@ export default class WatchGroup
     */
    initialize(chokidarOptions = {}, ignoreFunction = void 0)
    {
-      // Create watcher providing a custom ignored function if defined which uses config._includes and config._excludes
-      // for filtering files.
-      this._watcher = chokidar.watch(this._globs, Object.assign(typeof ignoreFunction === 'function' ?
-       { ignored: ignoreFunction } : {}, chokidarOptions));
+      // Store initialization parameters for any restart.
+      this._chokidarOptions = chokidarOptions;
+      this._ignoreFunction = ignoreFunction;
+      this._closed = false;
+
+      return this._strategy.resolve(this.getRoots(), this._backend).then((strategy) =>
+      {
+         const watchStartData = {};
+
+         watchStartData[this._type] = { globs: this._globs, files: {} };
+
+         // The watch group may be closed while the strategy is probed.
+         if (this._closed) { return watchStartData; }
+
+         // Provide a custom ignored function if defined which uses config._includes and config._excludes for filtering
+         // files.
+         const baseOptions = Object.assign(typeof ignoreFunction === 'function' ? { ignored: ignoreFunction } : {},
+          chokidarOptions);
+
+         this._watcher = this._backend.watch(this._globs, this._strategy.getChokidarOptions(baseOptions));
+
+         const promises = [this.initializeWatcher(this._watcher, 'native')];
+
+         if (strategy === 'hybrid')
+         {
+            this._pollWatcher = this._backend.watch(this._globs, this._strategy.getPollingOptions(baseOptions));
+
+            promises.push(this.initializeWatcher(this._pollWatcher, 'poll'));
+         }
+
+         return Promise.all(promises).then(() =>
+         {
+            // Set watcher start data (globs / files).
+            watchStartData[this._type].files = this.getWatched();
 
+            return watchStartData;
+         });
+      });
+   }
+
+   /**
+    * Adds event handlers to a chokidar watcher instance and returns a promise which is resolved when it is ready.
+    *
+    * @param {object}   watcher - The chokidar watcher instance.
+    * @param {string}   source - The watcher source passed to `handleEvent`; `native` or `poll`.
+    *
+    * @returns {Promise}
+    */
+   initializeWatcher(watcher, source)
+   {
       return new Promise((resolve, reject) =>
       {
-         // Add error handler to reject promise.
-         this._watcher.on('error', (error) => reject(error));
+         let ready = false;
+
+         // Errors reject the promise until ready after which they are passed to the host for recovery.
+         watcher.on('error', (error) =>
+         {
+            if (ready) { this._watcherHost.watchError(this, error); }
+            else { reject(error); }
+         });
 
          // On source watcher ready.
-         this._watcher.on('ready', () =>
+         watcher.on('ready', () =>
          {
-            // On source file changed.
-            this._watcher.on('change', (path) =>
+            ready = true;
+
+            // On directory deleted check if a watched root directory was removed.
+            watcher.on('unlinkDir', (path) =>
             {
-               this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} changed: ${path}`);
+               if (this.getRoots().includes(nodePath.resolve(path)))
+               {
+                  const error = new Error(`watched root directory removed: ${path}`);
+
+                  error.code = 'ENOENT';
+                  error.path = path;
 
-               this._watcherHost.triggerEvent('tjsdoc:system:watcher:update',
-                { action: 'file:change', type: this._type, path, options: this._watcherHost.getOptions() });
+                  this._watcherHost.watchError(this, error);
+               }
             });
 
+            // On source file changed.
+            watcher.on('change', (path) => this.handleEvent('file:change', path, source));
+
             if (!this._onlyChanges)
             {
                // On source file added.
-               this._watcher.on('add', (path) =>
-               {
-                  this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} addition: ${path}`);
-
-                  this._watcherHost.triggerEvent('tjsdoc:system:watcher:update',
-                   { action: 'file:add', type: this._type, path, options: this._watcherHost.getOptions() });
-               });
+               watcher.on('add', (path) => this.handleEvent('file:add', path, source));
 
                // On source file deleted.
-               this._watcher.on('unlink', (path) =>
-               {
-                  this._watcherHost.logVerbose(`tjsdoc-plugin-watcher - ${this._type} unlinked: ${path}`);
-
-                  this._watcherHost.triggerEvent('tjsdoc:system:watcher:update',
-                   { action: 'file:unlink', type: this._type, path, options: this._watcherHost.getOptions() });
-               });
+               watcher.on('unlink', (path) => this.handleEvent('file:unlink', path, source));
             }
 
-            // Set watcher start data (globs / files).
-            const watchStartData = {};
+            resolve();
+         });
+      });
+   }
 
-            watchStartData[this._type] = { globs: this._globs, files: this._watcher.getWatched() };
+   /**
+    * Returns whether polling is used.
+    *
+    * @returns {boolean}
+    */
+   isPolling()
+   {
+      return this._strategy.getResolved() === 'polling';
+   }
 
-            resolve(watchStartData);
-         });
+   /**
+    * Returns whether the watch group is currently recovering from an error.
+    *
+    * @returns {boolean}
+    */
+   isRecovering()
+   {
+      return this._recovering;
+   }
+
+   /**
+    * Recovers from an error by restarting the chokidar watcher instance optionally falling back to polling.
+    *
+    * @param {boolean}  [usePolling=false] - If true the watcher is restarted with polling.
+    *
+    * @returns {Promise}
+    */
+   recover(usePolling = false)
+   {
+      this._recovering = true;
+      this._restarts++;
+
+      if (usePolling) { this._strategy.fallback('native watching failed'); }
+
+      return this.restart().then((result) =>
+      {
+         this._recovering = false;
+         return result;
+      }, (err) =>
+      {
+         this._recovering = false;
+         throw err;
       });
    }
+
+   /**
+    * Closes then initializes the chokidar watcher instance with the same options. This is necessary when filtering
+    * changes as chokidar does not reevaluate ignored files.
+    *
+    * @returns {Promise}
+    */
+   restart()
+   {
+      this.close();
+
+      return this.initialize(this._chokidarOptions, this._ignoreFunction);
+   }
+
+   /**
+    * Sets the globs being watched adding and removing globs from the active chokidar watcher instance.
+    *
+    * @param {string[]} globs - An array of globs to watch.
+    *
+    * @returns {Promise} A promise resolved once the chokidar watcher instances are updated or rejected on failure.
+    */
+   setGlobs(globs)
+   {
+      const previous = Array.isArray(this._globs) ? this._globs : [this._globs];
+
+      const removed = previous.filter((glob) => !globs.includes(glob));
+      const added = globs.filter((glob) => !previous.includes(glob));
+
+      this._globs = globs;
+
+      try
+      {
+         for (const watcher of [this._watcher, this._pollWatcher])
+         {
+            if (!watcher) { continue; }
+
+            if (removed.length > 0) { watcher.unwatch(removed); }
+            if (added.length > 0) { watcher.add(added); }
+         }
+      }
+      catch (err)
+      {
+         return Promise.reject(err);
+      }
+
+      return Promise.resolve();
+   }
 }
+
+/**
+ * Verbose log labels for update actions.
+ * @type {object}
+ * @ignore
+ */
+const s_ACTION_LABELS =
+{
+   'file:add': 'addition',
+   'file:change': 'changed',
+   'file:unlink': 'unlinked'
+};
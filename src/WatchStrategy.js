@@ -0,0 +1,237 @@
+import crypto     from 'crypto';
+import nodePath   from 'path';
+
+/**
+ * Defines how a watch group receives file system events:
+ *
+ * - native - Native file system events.
+ * - polling - Polls the file system every `interval` ms (`binaryInterval` for binary files).
+ * - hybrid - Native file system events with a polling watcher as a safety net for missed events.
+ * - auto - Probes whether native events arrive for the watch group root by writing a temporary file and selects
+ *   `native` if they do; otherwise `polling`.
+ *
+ * The probe runs once and the resolved strategy is retained across restarts.
+ */
+export default class WatchStrategy
+{
+   /**
+    * Instantiate WatchStrategy.
+    *
+    * @param {string|object}  [settings='native'] - A strategy name or an object with strategy settings.
+    * @property {string}      [settings.strategy='native'] - The strategy; `native`, `polling`, `hybrid` or `auto`.
+    * @property {number}      [settings.interval=100] - The polling interval in milliseconds.
+    * @property {number}      [settings.binaryInterval=300] - The polling interval in milliseconds for binary files.
+    * @property {number}      [settings.probeTimeout=1000] - The time in milliseconds `auto` waits for a native event.
+    */
+   constructor(settings = 'native')
+   {
+      const options = typeof settings === 'string' ? { strategy: settings } : settings;
+
+      if (!s_STRATEGIES.includes(options.strategy || 'native'))
+      {
+         throw new TypeError(`unknown watch strategy: ${options.strategy}`);
+      }
+
+      this._strategy = options.strategy || 'native';
+      this._interval = typeof options.interval === 'number' ? options.interval : 100;
+      this._binaryInterval = typeof options.binaryInterval === 'number' ? options.binaryInterval : 300;
+      this._probeTimeout = typeof options.probeTimeout === 'number' ? options.probeTimeout : 1000;
+      this._resolved = this._strategy === 'auto' ? void 0 : this._strategy;
+      this._reason = this._strategy === 'auto' ? void 0 : 'configured';
+   }
+
+   /**
+    * Switches to polling; IE after native watching failed.
+    *
+    * @param {string}   reason - The reason for the fallback.
+    */
+   fallback(reason)
+   {
+      this._resolved = 'polling';
+      this._reason = reason;
+   }
+
+   /**
+    * Returns the chokidar options for the resolved strategy. For `hybrid` these are the options of the native watcher.
+    *
+    * @param {object}   baseOptions - The base chokidar options.
+    *
+    * @returns {object}
+    */
+   getChokidarOptions(baseOptions)
+   {
+      return this._resolved === 'polling' ? this.getPollingOptions(baseOptions) :
+       Object.assign({}, baseOptions, { usePolling: false });
+   }
+
+   /**
+    * Returns the time window in milliseconds where a duplicate event from the hybrid polling watcher is ignored.
+    *
+    * @returns {number}
+    */
+   getDedupeWindow()
+   {
+      return Math.max(this._interval, this._binaryInterval) + 500;
+   }
+
+   /**
+    * Returns the chokidar options for polling.
+    *
+    * @param {object}   baseOptions - The base chokidar options.
+    *
+    * @returns {object}
+    */
+   getPollingOptions(baseOptions)
+   {
+      return Object.assign({}, baseOptions,
+       { usePolling: true, interval: this._interval, binaryInterval: this._binaryInterval });
+   }
+
+   /**
+    * Returns the resolved strategy or undefined if `auto` has not probed yet.
+    *
+    * @returns {string}
+    */
+   getResolved()
+   {
+      return this._resolved;
+   }
+
+   /**
+    * Returns the status of the strategy.
+    *
+    * @returns {{strategy: string, resolved: string, interval: number, binaryInterval: number, reason: string}}
+    */
+   getStatus()
+   {
+      return {
+         strategy: this._strategy,
+         resolved: this._resolved,
+         interval: this._interval,
+         binaryInterval: this._binaryInterval,
+         reason: this._reason
+      };
+   }
+
+   /**
+    * Probes whether native events arrive in the first existing root directory by writing a temporary file. Resolves
+    * true if the add event arrives within `probeTimeout`.
+    *
+    * @param {string[]}          roots - The absolute root paths of the watch group globs.
+    * @param {NodeWatchBackend}  backend - The watch backend used to write the probe file and watch the root.
+    *
+    * @returns {Promise<{nativeEvents: boolean, reason: string}>}
+    */
+   probe(roots, backend)
+   {
+      const root = roots.map((entry) =>
+      {
+         try
+         {
+            return backend.stat(entry).isDirectory() ? entry : nodePath.dirname(entry);
+         }
+         catch (err)
+         {
+            return void 0;
+         }
+      }).find((entry) => typeof entry === 'string');
+
+      if (!root) { return Promise.resolve({ nativeEvents: true, reason: 'no existing root to probe' }); }
+
+      const probePath = nodePath.join(root, `.tjsdoc-watcher-probe-${crypto.randomBytes(4).toString('hex')}`);
+
+      return new Promise((resolve) =>
+      {
+         const watcher = backend.watch(root, { depth: 0, ignoreInitial: true, usePolling: false });
+
+         let done = false;
+         let timeout;
+
+         const finish = (nativeEvents, reason) =>
+         {
+            if (done) { return; }
+
+            done = true;
+
+            clearTimeout(timeout);
+            watcher.close();
+
+            try { backend.unlink(probePath); }
+            catch (err) { /* nop */ }
+
+            resolve({ nativeEvents, reason });
+         };
+
+         watcher.on('error', (err) => finish(false, `probe error: ${err.message}`));
+
+         watcher.on('add', (path) =>
+         {
+            if (nodePath.resolve(path) === probePath) { finish(true, 'native events received'); }
+         });
+
+         watcher.on('ready', () =>
+         {
+            timeout = setTimeout(() => finish(false, 'no native events received'), this._probeTimeout);
+
+            try
+            {
+               backend.write(probePath, '');
+            }
+            catch (err)
+            {
+               finish(true, `probe file not writable: ${err.message}`);
+            }
+         });
+      });
+   }
+
+   /**
+    * Resolves the strategy probing native events for `auto` on first use.
+    *
+    * @param {string[]}          roots - The absolute root paths of the watch group globs.
+    * @param {NodeWatchBackend}  backend - The watch backend.
+    *
+    * @returns {Promise<string>} The resolved strategy.
+    */
+   resolve(roots, backend)
+   {
+      if (this._resolved) { return Promise.resolve(this._resolved); }
+
+      return this.probe(roots, backend).then(({ nativeEvents, reason }) =>
+      {
+         // A fallback may have occurred while probing.
+         if (!this._resolved)
+         {
+            this._resolved = nativeEvents ? 'native' : 'polling';
+            this._reason = reason;
+         }
+
+         return this._resolved;
+      });
+   }
+
+   /**
+    * Returns a description of the strategy; IE `auto -> polling (100 ms; no native events received)`.
+    *
+    * @returns {string}
+    */
+   toString()
+   {
+      const resolved = this._resolved || 'probing';
+
+      const strategy = this._strategy === resolved ? resolved : `${this._strategy} -> ${resolved}`;
+
+      const details = resolved === 'polling' || resolved === 'hybrid' ? [`${this._interval} ms`] : [];
+
+      if (this._reason && this._reason !== 'configured') { details.push(this._reason); }
+
+      return details.length > 0 ? `${strategy} (${details.join('; ')})` : strategy;
+   }
+}
+
+/**
+ * The supported watch strategies.
+ * @type {string[]}
+ * @ignore
+ */
+const s_STRATEGIES = ['auto', 'hybrid', 'native', 'polling'];
@@ -1,12 +1,200 @@
+import anymatch         from 'anymatch';
+import crypto           from 'crypto';
 import fs               from 'fs';
 import path             from 'path';
 import readline         from 'readline';
 
+import BusyIndicator    from './BusyIndicator.js';
+import CommandHistory   from './CommandHistory.js';
+import CommandSpec      from './CommandSpec.js';
+import CommandTask      from './CommandTask.js';
+import ConfigWatcher    from './ConfigWatcher.js';
+import ControlServer    from './ControlServer.js';
+import Dashboard        from './Dashboard.js';
+import DependencyGraph  from './DependencyGraph.js';
+import EventHistory     from './EventHistory.js';
+import FileHashCache    from './FileHashCache.js';
+import FileManifest     from './FileManifest.js';
+import GlobEdits        from './GlobEdits.js';
+import JournalReplay    from './JournalReplay.js';
+import LiveReloadServer from './LiveReloadServer.js';
+import LogSink          from './LogSink.js';
 import ManualWatchGroup from './ManualWatchGroup.js';
+import NodeWatchBackend from './NodeWatchBackend.js';
+import RenameDetector   from './RenameDetector.js';
+import UpdateBatcher    from './UpdateBatcher.js';
 import WatchGroup       from './WatchGroup.js';
+import WatchStrategy    from './WatchStrategy.js';
 
 let watcher;
 
+/**
+ * Stores all state which persists across regeneration at module scope as a new Watcher instance may be created for
+ * each regeneration. The state is created by the first Watcher and cleared on shutdown without regeneration; see
+ * `s_CREATE_REGEN_STATE`.
+ * @type {object}
+ * @ignore
+ */
+let regenState;
+
+/**
+ * The names of the built-in watch groups which custom watch groups may not use.
+ * @type {string[]}
+ * @ignore
+ */
+const s_BUILTIN_GROUPS = ['index', 'manual', 'source', 'test'];
+
+/**
+ * Returns the TJSDoc config file to watch. Plugin option `configFile` takes precedence otherwise when TJSDoc was
+ * started by its CLI the `-c` / `--config` argument or `./.tjsdocrc` if not provided. When TJSDoc is invoked
+ * programmatically with a config object there is no config file to watch.
+ *
+ * @param {object}   pluginOptions - The plugin options.
+ *
+ * @returns {string|undefined}
+ * @ignore
+ */
+const s_CONFIG_FILE = (pluginOptions) =>
+{
+   if (typeof pluginOptions.configFile === 'string') { return pluginOptions.configFile; }
+
+   if (typeof process.argv[1] !== 'string' || !(/tjsdoc/i).test(path.basename(process.argv[1]))) { return void 0; }
+
+   const index = process.argv.findIndex((arg) => arg === '-c' || arg === '--config');
+
+   return index > 1 && typeof process.argv[index + 1] === 'string' ? process.argv[index + 1] : './.tjsdocrc';
+};
+
+/**
+ * Creates the state which persists across regeneration:
+ *
+ * - aliases: Maps an alias name to the command line it expands to; see `addAlias`.
+ * - controlServer: The control server and connected event stream clients.
+ * - customGroupDefs: Registered custom watch group definitions indexed by name.
+ * - globEdits: Records runtime glob edits which are persisted when plugin option `persistGlobs` is enabled.
+ * - headlessRun: Tracks a headless run; the eventbus, start time, regeneration count and count of reported errors.
+ * - lastRegen: The duration in milliseconds and ISO completion time of the last regeneration of all documentation.
+ * - liveReloadServer: The live-reload server and connected browsers.
+ * - regenStartTime: The start time of a pending regeneration of all documentation.
+ *
+ * @param {object}   pluginOptions - The plugin options.
+ *
+ * @returns {{aliases: object, controlServer: ControlServer, customGroupDefs: object, globEdits: GlobEdits,
+ *            headlessRun: object, lastRegen: {duration: number, time: string}, liveReloadServer: LiveReloadServer,
+ *            regenStartTime: number}}
+ * @ignore
+ */
+const s_CREATE_REGEN_STATE = (pluginOptions) =>
+({
+   aliases: {},
+   controlServer: void 0,
+   customGroupDefs: {},
+   globEdits: new GlobEdits(pluginOptions.persistGlobs === true ? './.tjsdoc-watcher-globs.json' :
+    typeof pluginOptions.persistGlobs === 'string' ? pluginOptions.persistGlobs : void 0),
+   headlessRun: void 0,
+   lastRegen: void 0,
+   liveReloadServer: void 0,
+   regenStartTime: void 0
+});
+
+/**
+ * Returns the Levenshtein edit distance between two strings.
+ *
+ * @param {string}   a - The first string.
+ * @param {string}   b - The second string.
+ *
+ * @returns {number}
+ * @ignore
+ */
+const s_EDIT_DISTANCE = (a, b) =>
+{
+   let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+   for (let i = 1; i <= a.length; i++)
+   {
+      const current = [i];
+
+      for (let j = 1; j <= b.length; j++)
+      {
+         current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+
+      previous = current;
+   }
+
+   return previous[b.length];
+};
+
+/**
+ * Advice logged for known watch errors indexed by error code.
+ * @type {object}
+ * @ignore
+ */
+const s_ERROR_ADVICE =
+{
+   EMFILE: 'the open file limit is exhausted; raise it with `ulimit -n 4096` or narrow the watched globs.',
+   ENOENT: 'a watched root directory was removed; watching resumes if it is restored.',
+   ENOSPC: 'the inotify watch limit is exhausted; raise it with `sudo sysctl fs.inotify.max_user_watches=524288` '
+    + '(persist in /etc/sysctl.conf) or narrow the watched globs.'
+};
+
+/**
+ * The watcher events recorded in the event history without the `tjsdoc:system:watcher:` prefix.
+ * @type {string[]}
+ * @ignore
+ */
+const s_HISTORY_EVENTS = ['error', 'group:paused', 'group:resumed', 'globs:changed', 'offline:changes',
+ 'options:changed', 'shutdown', 'started', 'stopped', 'update'];
+
+/**
+ * The hotkey which switches the terminal from hotkey mode to line mode; commands may not use it.
+ * @type {string}
+ * @ignore
+ */
+const s_LINE_MODE_HOTKEY = 'l';
+
+/**
+ * The maximum count of restarts for a watch group after runtime errors.
+ * @type {number}
+ * @ignore
+ */
+const s_MAX_RESTARTS = 3;
+
+/**
+ * Converts an array of RegExp instances to a string for comparison.
+ *
+ * @param {RegExp[]} regexes - The regexes to convert.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_REGEXES_STRING = (regexes = []) => regexes.map((regex) => regex.toString()).join(',');
+
+/**
+ * Resolves `_sourceGlobs`, `_includes` and `_excludes` from a config section. Source directories are converted to
+ * globs matching all files below the directory while existing globs are used as is. Absent entries retain the values
+ * from the current resolved section.
+ *
+ * @param {object}   section - The config section; IE the main config or `test` config.
+ * @param {object}   current - The current resolved section.
+ *
+ * @returns {{_sourceGlobs: string[], _includes: RegExp[], _excludes: RegExp[]}}
+ * @ignore
+ */
+const s_RESOLVE_SECTION = (section, current) =>
+{
+   const sources = typeof section.source === 'string' ? [section.source] : section.source;
+
+   return {
+      _sourceGlobs: Array.isArray(sources) ? sources.map((source) =>
+       (/[*?{}[\]]/).test(source) ? source : `${source.replace(/\/$/, '')}/**/*`) : current._sourceGlobs,
+      _includes: Array.isArray(section.includes) ? section.includes.map((entry) => new RegExp(entry)) :
+       current._includes || [],
+      _excludes: Array.isArray(section.excludes) ? section.excludes.map((entry) => new RegExp(entry)) :
+       current._excludes || []
+   };
+};
+
 /**
  * Provides file watching control flow for TJSDoc during the `onComplete` callback. There are several watch groups setup
  * for various files used to produce documentation:
@@ -16,14 +204,20 @@ let watcher;
  * - source - The source globs from the target project config.
  * - test - The test source globs from the target project config.
  *
- * Events are fired when files are added, changed, unlinked for any matched globs triggering an event on the plugin
- * eventbus under `tjsdoc:system:watcher:update` with the following object hash:
+ * Events are fired when files are added, changed, unlinked or renamed for any matched globs triggering an event on the
+ * plugin eventbus under `tjsdoc:system:watcher:update` with the following object hash:
  *
- * - action: 'file:<add|change|unlink>'
- * - type: '<index|manual|source|test>',
+ * - action: 'file:<add|change|unlink|rename>'
+ * - type: '<index|manual|source|test>' or a custom watch group name,
  * - path: the file path
  * - [section]: for manual files the manual section is added if a reverse match is found against the file path.
  * - options: the current optional parameter state.
+ *
+ * Updates are also batched, deduplicated by content hash and paired into renames. Custom watch groups, runtime glob
+ * edits, config file watching, offline change detection, watch strategies and error recovery, pausing, history /
+ * journal replay, a control server, a live-reload server, headless mode and an interactive terminal with line, hotkey
+ * and dashboard modes are configured by plugin options; see the README and the documentation of the respective
+ * members and commands.
  */
 class Watcher
 {
@@ -52,18 +246,43 @@ class Watcher
        */
       this.commands = {};
 
+      /**
+       * Stores the CommandSpec of each terminal command declaring arguments, flags, subcommands or an option.
+       * @type {object}
+       */
+      this.commandSpecs = {};
+
       /**
        * The plugin options.
        * @type {object}
        */
       this.pluginOptions = ev.pluginOptions;
 
+      const logFile = typeof this.pluginOptions.logFile === 'string' ? { path: this.pluginOptions.logFile } :
+       this.pluginOptions.logFile || {};
+
+      /**
+       * Formats and writes all log output. Plugin option `logFormat` is `color`, `plain` or `json`; default: `plain` if
+       * the `NO_COLOR` environment variable is set otherwise `color`. Plugin option `logFile` is a log file path or
+       * `{ path, maxSize, maxFiles }` for a rotating log file.
+       * @type {LogSink}
+       */
+      this.logSink = new LogSink(this, { format: this.pluginOptions.logFormat, file: logFile.path,
+       maxSize: logFile.maxSize, maxFiles: logFile.maxFiles });
+
       /**
        * Any chokidar options taken from plugin options.
        * @type {object}
        */
       this.chokidarOptions = this.pluginOptions.chokidarOptions || {};
 
+      /**
+       * The watch backend providing all file system access of watch groups; default: NodeWatchBackend.
+       * @type {NodeWatchBackend}
+       */
+      this.backend = typeof this.pluginOptions.backend === 'object' ? this.pluginOptions.backend :
+       new NodeWatchBackend();
+
       /**
        * Stores any optional on / off actions which store a boolean for current state.
        *
@@ -80,12 +299,267 @@ class Watcher
          verbose: typeof this.pluginOptions.verbose === 'boolean' ? this.pluginOptions.verbose : false
       };
 
+      /**
+       * Stores the value type of each option indexed by name; `{ type, values }`. Option types are registered by
+       * option commands; see `addCommand`.
+       * @type {object}
+       */
+      this.optionTypes = {};
+
       /**
        * If true then an interactive terminal is enabled; default: true.
        * @type {boolean}
        */
       this.terminal = typeof this.pluginOptions.terminal === 'boolean' ? this.pluginOptions.terminal : true;
 
+      /**
+       * The current terminal mode; either `line`, `hotkey` or `dashboard`. Plugin option `dashboard` starts the
+       * terminal in dashboard mode and plugin option `hotkeys` in hotkey mode; default: `line`.
+       * @type {string}
+       */
+      this.terminalMode = this.pluginOptions.dashboard === true ? 'dashboard' :
+       this.pluginOptions.hotkeys === true ? 'hotkey' : 'line';
+
+      /**
+       * The full-screen terminal dashboard when the terminal is in dashboard mode.
+       * @type {Dashboard}
+       */
+      this.dashboard = void 0;
+
+      // Continues the state of the prior Watcher instance after regeneration.
+      if (!regenState) { regenState = s_CREATE_REGEN_STATE(this.pluginOptions); }
+
+      /**
+       * The state which persists across regeneration; see `s_CREATE_REGEN_STATE`.
+       * @type {object}
+       */
+      this.regenState = regenState;
+
+      /**
+       * Maps a single character hotkey to the name of the command it executes.
+       * @type {object}
+       */
+      this.hotkeys = {};
+
+      /**
+       * The `process.stdin` keypress listener when the terminal is in hotkey mode.
+       * @type {function}
+       */
+      this.keypressListener = void 0;
+
+      /**
+       * The task of the running async command or undefined when no async command is running.
+       * @type {CommandTask}
+       */
+      this.commandTask = void 0;
+
+      /**
+       * Receives the output of the executing command while it runs in addition to the log; see `executeCommand`.
+       * @type {function}
+       */
+      this.commandOutput = void 0;
+
+      /**
+       * The bound `processInterruptCallback` which is added as a `process` SIGINT listener when the terminal is not
+       * enabled and removed on shutdown.
+       * @type {function}
+       */
+      this.sigintListener = this.processInterruptCallback.bind(this);
+
+      /**
+       * Shows a terminal spinner while an async command runs.
+       * @type {BusyIndicator}
+       */
+      this.busyIndicator = new BusyIndicator(process.stdout, 100, this.logSink.getFormat() === 'color');
+
+      /**
+       * Persists line mode command history across sessions or undefined if disabled. Plugin option `commandHistory`
+       * is true (default file: `./.tjsdoc-watcher-history`) or a file path to enable; default: disabled.
+       * @type {CommandHistory}
+       */
+      this.commandHistory = this.pluginOptions.commandHistory === true ||
+       typeof this.pluginOptions.commandHistory === 'string' ? new CommandHistory(this,
+        typeof this.pluginOptions.commandHistory === 'string' ? this.pluginOptions.commandHistory :
+         './.tjsdoc-watcher-history') : void 0;
+
+      /**
+       * The rc file of command lines run once `tjsdoc:system:watcher:started` is triggered or undefined if disabled.
+       * Plugin option `rcFile` is false to disable or the rc file path; default: `./.tjsdoc-watcherrc`.
+       * @type {string}
+       */
+      this.rcFile = this.pluginOptions.rcFile === false ? void 0 : typeof this.pluginOptions.rcFile === 'string' ?
+       this.pluginOptions.rcFile : './.tjsdoc-watcherrc';
+
+      /**
+       * Stores the watch strategy of each watch group indexed by name. Strategies are created on first use and retained
+       * across restarts.
+       * @type {object}
+       */
+      this.strategies = {};
+
+      /**
+       * The settle window in milliseconds before batched updates are triggered; default: 100.
+       * @type {number}
+       */
+      this.batchDelay = typeof this.pluginOptions.batchDelay === 'number' ? this.pluginOptions.batchDelay : 100;
+
+      /**
+       * Coalesces updates from all watch groups into `tjsdoc:system:watcher:update:batch` events.
+       * @type {UpdateBatcher}
+       */
+      this.updateBatcher = new UpdateBatcher(this, this.batchDelay);
+
+      /**
+       * If true then change events for files with unchanged content are suppressed; default: true.
+       * @type {boolean}
+       */
+      this.hashContent = typeof this.pluginOptions.hashContent === 'boolean' ? this.pluginOptions.hashContent : true;
+
+      /**
+       * Stores content hashes for all watched files.
+       * @type {FileHashCache}
+       */
+      this.fileHashCache = new FileHashCache(this.backend);
+
+      /**
+       * Maintains the import graph of source and test files adding `affected` to their updates or undefined if
+       * disabled. Plugin option `dependencyGraph` is true to enable; default: disabled.
+       * @type {DependencyGraph}
+       */
+      this.dependencyGraph = this.pluginOptions.dependencyGraph === true ? new DependencyGraph(this.backend) : void 0;
+
+      /**
+       * Records watcher events or undefined if disabled.
+       * @type {EventHistory}
+       */
+      this.eventHistory = this.pluginOptions.history === false ? void 0 : new EventHistory(this,
+       typeof this.pluginOptions.history === 'number' ? this.pluginOptions.history : 500,
+        this.pluginOptions.journal === true ? './.tjsdoc-watcher-journal.jsonl' :
+         typeof this.pluginOptions.journal === 'string' ? this.pluginOptions.journal : void 0);
+
+      /**
+       * The replay mode options or undefined if disabled.
+       * @type {{file: string, speed: number}}
+       */
+      this.replayOptions = typeof this.pluginOptions.replay === 'string' ?
+       { file: this.pluginOptions.replay, speed: 1 } : typeof this.pluginOptions.replay === 'object' ?
+        Object.assign({ speed: 1 }, this.pluginOptions.replay) : void 0;
+
+      /**
+       * The active journal replay.
+       * @type {JournalReplay}
+       */
+      this.journalReplay = void 0;
+
+      /**
+       * Stores the queued updates of paused watch groups indexed by name.
+       * @type {object}
+       */
+      this.pausedGroups = {};
+
+      /**
+       * If true queued updates of a paused group are replayed on resume; otherwise discarded; default: true.
+       * @type {boolean}
+       */
+      this.pauseReplay = typeof this.pluginOptions.pauseReplay === 'boolean' ? this.pluginOptions.pauseReplay : true;
+
+      /**
+       * The count of change events suppressed as file content did not change.
+       * @type {number}
+       */
+      this.suppressedCount = 0;
+
+      /**
+       * Persists the watched file manifest between sessions or undefined if disabled. Plugin option `manifest` is true
+       * (default file: `./.tjsdoc-watcher-manifest.json`) or a file path to enable; default: disabled.
+       * @type {FileManifest}
+       */
+      this.fileManifest = this.pluginOptions.manifest === true || typeof this.pluginOptions.manifest === 'string' ?
+       new FileManifest(typeof this.pluginOptions.manifest === 'string' ? this.pluginOptions.manifest :
+        './.tjsdoc-watcher-manifest.json') : void 0;
+
+      /**
+       * Defines how offline changes are reported; either `summary` or `updates`; default: `summary`.
+       * @type {string}
+       */
+      this.offlineChanges = this.pluginOptions.offlineChanges === 'updates' ? 'updates' : 'summary';
+
+      /**
+       * Pairs unlink / add updates with matching content as `file:rename` updates or undefined if disabled. Rename
+       * detection requires content hashing.
+       * @type {RenameDetector}
+       */
+      this.renameDetector = this.hashContent && this.pluginOptions.renameDetection !== false ?
+       new RenameDetector(this, typeof this.pluginOptions.renameWindow === 'number' ?
+        this.pluginOptions.renameWindow : 100) : void 0;
+
+      /**
+       * The TJSDoc config file to watch or undefined when TJSDoc was invoked with a config object; see `s_CONFIG_FILE`.
+       * @type {string}
+       */
+      this.configFile = s_CONFIG_FILE(this.pluginOptions);
+
+      /**
+       * Defines the action taken on a valid config change; either `regen`, `retarget` or false to disable config
+       * watching; default: `regen`.
+       * @type {string|boolean}
+       */
+      this.configReload = this.pluginOptions.configReload === false ? false :
+       this.pluginOptions.configReload === 'retarget' ? 'retarget' : 'regen';
+
+      /**
+       * Watches the TJSDoc config file and any extended configs.
+       * @type {ConfigWatcher}
+       */
+      this.configWatcher = void 0;
+
+      /**
+       * The control server options or undefined if disabled.
+       * @type {{token: string, port: number, host: string}}
+       */
+      this.serverOptions = this.pluginOptions.server === true || typeof this.pluginOptions.server === 'object' ?
+       Object.assign({ token: crypto.randomBytes(16).toString('hex'), port: 0, host: '127.0.0.1' },
+        typeof this.pluginOptions.server === 'object' ? this.pluginOptions.server : {}) : void 0;
+
+      /**
+       * The live-reload server options or undefined if disabled.
+       * @type {{port: number, host: string, delay: number}}
+       */
+      this.liveReloadOptions = this.pluginOptions.liveReload === true ? {} :
+       typeof this.pluginOptions.liveReload === 'object' ? this.pluginOptions.liveReload : void 0;
+
+      /**
+       * The headless mode options or undefined if disabled.
+       * @type {{settle: number, maxDuration: number, maxRegens: number}}
+       */
+      this.headlessOptions = this.pluginOptions.headless === true || typeof this.pluginOptions.headless === 'object' ?
+       Object.assign({ settle: 1000, maxDuration: 0, maxRegens: 0 },
+        typeof this.pluginOptions.headless === 'object' ? this.pluginOptions.headless : {}) : void 0;
+
+      /**
+       * The reason a headless run completed; IE `settled`, `maxDuration` or `maxRegens`.
+       * @type {string}
+       */
+      this.headlessReason = void 0;
+
+      /**
+       * The timeout which completes a headless run once updates settle.
+       * @type {number}
+       */
+      this.headlessSettleTimeout = void 0;
+
+      /**
+       * The timeout which completes a headless run after `maxDuration`.
+       * @type {number}
+       */
+      this.headlessDurationTimeout = void 0;
+
+      /**
+       * Tracks whether the watcher is running; IE between initialization and shutdown.
+       * @type {boolean}
+       */
+      this.running = false;
+
       /**
        * Tracks the terminal prompt when it is visible.
        * @type {boolean}
@@ -116,6 +590,12 @@ class Watcher
        */
       this.testWatcher = void 0;
 
+      /**
+       * Stores the active custom WatchGroup instances indexed by name.
+       * @type {object}
+       */
+      this.customGroups = {};
+
       /**
        * The interactive terminal readLine instance.
        * @type {Object}
@@ -123,19 +603,89 @@ class Watcher
       this.readline = void 0;
 
       // Adds persistent event bindings.
+      ev.eventbus.on('tjsdoc:system:watcher:backend:get', this.getBackend, this);
       ev.eventbus.on('tjsdoc:system:watcher:command:add', this.addCommand, this);
+      ev.eventbus.on('tjsdoc:system:watcher:completions:get', this.completeLine, this);
+      ev.eventbus.on('tjsdoc:system:watcher:explain:get', this.explainPath, this);
       ev.eventbus.on('tjsdoc:system:watcher:globs:get', this.getGlobs, this);
+      ev.eventbus.on('tjsdoc:system:watcher:group:add', this.addGroup, this);
+      ev.eventbus.on('tjsdoc:system:watcher:group:pause', this.pauseGroup, this);
+      ev.eventbus.on('tjsdoc:system:watcher:group:remove', this.removeGroup, this);
+      ev.eventbus.on('tjsdoc:system:watcher:group:resume', this.resumeGroup, this);
+      ev.eventbus.on('tjsdoc:system:watcher:history:get', this.getHistory, this);
       ev.eventbus.on('tjsdoc:system:watcher:options:get', this.getOptions, this);
       ev.eventbus.on('tjsdoc:system:watcher:options:set', this.setOptions, this);
+      ev.eventbus.on('tjsdoc:system:watcher:replay', this.replayJournal, this);
+
+      if (this.eventHistory) { ev.eventbus.on('all', this.recordHistory, this); }
+
+      // Start tracking a headless run unless continuing one after regeneration.
+      if (this.headlessOptions && !regenState.headlessRun)
+      {
+         const headlessRun = { eventbus: ev.eventbus, startTime: Date.now(), regens: 0, errors: 0 };
+
+         // Counts all errors reported on the eventbus until the run completes.
+         headlessRun.listener = (name) =>
+         {
+            if (typeof name === 'string' && (name.startsWith('log:error') || name.startsWith('log:fatal') ||
+             name === 'tjsdoc:system:watcher:error'))
+            {
+               headlessRun.errors++;
+            }
+         };
+
+         ev.eventbus.on('all', headlessRun.listener);
+
+         regenState.headlessRun = headlessRun;
+      }
 
       this.initializeCommands();
    }
 
+   /**
+    * Adds or replaces an alias which expands to a command line of one or more `;` chained commands. Arguments
+    * following the alias are appended to the last command of the expansion. A command of the same name takes
+    * precedence over an alias.
+    *
+    * @param {string}   name - The alias name; IE `quiet`.
+    * @param {string}   commandLine - The command line; IE `silent on; verbose off`.
+    */
+   addAlias(name, commandLine)
+   {
+      if (typeof name !== 'string' || !(/^[\w.-]+$/).test(name))
+      {
+         throw new TypeError(`alias name '${name}' may only contain letters, digits, '_', '.' and '-'.`);
+      }
+
+      if (typeof commandLine !== 'string' || commandLine.trim() === '')
+      {
+         throw new TypeError(`'commandLine' is not a non-empty 'string'.`);
+      }
+
+      if (typeof this.commands[name] === 'object')
+      {
+         throw new Error(`'${name}' is a command and can not be aliased.`);
+      }
+
+      this.regenState.aliases[name] = commandLine.trim();
+   }
+
    /**
     * Adds a terminal command.
     *
-    * There is a special `optional` command which provides default handling for `on/off` boolean states. No `exec`
-    * function needs to be applied as interested components should
+    * A command either declares its arguments with `args`, `flags` or `subcommands` (see CommandSpec) in which case the
+    * command line is parsed, validated and passed to `exec` as `args`, `flags` and `subcommand` or it is free-form and
+    * `exec` only receives `lineSplit`; the quote aware tokens of the command line. Usage for help is generated from the
+    * declared arguments.
+    *
+    * Option commands store a typed value in the watcher options which is available by `getOptions` and may be set by
+    * `setOptions`. There is a special `optional` command type which is shorthand for a boolean option set by `on/off`.
+    * Otherwise `option` declares the value type; IE `{ type: 'enum', values: ['fast', 'slow'], defaultValue: 'fast' }`.
+    * No `exec` function needs to be applied for option commands; if provided it is invoked with the new value.
+    *
+    * A synchronous `exec` invokes `showPrompt` when complete. An async `exec` returns a promise; the terminal shows a
+    * busy indicator until it settles, reports any rejection and shows the prompt. `exec` also receives `task`; a
+    * CommandTask which is cancelled by `Ctrl-C` and may be checked by `isCancelled` or observed by `onCancel`.
     *
     * @param {object}      command - The command to add
     *
@@ -143,7 +693,20 @@ class Watcher
     *
     * @property {string}   command.description - The description of the command for help option.
     *
-    * @property {function} command.exec - The description of the command for help option.
+    * @property {function} command.exec - The function executing the command; may return a promise.
+    *
+    * @property {object[]} [command.args] - The positional arguments.
+    *
+    * @property {object}   [command.flags] - The flags indexed by name.
+    *
+    * @property {object}   [command.subcommands] - The subcommand specs indexed by name.
+    *
+    * @property {object}   [command.option] - The option value type; `{ type, values, defaultValue }`.
+    *
+    * @property {string}   [command.hotkey] - A single character which executes the command in hotkey mode.
+    *
+    * @property {function} [command.complete] - Returns tab completion candidates for an argument of a free-form
+    *                                           command; invoked with the argument index and the preceding arguments.
     */
    addCommand(command = {})
    {
@@ -151,618 +714,2526 @@ class Watcher
       if (typeof command.name !== 'string') { throw new TypeError(`'command.name' is not a 'string'.`); }
       if (typeof command.description !== 'string') { throw new TypeError(`'command.description' is not a 'string'.`); }
 
-      // Wrap optional commands with a function that will set the tracked option state locally.
-      // The original exec function is invoked with the current state.
-      if (typeof command.type === 'string' && command.type === 'optional')
+      if (typeof command.complete !== 'undefined' && typeof command.complete !== 'function')
       {
-         const origExec = command.exec;
+         throw new TypeError(`'command.complete' is not a 'function'.`);
+      }
 
-         // If not already set and initial state is provided then set it otherwise 'false' is assigned.
-         if (typeof this.options[command.name] !== 'boolean')
+      if (typeof command.hotkey !== 'undefined')
+      {
+         if (typeof command.hotkey !== 'string' || command.hotkey.length !== 1)
          {
-            this.options[command.name] = typeof command.state === 'boolean' ? command.state : false;
+            throw new TypeError(`'command.hotkey' is not a single character 'string'.`);
          }
 
-         // Define the default optional execution function to parse `on/off` and set state accordingly.
-         command.exec = ({ command, lineSplit, showPrompt } = {}) =>
+         if (command.hotkey === s_LINE_MODE_HOTKEY)
          {
-            if (typeof lineSplit[1] === 'string')
-            {
-               switch (lineSplit[1])
-               {
-                  case 'off':
-                     this.options[command.name] = false;
-                     this.eventbus.trigger('tjsdoc:system:watcher:options:changed', this.getOptions());
-                     if (typeof origExec === 'function') { origExec(false); }
-                     break;
-
-                  case 'on':
-                     this.options[command.name] = true;
-                     this.eventbus.trigger('tjsdoc:system:watcher:options:changed', this.getOptions());
-                     if (typeof origExec === 'function') { origExec(true); }
-                     break;
-
-                  default:
-                     throw new Error(`${command.name} command malformed; must be '${command.name} [on/off]'`);
-               }
-            }
-            else
-            {
-               throw new Error(`${command.name} command malformed; must be '${command.name} [on/off]'`);
-            }
+            throw new Error(`hotkey '${command.hotkey}' is reserved for switching to line mode.`);
+         }
 
-            showPrompt();
-         };
+         if (typeof this.hotkeys[command.hotkey] === 'string' && this.hotkeys[command.hotkey] !== command.name)
+         {
+            throw new Error(`hotkey '${command.hotkey}' is already bound to '${this.hotkeys[command.hotkey]}'.`);
+         }
       }
-      else
+
+      // Option commands store a typed value in `this.options`; `optional` is shorthand for a boolean option.
+      const optionType = command.type === 'optional' ? { type: 'boolean' } : command.option;
+
+      if (typeof optionType !== 'undefined')
       {
-         if (typeof command.exec !== 'function') { throw new TypeError(`'command.exec' is not a 'function'.`); }
-      }
+         CommandSpec.validateType(optionType, `'command.option'`);
 
-      this.commands[command.name] = command;
-   }
+         const type = typeof optionType.type === 'string' ? optionType.type : 'string';
+         const initial = command.type === 'optional' ? command.state : optionType.defaultValue;
 
-   /**
-    * Get the currently watched source and test glob patterns.
-    *
-    * @returns {{source: Array, test: Array}}
-    */
-   getGlobs()
+         // Keep a current valid value otherwise assign the initial value or the default for the type.
+         if (!CommandSpec.isValid(this.options[command.name], optionType))
+         {
+            this.options[command.name] = CommandSpec.isValid(initial, optionType) ? initial :
+             type === 'boolean' ? false : type === 'enum' ? optionType.values[0] : type === 'number' ? 0 : '';
+         }
+
+         this.optionTypes[command.name] = optionType;
+
+         // The original exec function is invoked with the new value.
+         const origExec = command.exec;
+
+         command.exec = ({ args, showPrompt } = {}) =>
+         {
+            this.options[command.name] = args.value;
+            this.eventbus.trigger('tjsdoc:system:watcher:options:changed', this.getOptions());
+
+            if (typeof origExec === 'function') { origExec(args.value); }
+
+            showPrompt();
+         };
+      }
+      else if (typeof command.exec !== 'function' && typeof command.subcommands !== 'object')
+      {
+         throw new TypeError(`'command.exec' is not a 'function'.`);
+      }
+
+      // Create the command spec for commands declaring arguments, flags, subcommands or an option.
+      if (typeof optionType !== 'undefined')
+      {
+         this.commandSpecs[command.name] = new CommandSpec(command.name,
+          { description: command.description, args: [Object.assign({ name: 'value' }, optionType)] });
+      }
+      else if (command.args || command.flags || command.subcommands)
+      {
+         this.commandSpecs[command.name] = new CommandSpec(command.name, command);
+      }
+      else
+      {
+         delete this.commandSpecs[command.name];
+      }
+
+      // Remove any hotkey of a replaced command.
+      if (this.commands[command.name] && typeof this.commands[command.name].hotkey === 'string')
+      {
+         delete this.hotkeys[this.commands[command.name].hotkey];
+      }
+
+      if (typeof command.hotkey === 'string') { this.hotkeys[command.hotkey] = command.name; }
+
+      this.commands[command.name] = command;
+   }
+
+   /**
+    * Adds a custom named watch group. If the watcher is already running the group is initialized immediately otherwise
+    * it is initialized along with the built-in groups. An existing custom group with the same name is replaced.
+    *
+    * @param {object}            group - The custom watch group definition.
+    *
+    * @property {string}         group.name - The unique name of the group which is used as the update `type`.
+    *
+    * @property {string|string[]} group.globs - The globs / files to watch.
+    *
+    * @property {Array<string|RegExp>} [group.includes] - Regexes which files must match to be watched.
+    *
+    * @property {Array<string|RegExp>} [group.excludes] - Regexes which exclude matching files from being watched.
+    *
+    * @property {function}       [group.decorator] - A function which may modify or replace update data.
+    *
+    * @property {boolean}        [group.onlyChanges=false] - If true only changes to files initially watched are
+    *                                                      tracked.
+    *
+    * @returns {Promise|undefined} A promise resolved when the group is ready if the watcher is running.
+    */
+   addGroup(group = {})
    {
-      return {
-         index: this.mainConfig.index ? [this.mainConfig.index] : [],
-         manual: this.manualGlobs ? this.manualGlobs.all : [],
-         source: this.mainConfig._sourceGlobs ? this.mainConfig._sourceGlobs : [],
-         test: this.mainConfig.test && this.mainConfig.test._sourceGlobs ? this.mainConfig.test._sourceGlobs : []
+      if (typeof group !== 'object') { throw new TypeError(`'group' is not an 'object'.`); }
+      if (typeof group.name !== 'string') { throw new TypeError(`'group.name' is not a 'string'.`); }
+
+      if (typeof group.globs !== 'string' && !Array.isArray(group.globs))
+      {
+         throw new TypeError(`'group.globs' is not a 'string' or 'array'.`);
+      }
+
+      if (typeof group.includes !== 'undefined' && !Array.isArray(group.includes))
+      {
+         throw new TypeError(`'group.includes' is not an 'array'.`);
+      }
+
+      if (typeof group.excludes !== 'undefined' && !Array.isArray(group.excludes))
+      {
+         throw new TypeError(`'group.excludes' is not an 'array'.`);
+      }
+
+      if (typeof group.decorator !== 'undefined' && typeof group.decorator !== 'function')
+      {
+         throw new TypeError(`'group.decorator' is not a 'function'.`);
+      }
+
+      if (s_BUILTIN_GROUPS.includes(group.name))
+      {
+         throw new Error(`'group.name' (${group.name}) conflicts with a built-in watch group.`);
+      }
+
+      this.removeGroup(group.name);
+
+      this.regenState.customGroupDefs[group.name] =
+      {
+         name: group.name,
+         globs: typeof group.globs === 'string' ? [group.globs] : group.globs,
+         _includes: (group.includes || []).map((entry) => entry instanceof RegExp ? entry : new RegExp(entry)),
+         _excludes: (group.excludes || []).map((entry) => entry instanceof RegExp ? entry : new RegExp(entry)),
+         decorator: group.decorator,
+         onlyChanges: typeof group.onlyChanges === 'boolean' ? group.onlyChanges : false
       };
+
+      this.applyGlobEdits(group.name);
+
+      return this.running ? this.initializeGroup(group.name) : void 0;
    }
 
    /**
-    * Gets the current user settable options.
+    * Adds an exclude regex to the given watch group and restarts the group if active as chokidar does not reevaluate
+    * ignored files. The `index` and `manual` groups do not support excludes.
     *
-    * @returns {{trigger: boolean, silent: boolean, verbose: boolean}}
+    * @param {string}   name - The watch group name.
+    * @param {string}   pattern - The exclude regex pattern.
+    *
+    * @returns {Promise} A promise resolved once any active group has restarted.
     */
-   getOptions()
+   addGroupExclude(name, pattern)
    {
-      return JSON.parse(JSON.stringify(this.options));
+      const regex = new RegExp(pattern);
+
+      const append = (excludes = []) =>
+       excludes.some((entry) => entry.toString() === regex.toString()) ? excludes : [...excludes, regex];
+
+      switch (name)
+      {
+         case 'index':
+         case 'manual':
+            throw new Error(`'${name}' watch group does not support ignore patterns.`);
+
+         case 'source':
+            this.mainConfig._excludes = append(this.mainConfig._excludes);
+            break;
+
+         case 'test':
+            if (!this.mainConfig.test) { throw new Error(`'test' watch group is not configured.`); }
+
+            this.mainConfig.test._excludes = append(this.mainConfig.test._excludes);
+            break;
+
+         default:
+            if (!this.regenState.customGroupDefs[name]) { throw new Error(`unknown watch group: ${name}`); }
+
+            this.regenState.customGroupDefs[name]._excludes = append(this.regenState.customGroupDefs[name]._excludes);
+            break;
+      }
+
+      const group = this.getWatchGroups()[name];
+
+      return group ? group.restart() : Promise.resolve();
    }
 
    /**
-    * Get the currently watched globs and files.
+    * Applies any recorded glob edits for the given watch group to its backing config / definition.
     *
-    * @param {object}      [options] - Optional parameters.
-    * @property {boolean}  [options.relative] - If true then all directory paths in `files` is made relative to CWD.
+    * @param {string}   name - The watch group name.
+    */
+   applyGlobEdits(name)
+   {
+      const edits = this.regenState.globEdits.getGroups()[name];
+
+      const globs = this.getGroupGlobs(name);
+
+      if (typeof edits !== 'object' || !Array.isArray(globs)) { return; }
+
+      const warn = (err) => this.logWarn(`tjsdoc-plugin-watcher - could not apply glob edits for ${name}: ${
+       err.message}`);
+
+      const promises = [];
+
+      try
+      {
+         const newGlobs = globs.filter((glob) => !edits.unwatch.includes(glob));
+
+         for (const glob of edits.watch) { if (!newGlobs.includes(glob)) { newGlobs.push(glob); } }
+
+         if (edits.watch.length > 0 || edits.unwatch.length > 0) { promises.push(this.setGroupGlobs(name, newGlobs)); }
+
+         for (const pattern of edits.ignore) { promises.push(this.addGroupExclude(name, pattern)); }
+      }
+      catch (err)
+      {
+         warn(err);
+      }
+
+      Promise.all(promises).catch(warn);
+   }
+
+   /**
+    * Cancels the running async command if any; the command rejects with an error with code `ECANCELED`.
     *
-    * @returns {{index: {globs: Array, files: {}}, manual: {globs: Array, files: {}}, source: {globs: Array, files: {}}, test: {globs: Array, files: {}}}}
+    * @returns {boolean} True if a running command was cancelled.
     */
-   getWatching(options)
+   cancelCommand()
    {
-      const indexGlobs = this.mainConfig.index ? [this.mainConfig.index] : [];
-      const indexFiles = this.indexWatcher ? this.indexWatcher.getWatched() : {};
-      const manualGlobs = this.manualGlobs.all ? this.manualGlobs.all : [];
-      const manualFiles = this.manualWatcher ? this.manualWatcher.getWatched() : {};
-      const sourceGlobs = this.mainConfig._sourceGlobs ? this.mainConfig._sourceGlobs : [];
-      const sourceFiles = this.sourceWatcher ? this.sourceWatcher.getWatched() : {};
-      const testGlobs = this.mainConfig.test && this.mainConfig.test._sourceGlobs ? this.mainConfig.test._sourceGlobs : [];
-      const testFiles = this.testWatcher ? this.testWatcher.getWatched() : {};
+      return this.commandTask ? this.commandTask.cancel() : false;
+   }
 
-      // Filter absolute paths converting them to relative.
-      if (typeof options === 'object' && typeof options.relative === 'boolean' && options.relative)
+   /**
+    * Closes the interactive terminal in either mode without shutting down; the TTY raw mode is restored.
+    */
+   closeTerminal()
+   {
+      if (this.dashboard)
       {
-         for (const key in indexFiles)
-         {
-            const relKey = path.relative('.', key);
-            indexFiles[relKey] = indexFiles[key];
-            delete indexFiles[key];
-         }
+         this.dashboard.stop();
+         this.dashboard = void 0;
+
+         this.logSink.setMuted(false);
+      }
+
+      if (this.readline)
+      {
+         const rl = this.readline;
+
+         // Unset first so that the readline `close` handler does not request shutdown.
+         this.readline = void 0;
+         rl.close();
+      }
+
+      if (this.keypressListener)
+      {
+         process.stdin.removeListener('keypress', this.keypressListener);
+         this.keypressListener = void 0;
+
+         if (process.stdin.isTTY) { process.stdin.setRawMode(false); }
+
+         process.stdin.pause();
+      }
+
+      this.promptVisible = false;
+   }
+
+   /**
+    * Collects the manifest entries for the given start data or all active watch groups if no start data is provided.
+    *
+    * @param {object}   [watchData] - An object hash of type -> { files } where files is chokidar watched data.
+    *
+    * @returns {object} Relative file path -> { type, mtime, size, hash }.
+    */
+   collectManifest(watchData = this.getWatching())
+   {
+      const watchedByType = {};
+
+      for (const type in watchData) { watchedByType[type] = watchData[type].files; }
+
+      return this.fileManifest.collect(watchedByType, this.fileHashCache, this.backend);
+   }
 
-         for (const key in manualFiles)
+   /**
+    * Returns tab completion candidates for a partially entered command line; used as the readline `completer` and
+    * by `tjsdoc:system:watcher:completions:get`. Command names complete for the first word. Arguments complete from
+    * the command spec or the `complete` function of free-form commands.
+    *
+    * @param {string}   line - The partially entered command line.
+    *
+    * @returns {Array<string[]|string>} The matching candidates and the word being completed.
+    */
+   completeLine(line)
+   {
+      // Only the last of any `;` chained command lines is completed.
+      const segments = CommandSpec.split(line);
+      const { tokens, partial } = CommandSpec.tokenizePartial(segments[segments.length - 1]);
+      const word = tokens[tokens.length - 1];
+
+      let candidates = [];
+
+      try
+      {
+         if (tokens.length === 1)
          {
-            const relKey = path.relative('.', key);
-            manualFiles[relKey] = manualFiles[key];
-            delete manualFiles[key];
+            candidates = [...Object.keys(this.commands), ...Object.keys(this.regenState.aliases)];
          }
-
-         for (const key in sourceFiles)
+         else if (this.commandSpecs[tokens[0]])
          {
-            const relKey = path.relative('.', key);
-            sourceFiles[relKey] = sourceFiles[key];
-            delete sourceFiles[key];
+            candidates = this.commandSpecs[tokens[0]].complete(tokens.slice(1));
          }
-
-         for (const key in testFiles)
+         else if (this.commands[tokens[0]] && typeof this.commands[tokens[0]].complete === 'function')
          {
-            const relKey = path.relative('.', key);
-            testFiles[relKey] = testFiles[key];
-            delete testFiles[key];
+            candidates = this.commands[tokens[0]].complete(tokens.length - 2, tokens.slice(1, -1));
          }
       }
+      catch (err)
+      {
+         candidates = [];
+      }
 
-      return {
-         index: { globs: indexGlobs, files: indexFiles },
-         manual: { globs: manualGlobs, files: manualFiles },
-         source: { globs: sourceGlobs, files: sourceFiles },
-         test: { globs: testGlobs, files: testFiles }
-      };
+      // Candidates containing whitespace or quotes are quoted.
+      const hits = Array.isArray(candidates) ? candidates.filter((candidate) => typeof candidate === 'string' &&
+       candidate.startsWith(word)).sort().map((candidate) => (/[\s"'\\]/).test(candidate) ?
+        `"${candidate.replace(/(["\\])/g, '\\$1')}"` : candidate) : [];
+
+      return [hits, partial];
    }
 
    /**
-    * Performs the ignored match against the path against the `_includes` and `_excludes` entries in the given
-    * `mainConfig` object.
+    * Handles a valid config change either requesting regeneration of all documentation or re-targeting the existing
+    * watch groups. Triggers `tjsdoc:system:watcher:config:changed` with the action taken.
     *
-    * @param {string}   path - file / directory path.
+    * @param {object}   config - The new config.
+    */
+   configChanged(config)
+   {
+      if (this.configReload === 'regen')
+      {
+         this.log('tjsdoc-plugin-watcher - config changed; regenerating all documentation.');
+
+         this.triggerEvent('tjsdoc:system:watcher:config:changed', { action: 'regen', options: this.getOptions() });
+
+         setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown', { regenerate: true }));
+
+         return;
+      }
+
+      const changes = this.retargetConfig(config);
+
+      this.log(`tjsdoc-plugin-watcher - config changed; re-targeted: ${JSON.stringify(changes)}`);
+
+      this.triggerEvent('tjsdoc:system:watcher:config:changed',
+       { action: 'retarget', changes, options: this.getOptions() });
+   }
+
+   /**
+    * Logs a config load / validation error; the last good config remains active.
     *
-    * @param {object}   mainConfig - object to use for `_includes` and `_excludes`.
+    * @param {Error}    err - The config error.
+    */
+   configError(err)
+   {
+      if (this.promptVisible)
+      {
+         console.log('');
+         this.promptVisible = false;
+      }
+
+      this.logWarn(`tjsdoc-plugin-watcher - config error (last good config remains active): ${err.message}`);
+   }
+
+   /**
+    * Emits an update to listeners. Nothing is emitted when the `trigger` option is off and updates of paused watch
+    * groups are queued. Otherwise the update is added to the pending update batch and `tjsdoc:system:watcher:update` is
+    * triggered. Unlike `triggerUpdate` no import graph, content hash or rename processing is performed.
     *
-    * @returns {boolean}
+    * @param {object}   data - The update event data.
     */
-   ignoredMatch(path, mainConfig)
+   emitUpdate(data)
    {
-      let ignored = false;
+      if (!this.options.trigger) { return; }
 
-      let match = false;
+      // Queue updates for paused watch groups.
+      if (Array.isArray(this.pausedGroups[data.type]))
+      {
+         this.pausedGroups[data.type].push(data);
+         return;
+      }
 
-      for (const reg of mainConfig._includes)
+      // Add to the batch first as a listener of the individual update may request shutdown which flushes the batch.
+      this.updateBatcher.add(data);
+
+      if (this.headlessOptions && this.running) { this.headlessSettle(); }
+
+      this.eventbus.trigger('tjsdoc:system:watcher:update', data);
+   }
+
+   /**
+    * Executes a terminal command line. A command `exec` may return a promise in which case the command is running
+    * until the promise settles or the command is cancelled; see `cancelCommand`. Only one command runs at a time.
+    * While an async command runs in the terminal the busy indicator is shown and `showPrompt` is invoked once it
+    * completes.
+    *
+    * @param {string}   line - The command line of a single command; IE `trigger on`.
+    * @param {function} [showPrompt] - Shows the terminal prompt; synchronous commands invoke it when complete.
+    * @param {function} [onOutput] - Invoked with each output line of this command only; IE to respond to a request.
+    *
+    * @returns {boolean|Promise} False if the command is not defined otherwise a promise resolved when the command
+    *                            completes or rejected with any parse, execution or cancellation error.
+    */
+   executeCommand(line, showPrompt = () => {}, onOutput = void 0)
+   {
+      let command, lineSplit;
+
+      try
       {
-         if (path.match(reg))
+         lineSplit = CommandSpec.tokenize(line);
+         command = this.commands[lineSplit[0]];
+      }
+      catch (err)
+      {
+         return Promise.reject(err);
+      }
+
+      if (typeof command !== 'object') { return false; }
+
+      if (this.commandTask)
+      {
+         return Promise.reject(new Error(`${this.commandTask.getName()} command is running; press Ctrl-C to cancel.`));
+      }
+
+      const task = new CommandTask(command.name);
+      const previousOutput = this.commandOutput;
+
+      let result;
+
+      // Output is scoped to this command while `exec` runs and until an async command completes.
+      this.commandOutput = onOutput;
+
+      try
+      {
+         // Parse the command line for commands with a spec; a parse error is thrown before `exec` is invoked.
+         const spec = this.commandSpecs[command.name];
+         const parsed = spec ? spec.parse(lineSplit.slice(1)) : {};
+         const exec = typeof parsed.exec === 'function' ? parsed.exec : command.exec;
+
+         // Commands with subcommands may not have an `exec` function.
+         if (typeof exec !== 'function') { return false; }
+
+         result = exec({ command, mainConfig: this.mainConfig, line, lineSplit, args: parsed.args, flags: parsed.flags,
+          subcommand: parsed.subcommand, options: this.getOptions(), showPrompt, task });
+      }
+      catch (err)
+      {
+         this.commandOutput = previousOutput;
+
+         return Promise.reject(err);
+      }
+
+      if (!result || typeof result.then !== 'function')
+      {
+         this.commandOutput = previousOutput;
+
+         return Promise.resolve(result);
+      }
+
+      this.commandTask = task;
+
+      // The dashboard shows the running command. The busy indicator is not drawn in `json` format as it would corrupt
+      // the JSON lines.
+      if (this.dashboard)
+      {
+         this.dashboard.scheduleRender();
+      }
+      else if ((this.readline || this.keypressListener) && this.logSink.getFormat() !== 'json')
+      {
+         this.busyIndicator.start(`${command.name} running; press Ctrl-C to cancel`);
+      }
+
+      return task.run(result).then((value) =>
+      {
+         this.commandTask = void 0;
+         this.commandOutput = void 0;
+         this.busyIndicator.stop();
+
+         if (this.dashboard) { this.dashboard.scheduleRender(); }
+
+         showPrompt();
+
+         return value;
+      }, (err) =>
+      {
+         this.commandTask = void 0;
+         this.commandOutput = void 0;
+         this.busyIndicator.stop();
+
+         if (this.dashboard) { this.dashboard.scheduleRender(); }
+
+         throw err;
+      });
+   }
+
+   /**
+    * Executes a command line of one or more `;` chained commands in order expanding any aliases. All commands are
+    * resolved before the first executes and the chain stops at the first error. Only the last command of the chain
+    * shows the terminal prompt.
+    *
+    * @param {string}   line - The command line; IE `verbose on; pause test`.
+    * @param {function} [showPrompt] - Shows the terminal prompt.
+    * @param {function} [onOutput] - Invoked with each output line of these commands only.
+    *
+    * @returns {Promise<boolean>} Resolved false if the command line is empty otherwise true once all commands complete
+    *                             or rejected with an unknown command, parse, execution or cancellation error.
+    */
+   executeCommands(line, showPrompt = () => {}, onOutput = void 0)
+   {
+      let lines;
+
+      try
+      {
+         lines = this.expandCommandLine(line);
+
+         for (const entry of lines)
          {
-            match = true;
-            break;
-         }
+            const name = CommandSpec.tokenize(entry)[0];
+
+            if (typeof this.commands[name] !== 'object')
+            {
+               const suggestion = this.suggestCommand(name);
+
+               throw new Error(`unknown command '${name}'${suggestion ? `; did you mean '${suggestion}'?` : ''
+                } (type 'help' for instructions)`);
+            }
+         }
+      }
+      catch (err)
+      {
+         return Promise.reject(err);
+      }
+
+      if (lines.length === 0) { return Promise.resolve(false); }
+
+      return lines.reduce((promise, entry, index) => promise.then(() => this.executeCommand(entry,
+       index === lines.length - 1 ? showPrompt : () => {}, onOutput)), Promise.resolve()).then(() => true);
+   }
+
+   /**
+    * Splits a command line into its `;` chained command lines expanding any aliases. Arguments following an alias are
+    * appended to the last command line of its expansion.
+    *
+    * @param {string}   line - The command line; IE `quiet; pause test`.
+    * @param {string[]} [aliasStack] - The aliases being expanded; used to detect recursive aliases.
+    *
+    * @returns {string[]} The command lines of single commands.
+    */
+   expandCommandLine(line, aliasStack = [])
+   {
+      const lines = [];
+
+      for (const segment of CommandSpec.split(line))
+      {
+         const entry = segment.trim();
+
+         if (entry === '') { continue; }
+
+         const name = CommandSpec.tokenize(entry)[0];
+
+         if (typeof this.commands[name] === 'object' || typeof this.regenState.aliases[name] !== 'string')
+         {
+            lines.push(entry);
+            continue;
+         }
+
+         if (aliasStack.includes(name)) { throw new Error(`alias '${name}' expands recursively.`); }
+
+         const expanded = this.expandCommandLine(this.regenState.aliases[name], [...aliasStack, name]);
+         const rest = entry.startsWith(name) ? entry.substring(name.length).trim() : '';
+
+         if (rest !== '' && expanded.length > 0) { expanded.push(`${expanded.pop()} ${rest}`); }
+
+         lines.push(...expanded);
+      }
+
+      return lines;
+   }
+
+   /**
+    * Explains for each watch group whether the given path is matched by a glob, which include regex matched and which
+    * exclude regex rejected it along with the final verdict. Include / exclude filtering only applies to the source,
+    * test and custom groups.
+    *
+    * @param {string}   filePath - The file path to explain.
+    *
+    * @returns {object|undefined} The explanation `{ path, watched, groups, message }` or undefined before the watcher
+    *                             is initialized.
+    */
+   explainPath(filePath)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      // The TJSDoc config is only available once initialized.
+      if (typeof this.mainConfig !== 'object') { return void 0; }
+
+      const relPath = path.relative('.', filePath);
+      const absPath = path.resolve(filePath);
+
+      const groups = [];
+
+      for (const name of [...s_BUILTIN_GROUPS, ...Object.keys(this.regenState.customGroupDefs)])
+      {
+         const globs = this.getGroupGlobs(name) || [];
+
+         const glob = globs.find((entry) => anymatch(path.normalize(entry), relPath) ||
+          anymatch(path.resolve(entry), absPath)) || null;
+
+         const filters = name === 'source' ? this.mainConfig :
+          name === 'test' ? this.mainConfig.test || {} : this.regenState.customGroupDefs[name];
+
+         let exclude = null, include = null;
+
+         if (filters)
+         {
+            const includes = filters._includes || [];
+
+            // Custom groups without includes include all files.
+            const includeRegex = includes.length === 0 && this.regenState.customGroupDefs[name] ? /./ :
+             includes.find((regex) => relPath.match(regex));
+
+            include = includeRegex ? includeRegex.toString() : null;
+
+            const excludeRegex = (filters._excludes || []).find((regex) => relPath.match(regex));
+
+            exclude = excludeRegex ? excludeRegex.toString() : null;
+         }
+
+         let verdict = 'watched';
+
+         if (!glob) { verdict = 'no glob matched'; }
+         else if (filters && !include) { verdict = 'no include matched'; }
+         else if (exclude) { verdict = `excluded by ${exclude}`; }
+
+         groups.push({ group: name, active: !!this.getWatchGroups()[name], glob, include, exclude,
+          watched: verdict === 'watched', verdict });
+      }
+
+      const watchedBy = groups.filter((entry) => entry.watched).map((entry) => entry.group);
+
+      return {
+         path: relPath,
+         watched: watchedBy.length > 0,
+         groups,
+         message: watchedBy.length > 0 ? `${relPath} is watched by: ${watchedBy.join(', ')}` :
+          `${relPath} is not watched by any group`
+      };
+   }
+
+   /**
+    * Returns the watch backend.
+    *
+    * @returns {NodeWatchBackend}
+    */
+   getBackend()
+   {
+      return this.backend;
+   }
+
+   /**
+    * Get the currently watched source and test glob patterns.
+    *
+    * @returns {{source: Array, test: Array}}
+    */
+   getGlobs()
+   {
+      const globs = {};
+
+      for (const name of [...s_BUILTIN_GROUPS, ...Object.keys(this.regenState.customGroupDefs)])
+      {
+         globs[name] = this.getGroupGlobs(name);
+      }
+
+      return globs;
+   }
+
+   /**
+    * Returns the globs of the given watch group from its backing config / definition.
+    *
+    * @param {string}   name - The watch group name.
+    *
+    * @returns {string[]|undefined} The globs or undefined for an unknown watch group.
+    */
+   getGroupGlobs(name)
+   {
+      switch (name)
+      {
+         case 'index':
+            return this.mainConfig.index ? [this.mainConfig.index] : [];
+
+         case 'manual':
+            return this.manualGlobs ? this.manualGlobs.all : [];
+
+         case 'source':
+            return this.mainConfig._sourceGlobs ? this.mainConfig._sourceGlobs : [];
+
+         case 'test':
+            return this.mainConfig.test && this.mainConfig.test._sourceGlobs ? this.mainConfig.test._sourceGlobs : [];
+
+         default:
+            return this.regenState.customGroupDefs[name] ? this.regenState.customGroupDefs[name].globs : void 0;
+      }
+   }
+
+   /**
+    * Returns the recorded event history; oldest first.
+    *
+    * @param {object}   [options] - Optional parameters.
+    * @property {number} [options.count] - The maximum number of entries; default: all entries.
+    * @property {string} [options.group] - Only includes update entries for this watch group.
+    *
+    * @returns {object[]}
+    */
+   getHistory(options = {})
+   {
+      return this.eventHistory ? this.eventHistory.get(options) : [];
+   }
+
+   /**
+    * Gets the current user settable options.
+    *
+    * @returns {{trigger: boolean, silent: boolean, verbose: boolean}}
+    */
+   getOptions()
+   {
+      return JSON.parse(JSON.stringify(this.options));
+   }
+
+   /**
+    * Returns the watch strategy for the given watch group name creating it from plugin options `strategies` or
+    * `strategy` on first use.
+    *
+    * @param {string}   name - The watch group name.
+    *
+    * @returns {WatchStrategy}
+    */
+   getStrategy(name)
+   {
+      if (!this.strategies[name])
+      {
+         const strategies = typeof this.pluginOptions.strategies === 'object' ? this.pluginOptions.strategies : {};
+
+         this.strategies[name] = new WatchStrategy(strategies[name] || this.pluginOptions.strategy || 'native');
+      }
+
+      return this.strategies[name];
+   }
+
+   /**
+    * Returns all active watch groups indexed by type / name including custom groups.
+    *
+    * @returns {object}
+    */
+   getWatchGroups()
+   {
+      const groups = {};
+
+      if (this.indexWatcher) { groups.index = this.indexWatcher; }
+      if (this.manualWatcher) { groups.manual = this.manualWatcher; }
+      if (this.sourceWatcher) { groups.source = this.sourceWatcher; }
+      if (this.testWatcher) { groups.test = this.testWatcher; }
+
+      return Object.assign(groups, this.customGroups);
+   }
+
+   /**
+    * Returns the relative paths of all files watched by the active watch groups; sorted.
+    *
+    * @returns {string[]}
+    */
+   getWatchedPaths()
+   {
+      const paths = new Set();
+
+      const watching = this.getWatching({ relative: true });
+
+      for (const type in watching)
+      {
+         const files = watching[type].files;
+
+         for (const dir in files)
+         {
+            for (const name of files[dir]) { paths.add(dir === '' ? name : path.join(dir, name)); }
+         }
+      }
+
+      return [...paths].sort();
+   }
+
+   /**
+    * Get the currently watched globs and files.
+    *
+    * @param {object}      [options] - Optional parameters.
+    * @property {boolean}  [options.relative] - If true then all directory paths in `files` is made relative to CWD.
+    *
+    * @returns {{index: {globs: Array, files: {}}, manual: {globs: Array, files: {}}, source: {globs: Array, files: {}}, test: {globs: Array, files: {}}}}
+    */
+   getWatching(options)
+   {
+      const indexGlobs = this.mainConfig.index ? [this.mainConfig.index] : [];
+      const indexFiles = this.indexWatcher ? this.indexWatcher.getWatched() : {};
+      const manualGlobs = this.manualGlobs && this.manualGlobs.all ? this.manualGlobs.all : [];
+      const manualFiles = this.manualWatcher ? this.manualWatcher.getWatched() : {};
+      const sourceGlobs = this.mainConfig._sourceGlobs ? this.mainConfig._sourceGlobs : [];
+      const sourceFiles = this.sourceWatcher ? this.sourceWatcher.getWatched() : {};
+      const testGlobs = this.mainConfig.test && this.mainConfig.test._sourceGlobs ? this.mainConfig.test._sourceGlobs : [];
+      const testFiles = this.testWatcher ? this.testWatcher.getWatched() : {};
+
+      const watching =
+      {
+         index: { globs: indexGlobs, files: indexFiles },
+         manual: { globs: manualGlobs, files: manualFiles },
+         source: { globs: sourceGlobs, files: sourceFiles },
+         test: { globs: testGlobs, files: testFiles }
+      };
+
+      for (const name in this.regenState.customGroupDefs)
+      {
+         watching[name] =
+         {
+            globs: this.regenState.customGroupDefs[name].globs,
+            files: this.customGroups[name] ? this.customGroups[name].getWatched() : {}
+         };
+      }
+
+      // Filter absolute paths converting them to relative.
+      if (typeof options === 'object' && typeof options.relative === 'boolean' && options.relative)
+      {
+         for (const type in watching)
+         {
+            const files = watching[type].files;
+
+            for (const key in files)
+            {
+               const relKey = path.relative('.', key);
+               files[relKey] = files[key];
+               delete files[key];
+            }
+         }
+      }
+
+      return watching;
+   }
+
+   /**
+    * Records a runtime glob edit, logs it and triggers `tjsdoc:system:watcher:globs:changed`.
+    *
+    * @param {string}   name - The watch group name.
+    * @param {string}   action - The edit action; one of `watch`, `unwatch` or `ignore`.
+    * @param {string}   value - The glob or ignore pattern.
+    */
+   globsChanged(name, action, value)
+   {
+      this.regenState.globEdits.record(name, action, value);
+
+      this.log(`tjsdoc-plugin-watcher - ${name} ${action}: ${value}`);
+
+      this.eventbus.trigger('tjsdoc:system:watcher:globs:changed',
+       { group: name, action, value, globs: this.getGlobs(), options: this.getOptions() });
+   }
+
+   /**
+    * Handles a keypress in hotkey mode executing the command bound to the key. `Ctrl-C` cancels any running async
+    * command otherwise `Ctrl-C` / `Ctrl-D` shutdown the watcher and `l` switches to line mode. A hotkey for a boolean
+    * option command toggles its state and for an enum option command cycles to the next value.
+    *
+    * @param {string}   str - The typed character.
+    * @param {object}   [key] - The keypress data from `readline.emitKeypressEvents`.
+    */
+   handleKeypress(str, key = {})
+   {
+      if (key.ctrl && key.name === 'c' && this.cancelCommand()) { return; }
+
+      if (key.ctrl && (key.name === 'c' || key.name === 'd'))
+      {
+         this.closeTerminal();
+         setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown'));
+         return;
+      }
+
+      if (key.ctrl || key.meta || typeof str !== 'string') { return; }
+
+      if (str === s_LINE_MODE_HOTKEY)
+      {
+         this.setTerminalMode('line');
+         this.logOutput(`tjsdoc-plugin-watcher - line mode; type 'hotkeys on' for hotkey mode.`);
+         this.showPrompt();
+         return;
+      }
+
+      const name = this.hotkeys[str];
+
+      if (typeof name !== 'string' || typeof this.commands[name] !== 'object') { return; }
+
+      const optionType = this.optionTypes[name];
+
+      // Boolean options toggle and enum options cycle to the next value.
+      let line = name;
+
+      if (optionType && optionType.type === 'boolean')
+      {
+         line = `${name} ${this.options[name] ? 'off' : 'on'}`;
+      }
+      else if (optionType && optionType.type === 'enum')
+      {
+         const next = (optionType.values.indexOf(this.options[name]) + 1) % optionType.values.length;
+
+         line = `${name} ${optionType.values[next]}`;
+      }
+
+      this.runCommand(line).then((executed) =>
+      {
+         // Changed options are logged as there is no typed command line for feedback.
+         if (executed && line !== name)
+         {
+            const value = this.options[name];
+
+            this.logOutput(`tjsdoc-plugin-watcher - ${name}: ${
+             typeof value === 'boolean' ? value ? 'on' : 'off' : value}`);
+         }
+      });
+   }
+
+   /**
+    * Completes a headless run by shutting down the watcher.
+    *
+    * @param {string}   reason - The reason the run completed; IE `settled`, `maxDuration` or `maxRegens`.
+    */
+   headlessComplete(reason)
+   {
+      if (!this.running || this.headlessReason) { return; }
+
+      this.headlessReason = reason;
+
+      setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown'));
+   }
+
+   /**
+    * Restarts the headless settle timer.
+    */
+   headlessSettle()
+   {
+      if (this.headlessSettleTimeout) { clearTimeout(this.headlessSettleTimeout); }
+
+      this.headlessSettleTimeout = setTimeout(() => this.headlessComplete('settled'), this.headlessOptions.settle);
+   }
+
+   /**
+    * Starts the headless timers once all watch groups have started. The maximum duration is measured from the start
+    * of the run including any regeneration cycles.
+    */
+   headlessStart()
+   {
+      const headlessRun = this.regenState.headlessRun, options = this.headlessOptions;
+
+      if (options.maxRegens > 0 && headlessRun.regens >= options.maxRegens)
+      {
+         this.headlessComplete('maxRegens');
+         return;
+      }
+
+      if (options.maxDuration > 0)
+      {
+         this.headlessDurationTimeout = setTimeout(() => this.headlessComplete('maxDuration'),
+          Math.max(0, headlessRun.startTime + options.maxDuration - Date.now()));
+      }
+
+      this.headlessSettle();
+   }
+
+   /**
+    * Stops the headless timers.
+    */
+   headlessStop()
+   {
+      if (this.headlessSettleTimeout) { clearTimeout(this.headlessSettleTimeout); }
+      if (this.headlessDurationTimeout) { clearTimeout(this.headlessDurationTimeout); }
+
+      this.headlessSettleTimeout = void 0;
+      this.headlessDurationTimeout = void 0;
+   }
+
+   /**
+    * Provides an `ignores` function consumable by chokidar `options.ignored` for custom watch groups. When no includes
+    * are defined all files are included.
+    *
+    * @param {string}   path - file / directory path.
+    * @param {Object}   stats - fs.Stats instance (may be undefined)
+    * @param {object}   def - The custom watch group definition with `_includes` and `_excludes`.
+    *
+    * @returns {boolean} false for not ignore; true to ignore file / directory.
+    */
+   ignoredGroup(path, stats, def)
+   {
+      const config = def._includes.length > 0 ? def : { _includes: [/./], _excludes: def._excludes };
+
+      let ignored = false;
+
+      // Attempt to retrieve fs.Stats; this may fail, but match against the path regardless.
+      try { stats = stats || this.backend.lstat(path); }
+      catch (err) { ignored = this.ignoredMatch(path, config); }
+
+      // Match all files.
+      if (stats && stats.isFile()) { ignored = this.ignoredMatch(path, config); }
+
+      return ignored;
+   }
+
+   /**
+    * Performs the ignored match against the path against the `_includes` and `_excludes` entries in the given
+    * `mainConfig` object.
+    *
+    * @param {string}   path - file / directory path.
+    *
+    * @param {object}   mainConfig - object to use for `_includes` and `_excludes`.
+    *
+    * @returns {boolean}
+    */
+   ignoredMatch(path, mainConfig)
+   {
+      let ignored = false;
+
+      let match = false;
+
+      for (const reg of mainConfig._includes)
+      {
+         if (path.match(reg))
+         {
+            match = true;
+            break;
+         }
+      }
+
+      if (!match) { ignored = true; }
+
+      for (const reg of mainConfig._excludes)
+      {
+         if (path.match(reg)) { ignored = true; }
+      }
+
+      return ignored;
+   }
+
+   /**
+    * Provides an `ignores` function consumable by chokidar `options.ignored`. `mainConfig._includes` and `mainConfig._excludes`
+    * is used to provide additional file filtering.
+    *
+    * @param {string}   path - file / directory path.
+    * @param {Object}   stats - fs.Stats instance (may be undefined)
+    *
+    * @returns {boolean} false for not ignore; true to ignore file / directory.
+    */
+   ignoredSource(path, stats)
+   {
+      let ignored = false;
+
+      // Attempt to retrieve fs.Stats; this may fail, but match against the path regardless.
+      try { stats = stats || this.backend.lstat(path); }
+      catch (err) { ignored = this.ignoredMatch(path, this.mainConfig); }
+
+      // Match all files.
+      if (stats && stats.isFile()) { ignored = this.ignoredMatch(path, this.mainConfig); }
+
+      return ignored;
+   }
+
+   /**
+    * Provides an `ignores` function consumable by chokidar `options.ignored`. `mainConfig.test._includes` and
+    * `mainConfig.test._excludes` is used to provide additional file filtering.
+    *
+    * @param {string}   path - file / directory path.
+    * @param {Object}   stats - fs.Stats instance (may be undefined)
+    *
+    * @returns {boolean} false for not ignore; true to ignore file / directory.
+    */
+   ignoredTest(path, stats)
+   {
+      let ignored = false;
+
+      // Attempt to retrieve fs.Stats; this may fail, but match against the path regardless.
+      try { stats = stats || this.backend.lstat(path); }
+      catch (err) { ignored = this.ignoredMatch(path, this.mainConfig.test); }
+
+      // Match all files.
+      if (stats && stats.isFile()) { ignored = this.ignoredMatch(path, this.mainConfig.test); }
+
+      return ignored;
+   }
+
+   /**
+    * Adds an exclude regex pattern at runtime to an active watch group.
+    *
+    * @param {string}   name - The watch group name.
+    * @param {string}   pattern - The exclude regex pattern.
+    *
+    * @returns {Promise} A promise resolved once the group has restarted or rejected if the restart fails.
+    */
+   ignorePattern(name, pattern)
+   {
+      if (!this.getWatchGroups()[name]) { throw new Error(`unknown or inactive watch group: ${name}`); }
+
+      return this.addGroupExclude(name, pattern).then(() => this.globsChanged(name, 'ignore', pattern));
+   }
+
+   /**
+    * Performs setup and initialization of all chokidar watcher instances and the readline terminal.
+    *
+    * @param {TJSDocConfig} mainConfig - The TJSDoc config object.
+    */
+   initialize(mainConfig)
+   {
+      /**
+       * The target project TJSDocConfig object.
+       * @type {TJSDocConfig}
+       */
+      this.mainConfig = mainConfig;
+
+      this.running = true;
+
+      // Initialization after a regeneration of all documentation completes the regeneration.
+      if (typeof this.regenState.regenStartTime === 'number')
+      {
+         const duration = Date.now() - this.regenState.regenStartTime;
+
+         this.regenState.lastRegen = { duration, time: new Date().toISOString() };
+         this.regenState.regenStartTime = void 0;
+
+         this.logVerbose(`tjsdoc-plugin-watcher - regeneration completed in ${duration} ms.`);
+      }
+
+      // Potentially obtain manual glob object hash from publisher module which lists manual files to watch under the
+      // entry 'all' and by section under `sections`.
+      {
+         const globs = this.eventProxy.triggerSync('tjsdoc:data:config:publisher:manual:globs:get');
+
+         // Set only if it is an object and has `all` and `sections` entries.
+         if (typeof globs === 'object' && globs.all && globs.sections) { this.manualGlobs = globs; }
+      }
+
+      // Apply any persisted runtime glob edits before watch groups are created.
+      for (const name of [...s_BUILTIN_GROUPS, ...Object.keys(this.regenState.customGroupDefs)])
+      {
+         this.applyGlobEdits(name);
+      }
+
+      this.eventProxy.on('tjsdoc:system:watcher:livereload', this.liveReload, this);
+      this.eventProxy.on('tjsdoc:system:watcher:shutdown', this.shutdownCallback, this);
+      this.eventProxy.on('tjsdoc:system:watcher:started', this.runStartupCommands, this);
+      this.eventProxy.on('tjsdoc:system:watcher:watching:get', this.getWatching, this);
+      this.eventProxy.on('tjsdoc:system:watcher:terminal:log', this.log, this);
+      this.eventProxy.on('tjsdoc:system:watcher:terminal:log:verbose', this.logVerbose, this);
+
+      // In replay mode no watch groups are created and only the journal is replayed.
+      if (this.replayOptions)
+      {
+         this.log(`tjsdoc-plugin-watcher - replay mode: ${this.replayOptions.file}`);
+
+         process.on('SIGINT', this.sigintListener);
+
+         this.eventbus.trigger('tjsdoc:system:watcher:started',
+         {
+            source: { globs: [], files: {} },
+            test: { globs: [], files: {} },
+            index: { globs: [], files: {} },
+            manual: { globs: [], files: {} }
+         });
+
+         if (this.headlessOptions) { this.headlessStart(); }
+
+         try
+         {
+            this.replayJournal(this.replayOptions.file, this.replayOptions.speed);
+         }
+         catch (err)
+         {
+            this.logWarn(`tjsdoc-plugin-watcher - journal replay error: ${err.message}`);
+         }
+
+         return;
+      }
+
+      const watcherPromises = [];
+
+      if (this.backend.exists(mainConfig.index))
+      {
+         this.log(`tjsdoc-plugin-watcher - watching index: ${mainConfig.index}`);
+
+         this.indexWatcher = new WatchGroup(this, mainConfig.index, 'index');
+
+         watcherPromises.push(this.indexWatcher.initialize(this.chokidarOptions));
+      }
+
+      if (this.manualGlobs && this.manualGlobs.all.length > 0)
+      {
+         this.log(`tjsdoc-plugin-watcher - watching manual globs: ${JSON.stringify(this.manualGlobs.all)}`);
+
+         this.manualWatcher = new ManualWatchGroup(this, this.manualGlobs, 'manual');
+
+         watcherPromises.push(this.manualWatcher.initialize(this.chokidarOptions));
+      }
+
+      if (mainConfig._sourceGlobs)
+      {
+         this.log(`tjsdoc-plugin-watcher - watching source globs: ${JSON.stringify(mainConfig._sourceGlobs)}`);
+
+         this.sourceWatcher = new WatchGroup(this, mainConfig._sourceGlobs, 'source');
+
+         watcherPromises.push(this.sourceWatcher.initialize(this.chokidarOptions, this.ignoredSource.bind(this)));
+      }
+
+      if (mainConfig.test && mainConfig.test._sourceGlobs)
+      {
+         this.log(`tjsdoc-plugin-watcher - watching test globs: ${JSON.stringify(mainConfig.test._sourceGlobs)}`);
+
+         this.testWatcher = new WatchGroup(this, mainConfig.test._sourceGlobs, 'test');
+
+         watcherPromises.push(this.testWatcher.initialize(this.chokidarOptions, this.ignoredTest.bind(this)));
+      }
+
+      for (const name in this.regenState.customGroupDefs) { watcherPromises.push(this.initializeGroup(name)); }
+
+      if (this.configReload !== false && typeof this.configFile === 'string' && fs.existsSync(this.configFile))
+      {
+         this.configWatcher = new ConfigWatcher(this.configFile, this.configChanged.bind(this),
+          this.configError.bind(this));
+
+         try
+         {
+            this.configWatcher.initialize().then((files) =>
+             this.logVerbose(`tjsdoc-plugin-watcher - watching config: ${JSON.stringify(files)}`),
+              (err) => this.configError(err));
+         }
+         catch (err)
+         {
+            this.configError(err);
+            this.configWatcher = void 0;
+         }
+      }
+
+      Promise.all(watcherPromises).then((results) =>
+      {
+         const watcherStartData = Object.assign(
+         {
+            source: { globs: [], files: {} },
+            test: { globs: [], files: {} },
+            index: { globs: [], files: {} },
+            manual: { globs: [], files: {} }
+         }, ...results);
+
+         if (this.hashContent)
+         {
+            for (const type in watcherStartData) { this.fileHashCache.primeWatched(watcherStartData[type].files); }
+         }
+
+         if (this.dependencyGraph)
+         {
+            this.dependencyGraph.primeWatched(watcherStartData.source.files, 'source');
+            this.dependencyGraph.primeWatched(watcherStartData.test.files, 'test');
+         }
+
+         // Collect the current manifest before `started` is triggered as listeners may modify the start data.
+         const manifestFiles = this.fileManifest ? this.collectManifest(watcherStartData) : void 0;
+
+         if (!this.headlessOptions)
+         {
+            this.log(this.terminal && this.terminalMode === 'hotkey' ?
+             `tjsdoc-plugin-watcher - press '?' for hotkeys.` :
+              this.terminal && this.terminalMode === 'dashboard' ?
+               `tjsdoc-plugin-watcher - type 'help' for options or 'dashboard off' for line mode.` :
+                `tjsdoc-plugin-watcher - type 'help' for options.`);
+         }
+
+         this.eventbus.trigger('tjsdoc:system:watcher:started', watcherStartData);
+
+         if (manifestFiles) { this.triggerOfflineChanges(manifestFiles); }
+
+         if (this.headlessOptions && this.running) { this.headlessStart(); }
+      }, (err) =>
+      {
+         // Only watch group initialization errors are reported here; errors thrown after the watch groups are ready
+         // such as by `started` listeners are reported below.
+         this.reportInitializeError(err);
+      }).catch((err) =>
+      {
+         const message = typeof err === 'object' && err.message ? err.message : String(err);
+
+         this.logWarn(`tjsdoc-plugin-watcher - watcher started error: ${message}`);
+
+         this.eventbus.trigger('tjsdoc:system:watcher:error', { type: 'started', message, recovery: 'none' });
+      });
+
+      if (watcherPromises.length > 0)
+      {
+         if (this.liveReloadOptions && !this.regenState.liveReloadServer && typeof mainConfig.destination === 'string')
+         {
+            const liveReloadServer = new LiveReloadServer(Object.assign({}, this.liveReloadOptions,
+             {
+                destination: mainConfig.destination,
+                onReload: (type, clients) =>
+                 this.logVerbose(`tjsdoc-plugin-watcher - live-reload (${type}) pushed to ${clients} client(s).`)
+             }));
+
+            this.regenState.liveReloadServer = liveReloadServer;
+
+            liveReloadServer.initialize().then((serverURL) =>
+            {
+               this.log(`tjsdoc-plugin-watcher - live-reload server: ${serverURL}`);
+            }, (err) =>
+            {
+               this.logWarn(`tjsdoc-plugin-watcher - live-reload server error: ${err.message}`);
+               liveReloadServer.close();
+               this.regenState.liveReloadServer = void 0;
+            });
+         }
+
+         if (this.serverOptions && this.regenState.controlServer)
+         {
+            // The control server persists across regeneration; stream the events of this watcher.
+            this.regenState.controlServer.setWatcherHost(this);
+         }
+         else if (this.serverOptions)
+         {
+            const controlServer = new ControlServer(this, this.serverOptions);
+
+            this.regenState.controlServer = controlServer;
+
+            controlServer.initialize().then((serverURL) =>
+            {
+               this.log(`tjsdoc-plugin-watcher - control server: ${serverURL}${this.pluginOptions.server.token ? '' :
+                ` (token: ${this.serverOptions.token})`}`);
+            }, (err) =>
+            {
+               this.logWarn(`tjsdoc-plugin-watcher - control server error: ${err.message}`);
+               controlServer.close();
+               this.regenState.controlServer = void 0;
+            });
+         }
+
+         // If there is no terminal enabled hook into process SIGINT event. Otherwise set the terminal mode; in line
+         // mode a readline loop waits for the user to type in the commands listed by `help` and in hotkey mode single
+         // keypresses execute commands; see `initializeCommands` and `setTerminalMode`. Both modes handle SIGINT
+         // (`Ctrl-C`) & SIGHUP (`Ctrl-D`) by shutting down. The terminal is always disabled in headless mode.
+         if (!this.terminal || this.headlessOptions)
+         {
+            process.on('SIGINT', this.sigintListener);
+         }
+         else
+         {
+            try
+            {
+               this.setTerminalMode(this.terminalMode);
+            }
+            catch (err)
+            {
+               this.logWarn(`tjsdoc-plugin-watcher - ${err.message} Using line mode.`);
+
+               this.setTerminalMode('line');
+            }
+
+            this.eventbus.trigger('tjsdoc:system:watcher:initialized', this.getGlobs());
+         }
+      }
+      else
+      {
+         this.log('tjsdoc-plugin-watcher: no main source or tests to watch.');
+      }
+   }
+
+   /**
+    * Initializes all built-in terminal commands:
+    *
+    * `exit`      - Shutdown watcher and exit TJSDoc execution.
+    * `globs`     - List the source and test globs being watched.
+    * `help`      - Log a listing of commands.
+    * `history`   - [n] [group], logs the most recent recorded watcher events.
+    * `hotkeys`   - <on|off>, switches between single keypress hotkey mode and line mode.
+    * `ignore`    - <group> <pattern>, adds an exclude regex pattern to a watch group.
+    * `trigger`   - <on|off>, turns on / off triggering watcher events.
+    * `pause`     - <group>, pauses a watch group queueing its updates.
+    * `regen`     - Regenerates all documentation.
+    * `replay`    - <file> [speed], replays the updates of a recorded journal.
+    * `resume`    - <group> [replay|discard], resumes a paused watch group replaying or discarding queued updates.
+    * `silent`    - <on|off>, turns on / off logging.
+    * `status`    - Logs current optional status.
+    * `unwatch`   - <group> <glob>, removes a glob from a watch group.
+    * `verbose`   - <on|off>, turns on / off verbose logging.
+    * `watch`     - <group> <glob>, adds a glob to a watch group.
+    * `watching`  - Logs the files being watched.
+    * `why`       - <path>, explains which globs, includes and excludes match a path for each watch group.
+    */
+   initializeCommands()
+   {
+      // Completes active watch group names.
+      const completeGroup = () => Object.keys(this.getWatchGroups());
+
+      this.addCommand(
+      {
+         name: 'alias',
+         description: 'lists aliases or defines an alias for a command line; IE alias quiet "silent on; verbose off"',
+         args: [
+            { name: 'name', optional: true, complete: () => Object.keys(this.regenState.aliases) },
+            { name: 'commands', optional: true, rest: true }
+         ],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            if (args.commands.length > 0)
+            {
+               this.addAlias(args.name, args.commands.join(' '));
+            }
+            else
+            {
+               const names = typeof args.name === 'string' ? [args.name] : Object.keys(this.regenState.aliases).sort();
+
+               if (typeof args.name === 'string' && typeof this.regenState.aliases[args.name] !== 'string')
+               {
+                  throw new Error(`unknown alias '${args.name}'.`);
+               }
+
+               this.logOutput(`tjsdoc-plugin-watcher - aliases:`);
+
+               for (const name of names)
+               {
+                  this.logOutput(`  ${name}: ${this.regenState.aliases[name]}`);
+               }
+            }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'dashboard',
+         description: 'switches between the full-screen dashboard and line mode; toggles without state',
+         hotkey: 'd',
+         args: [{ name: 'state', type: 'boolean', optional: true }],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            if (!this.readline && !this.keypressListener)
+            {
+               throw new Error('dashboard command requires the interactive terminal.');
+            }
+
+            const state = typeof args.state === 'boolean' ? args.state : this.terminalMode !== 'dashboard';
+
+            if (state)
+            {
+               this.setTerminalMode('dashboard');
+            }
+            else if (this.terminalMode === 'dashboard')
+            {
+               this.setTerminalMode('line');
+               this.logOutput('tjsdoc-plugin-watcher - line mode.');
+            }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'exit',
+         description: 'shutdown watcher',
+         hotkey: 'q',
+         exec: () => setImmediate(() =>
+         {
+            // Without a terminal, IE when invoked from the control server, shutdown directly.
+            if (this.readline) { this.readline.close(); }
+            else { this.eventbus.trigger('tjsdoc:system:watcher:shutdown'); }
+         })
+      });
+
+      this.addCommand(
+      {
+         name: 'globs',
+         description: 'list globs being watched',
+         exec: ({ mainConfig, showPrompt } = {}) =>
+         {
+            if (this.backend.exists(mainConfig.index))
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching index: ${mainConfig.index}`);
+            }
+
+            if (this.manualGlobs && this.manualGlobs.all.length > 0)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching manual globs: ${
+                JSON.stringify(this.manualGlobs.all)}`);
+            }
+
+            if (mainConfig._sourceGlobs)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching source globs: ${
+                JSON.stringify(mainConfig._sourceGlobs)}`);
+            }
+
+            if (mainConfig.test && mainConfig.test._sourceGlobs)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching test globs: ${
+                JSON.stringify(mainConfig.test._sourceGlobs)}`);
+            }
+
+            for (const name in this.regenState.customGroupDefs)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching ${name} globs: ${
+                JSON.stringify(this.regenState.customGroupDefs[name].globs)}`);
+            }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'help',
+         description: 'this listing of commands',
+         hotkey: '?',
+         exec: ({ showPrompt } = {}) =>
+         {
+            this.logOutput(`tjsdoc-plugin-watcher - options:`);
+
+            Object.keys(this.commands).sort().forEach((key) =>
+            {
+               const next = this.commands[key];
+               const hotkey = typeof next.hotkey === 'string' ? ` (${next.hotkey})` : '';
+
+               // Usage is generated for commands with a spec.
+               const usages = this.commandSpecs[key] ? this.commandSpecs[key].getUsages() :
+                [{ usage: next.name, description: next.description }];
+
+               for (const entry of usages)
+               {
+                  this.logOutput(`  '${entry.usage}'${hotkey}, ${entry.description || next.description}`);
+               }
+            });
+
+            for (const name of Object.keys(this.regenState.aliases).sort())
+            {
+               this.logOutput(`  '${name}', alias for '${this.regenState.aliases[name]}'`);
+            }
+
+            this.logOutput(`  separate commands with ';' to run them in order.`);
+
+            if (this.terminalMode === 'hotkey')
+            {
+               this.logOutput(`  press a hotkey to execute a command; '${s_LINE_MODE_HOTKEY}' switches to line mode.`);
+            }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'history',
+         description: 'logs the most recent recorded watcher events; default: 20',
+         args: [
+            { name: 'n', type: 'number', optional: true, defaultValue: 20 },
+            { name: 'group', optional: true, complete: completeGroup }
+         ],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            const entries = this.getHistory({ count: args.n, group: args.group });
+
+            this.logOutput(`tjsdoc-plugin-watcher - history (${entries.length} entries):`);
+
+            for (const entry of entries)
+            {
+               const details = entry.event === 'update' && typeof entry.data === 'object' ?
+                `${entry.data.type} ${entry.data.action} ${entry.data.path}` :
+                 typeof entry.data !== 'undefined' ? JSON.stringify(entry.data) : '';
+
+               this.logOutput(`  ${entry.time} ${entry.event} ${details}`);
+            }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'hotkeys',
+         description: 'switches between single keypress hotkey mode and line mode',
+         args: [{ name: 'state', type: 'boolean' }],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            if (!this.readline && !this.keypressListener)
+            {
+               throw new Error('hotkeys command requires the interactive terminal.');
+            }
+
+            this.setTerminalMode(args.state ? 'hotkey' : 'line');
+
+            this.logOutput(args.state ?
+             `tjsdoc-plugin-watcher - hotkey mode; press '?' for hotkeys or '${s_LINE_MODE_HOTKEY
+              }' for line mode.` : `tjsdoc-plugin-watcher - line mode.`);
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'ignore',
+         description: 'adds an exclude regex pattern to a watch group',
+         args: [{ name: 'group', complete: completeGroup }, { name: 'pattern', pattern: true }],
+         exec: ({ args } = {}) => this.ignorePattern(args.group, args.pattern)
+      });
+
+      this.addCommand(
+      {
+         name: 'pause',
+         description: 'pauses a watch group queueing its updates',
+         args: [{ name: 'group', complete: () => completeGroup().filter((name) => !this.pausedGroups[name]) }],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            this.pauseGroup(args.group);
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'regen',
+         description: 'regenerate all documentation',
+         hotkey: 'r',
+         exec: () => setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown', { regenerate: true }))
+      });
+
+      this.addCommand(
+      {
+         name: 'replay',
+         description: 'replays the updates of a recorded journal',
+         args: [{ name: 'file' }, { name: 'speed', type: 'number', optional: true, defaultValue: 1 }],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            this.replayJournal(args.file, args.speed);
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'resume',
+         description: 'resumes a paused watch group replaying or discarding queued updates',
+         args: [
+            { name: 'group', complete: () => Object.keys(this.pausedGroups) },
+            { name: 'queued', type: 'enum', values: ['replay', 'discard'], optional: true }
+         ],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            this.resumeGroup(args.group, typeof args.queued === 'string' ? args.queued === 'replay' : void 0);
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'silent',
+         description: 'turns on / off logging',
+         type: 'optional'
+      });
+
+      this.addCommand(
+      {
+         name: 'status',
+         description: 'logs current optional status',
+         hotkey: 's',
+         exec: ({ showPrompt } = {}) =>
+         {
+            this.logOutput('tjsdoc-plugin-watcher - status:');
+
+            const keys = Object.keys(this.options);
+            keys.sort();
+
+            // Log current optional state.
+            for (const key of keys)
+            {
+               this.logOutput(`  ${key}: ${this.options[key]}`);
+            }
+
+            if (this.hashContent)
+            {
+               this.logOutput(`  suppressed changes: ${this.suppressedCount}`);
+            }
+
+            const groups = this.getWatchGroups();
+
+            for (const name in groups)
+            {
+               this.logOutput(`  ${name} strategy: ${groups[name].getStrategy()}`);
+            }
+
+            for (const name in this.pausedGroups)
+            {
+               this.logOutput(`  ${name} paused: ${this.pausedGroups[name].length} queued update(s)`);
+            }
+
+            this.logOutput('');
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'trigger',
+         description: 'turns on / off triggering watcher events',
+         hotkey: 't',
+         type: 'optional'
+      });
+
+      this.addCommand(
+      {
+         name: 'unalias',
+         description: 'removes an alias',
+         args: [{ name: 'name', complete: () => Object.keys(this.regenState.aliases) }],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            if (!this.removeAlias(args.name)) { throw new Error(`unknown alias '${args.name}'.`); }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'unwatch',
+         description: 'removes a glob from a watch group',
+         args: [
+            { name: 'group', complete: completeGroup },
+            { name: 'glob', pattern: true, complete: (previous) => this.getGroupGlobs(previous[0]) || [] }
+         ],
+         exec: ({ args } = {}) => this.unwatchGlob(args.group, args.glob)
+      });
+
+      this.addCommand(
+      {
+         name: 'verbose',
+         description: 'turns on / off verbose logging',
+         hotkey: 'v',
+         type: 'optional'
+      });
+
+      this.addCommand(
+      {
+         name: 'watch',
+         description: 'adds a glob to a watch group',
+         args: [{ name: 'group', complete: completeGroup }, { name: 'glob', pattern: true }],
+         exec: ({ args } = {}) => this.watchGlob(args.group, args.glob)
+      });
+
+      this.addCommand(
+      {
+         name: 'watching',
+         description: 'the files being watched',
+         exec: ({ showPrompt } = {}) =>
+         {
+            if (this.indexWatcher)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching index files: ${
+                JSON.stringify(this.indexWatcher.getWatched())}`);
+            }
+
+            if (this.manualWatcher)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching manual files: ${
+                JSON.stringify(this.manualWatcher.getWatched())}`);
+            }
+
+            if (this.sourceWatcher)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching source files: ${
+                JSON.stringify(this.sourceWatcher.getWatched())}`);
+            }
+
+            if (this.testWatcher)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching test files: ${
+                JSON.stringify(this.testWatcher.getWatched())}`);
+            }
+
+            for (const name in this.customGroups)
+            {
+               this.logOutput(`tjsdoc-plugin-watcher - watching ${name} files: ${
+                JSON.stringify(this.customGroups[name].getWatched())}`);
+            }
+
+            showPrompt();
+         }
+      });
+
+      this.addCommand(
+      {
+         name: 'why',
+         description: 'explains which globs, includes and excludes match a path',
+         args: [{ name: 'path', complete: () => this.getWatchedPaths() }],
+         exec: ({ args, showPrompt } = {}) =>
+         {
+            const result = this.explainPath(args.path);
+
+            this.logOutput(`tjsdoc-plugin-watcher - ${result.message}`);
+
+            for (const entry of result.groups)
+            {
+               this.logOutput(`  ${entry.group}${entry.active ? '' : ' (inactive)'}: ${
+                entry.verdict}; glob: ${entry.glob || '-'}, include: ${entry.include || '-'}, exclude: ${
+                 entry.exclude || '-'}`);
+            }
+
+            showPrompt();
+         }
+      });
+   }
+
+   /**
+    * Creates and initializes the custom watch group for the given registered name.
+    *
+    * @param {string}   name - The custom watch group name.
+    *
+    * @returns {Promise} A promise resolved with the watch start data when the group is ready.
+    */
+   initializeGroup(name)
+   {
+      const def = this.regenState.customGroupDefs[name];
+
+      this.log(`tjsdoc-plugin-watcher - watching ${name} globs: ${JSON.stringify(def.globs)}`);
+
+      const group = new WatchGroup(this, def.globs, name, def.onlyChanges, def.decorator);
+
+      this.customGroups[name] = group;
+
+      // The ignore function is always provided as excludes may be added at runtime.
+      const ignored = (path, stats) => this.ignoredGroup(path, stats, def);
+
+      return group.initialize(this.chokidarOptions, ignored).then((watchStartData) =>
+      {
+         if (this.hashContent) { this.fileHashCache.primeWatched(watchStartData[name].files); }
+
+         return watchStartData;
+      });
+   }
+
+   /**
+    * Pushes a reload to all live-reload clients if the live-reload server is running.
+    *
+    * @param {object}      [options] - Optional parameters.
+    * @property {boolean}  [options.css=false] - If true only stylesheets are refreshed.
+    */
+   liveReload(options)
+   {
+      if (!this.regenState.liveReloadServer) { return; }
+
+      this.regenState.liveReloadServer.reload(typeof options === 'object' && options.css === true ? 'css' : 'reload');
+   }
+
+   /**
+    * Outputs a log message if not `silent`. If the terminal prompt is visible then a new line is output first and any
+    * busy indicator is cleared.
+    *
+    * @param {string}   message - The log message.
+    * @param {object}   [fields] - Additional log entry fields; IE `{ group, action, path }`.
+    */
+   log(message, fields)
+   {
+      if (!this.options.silent && this.options.trigger)
+      {
+         this.busyIndicator.clear();
+
+         if (this.promptVisible)
+         {
+            console.log('');
+            this.promptVisible = false;
+         }
+
+         this.logSink.write('info', message, fields);
+      }
+   }
+
+   /**
+    * Outputs terminal command output regardless of `silent`; IE help and status listings. The output is also passed
+    * to the output callback of the executing command if any.
+    *
+    * @param {string}   message - The output line.
+    */
+   logOutput(message)
+   {
+      this.busyIndicator.clear();
+
+      this.logSink.write('output', message);
+
+      if (typeof this.commandOutput === 'function') { this.commandOutput(message); }
+   }
+
+   /**
+    * Outputs a log message if not `silent` and `verbose` mode is enabled. If the terminal prompt is visible then a
+    * new line is output first and any busy indicator is cleared.
+    *
+    * @param {string}   message - The log message.
+    * @param {object}   [fields] - Additional log entry fields; IE `{ group, action, path }`.
+    */
+   logVerbose(message, fields)
+   {
+      if (this.options.verbose && !this.options.silent && this.options.trigger)
+      {
+         this.busyIndicator.clear();
+
+         if (this.promptVisible)
+         {
+            console.log('');
+            this.promptVisible = false;
+         }
+
+         this.logSink.write('verbose', message, fields);
+      }
+   }
+
+   /**
+    * Outputs a warning regardless of `silent`.
+    *
+    * @param {string}   message - The warning message.
+    * @param {object}   [fields] - Additional log entry fields.
+    */
+   logWarn(message, fields)
+   {
+      this.busyIndicator.clear();
+
+      if (this.promptVisible)
+      {
+         console.log('');
+         this.promptVisible = false;
+      }
+
+      this.logSink.write('warn', message, fields);
+   }
+
+   /**
+    * Pauses a watch group queueing its updates until resumed. Triggers `tjsdoc:system:watcher:group:paused`.
+    *
+    * @param {string}   name - The watch group name.
+    *
+    * @returns {boolean} True if the group was paused; false if already paused.
+    */
+   pauseGroup(name)
+   {
+      if (typeof name !== 'string') { throw new TypeError(`'name' is not a 'string'.`); }
+
+      if (!s_BUILTIN_GROUPS.includes(name) && !this.regenState.customGroupDefs[name])
+      {
+         throw new Error(`unknown watch group: ${name}`);
+      }
+
+      if (this.pausedGroups[name]) { return false; }
+
+      this.pausedGroups[name] = [];
+
+      this.log(`tjsdoc-plugin-watcher - ${name} watch group paused.`);
+
+      this.eventbus.trigger('tjsdoc:system:watcher:group:paused', { name });
+
+      return true;
+   }
+
+   /**
+    * Handles any SIGINT received by `process`.
+    */
+   processInterruptCallback()
+   {
+      if (this.promptVisible) { console.log(''); }
+
+      this.logWarn('tjsdoc-plugin-watcher - received SIGINT; shutting down.');
+
+      setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown'));
+   }
+
+   /**
+    * Records watcher events in the event history; see `s_HISTORY_EVENTS`.
+    *
+    * @param {string}   name - The event name.
+    * @param {*}        data - The event data.
+    */
+   recordHistory(name, data)
+   {
+      if (typeof name !== 'string' || !name.startsWith('tjsdoc:system:watcher:')) { return; }
+
+      const event = name.substring(22);
+
+      if (s_HISTORY_EVENTS.includes(event)) { this.eventHistory.add(event, data); }
+   }
+
+   /**
+    * Replays the updates of a recorded journal stopping any active replay. Triggers
+    * `tjsdoc:system:watcher:replay:complete` once all updates are replayed.
+    *
+    * @param {string}   filePath - The JSONL journal file path.
+    * @param {number}   [speed=1] - The replay speed multiplier; 0 replays immediately.
+    *
+    * @returns {Promise<number>} A promise resolved with the count of replayed updates; undefined if stopped.
+    */
+   replayJournal(filePath, speed = 1)
+   {
+      if (this.journalReplay) { this.journalReplay.stop(); }
+
+      const journalReplay = new JournalReplay(this, filePath, speed);
+
+      this.journalReplay = journalReplay;
+
+      this.log(`tjsdoc-plugin-watcher - replaying journal: ${filePath}${speed !== 1 ? ` (speed: ${speed})` : ''}`);
+
+      return journalReplay.start().then((count) =>
+      {
+         this.journalReplay = void 0;
+
+         this.log(`tjsdoc-plugin-watcher - journal replay complete: ${count} update(s).`);
+
+         this.eventbus.trigger('tjsdoc:system:watcher:replay:complete', { file: filePath, count });
+
+         return count;
+      }, (err) =>
+      {
+         if (this.journalReplay === journalReplay) { this.journalReplay = void 0; }
+
+         this.logVerbose(`tjsdoc-plugin-watcher - ${err.message}: ${filePath}`);
+      });
+   }
+
+   /**
+    * Removes an alias.
+    *
+    * @param {string}   name - The alias name.
+    *
+    * @returns {boolean} True if the alias was removed.
+    */
+   removeAlias(name)
+   {
+      if (typeof this.regenState.aliases[name] !== 'string') { return false; }
+
+      delete this.regenState.aliases[name];
+
+      return true;
+   }
+
+   /**
+    * Removes a custom named watch group closing it if active.
+    *
+    * @param {string}   name - The custom watch group name.
+    *
+    * @returns {boolean} True if a custom group was removed.
+    */
+   removeGroup(name)
+   {
+      if (typeof name !== 'string') { throw new TypeError(`'name' is not a 'string'.`); }
+
+      if (this.customGroups[name])
+      {
+         this.customGroups[name].close();
+         delete this.customGroups[name];
       }
 
-      if (!match) { ignored = true; }
-
-      for (const reg of mainConfig._excludes)
+      if (this.regenState.customGroupDefs[name])
       {
-         if (path.match(reg)) { ignored = true; }
+         delete this.regenState.customGroupDefs[name];
+         return true;
       }
 
-      return ignored;
+      return false;
    }
 
    /**
-    * Provides an `ignores` function consumable by chokidar `options.ignored`. `mainConfig._includes` and `mainConfig._excludes`
-    * is used to provide additional file filtering.
-    *
-    * @param {string}   path - file / directory path.
-    * @param {Object}   stats - fs.Stats instance (may be undefined)
+    * Reports a command error uniformly to the terminal and shows the prompt.
     *
-    * @returns {boolean} false for not ignore; true to ignore file / directory.
+    * @param {Error}    err - The parse, execution or cancellation error.
     */
-   ignoredSource(path, stats)
+   reportCommandError(err)
    {
-      let ignored = false;
-
-      // Attempt to retrieve fs.Stats; this may fail, but match against the path regardless.
-      try { stats = stats || fs.lstatSync(path); }
-      catch (err) { ignored = this.ignoredMatch(path, this.mainConfig); }
+      this.busyIndicator.clear();
 
-      // Match all files.
-      if (stats && stats.isFile()) { ignored = this.ignoredMatch(path, this.mainConfig); }
+      this.logOutput(`tjsdoc-plugin-watcher - ${err.message}`);
 
-      return ignored;
+      this.showPrompt();
    }
 
    /**
-    * Provides an `ignores` function consumable by chokidar `options.ignored`. `mainConfig.test._includes` and
-    * `mainConfig.test._excludes` is used to provide additional file filtering.
-    *
-    * @param {string}   path - file / directory path.
-    * @param {Object}   stats - fs.Stats instance (may be undefined)
+    * Logs a watch group initialization error with any advice for its error code and triggers
+    * `tjsdoc:system:watcher:error` with type `initialize`.
     *
-    * @returns {boolean} false for not ignore; true to ignore file / directory.
+    * @param {Error}    err - The initialization error.
     */
-   ignoredTest(path, stats)
+   reportInitializeError(err)
    {
-      let ignored = false;
+      const code = typeof err === 'object' && typeof err.code === 'string' ? err.code : void 0;
+      const message = typeof err === 'object' && err.message ? err.message : String(err);
 
-      // Attempt to retrieve fs.Stats; this may fail, but match against the path regardless.
-      try { stats = stats || fs.lstatSync(path); }
-      catch (err) { ignored = this.ignoredMatch(path, this.mainConfig.test); }
+      this.logWarn(`tjsdoc-plugin-watcher - watcher initialization error: ${message}`);
 
-      // Match all files.
-      if (stats && stats.isFile()) { ignored = this.ignoredMatch(path, this.mainConfig.test); }
+      if (s_ERROR_ADVICE[code])
+      {
+         this.logWarn(`tjsdoc-plugin-watcher - ${s_ERROR_ADVICE[code]}`);
+      }
 
-      return ignored;
+      this.eventbus.trigger('tjsdoc:system:watcher:error', { type: 'initialize', code, message,
+       path: typeof err === 'object' ? err.path : void 0, advice: s_ERROR_ADVICE[code], recovery: 'none' });
    }
 
    /**
-    * Performs setup and initialization of all chokidar watcher instances and the readline terminal.
+    * Resumes a paused watch group. Queued updates are coalesced per path and either replayed as a single batch with
+    * `replayed: true` or discarded. Triggers `tjsdoc:system:watcher:group:resumed`.
     *
-    * @param {TJSDocConfig} mainConfig - The TJSDoc config object.
+    * @param {string}   name - The watch group name.
+    *
+    * @param {boolean}  [replay] - If true queued updates are replayed; otherwise discarded; default: `pauseReplay`.
+    *
+    * @returns {boolean} True if the group was resumed; false if not paused.
     */
-   initialize(mainConfig)
+   resumeGroup(name, replay = this.pauseReplay)
    {
-      /**
-       * The target project TJSDocConfig object.
-       * @type {TJSDocConfig}
-       */
-      this.mainConfig = mainConfig;
+      if (typeof name !== 'string') { throw new TypeError(`'name' is not a 'string'.`); }
 
-      // Potentially obtain manual glob object hash from publisher module which lists manual files to watch under the
-      // entry 'all' and by section under `sections`.
-      {
-         const globs = this.eventProxy.triggerSync('tjsdoc:data:config:publisher:manual:globs:get');
+      const queued = this.pausedGroups[name];
 
-         // Set only if it is an object and has `all` and `sections` entries.
-         if (typeof globs === 'object' && globs.all && globs.sections) { this.manualGlobs = globs; }
-      }
+      if (!queued) { return false; }
 
-      this.eventProxy.on('tjsdoc:system:watcher:shutdown', this.shutdownCallback, this);
-      this.eventProxy.on('tjsdoc:system:watcher:watching:get', this.getWatching, this);
-      this.eventProxy.on('tjsdoc:system:watcher:terminal:log', this.log, this);
-      this.eventProxy.on('tjsdoc:system:watcher:terminal:log:verbose', this.logVerbose, this);
+      delete this.pausedGroups[name];
 
-      const watcherPromises = [];
+      // Coalesce queued updates keeping the last update per path; an add followed by a change remains an add and an
+      // add followed by an unlink is dropped.
+      const updates = new Map();
 
-      if (fs.existsSync(mainConfig.index))
+      for (const data of queued)
       {
-         this.log(`tjsdoc-plugin-watcher - watching index: ${mainConfig.index}`);
-
-         this.indexWatcher = new WatchGroup(this, mainConfig.index, 'index');
+         const previous = updates.get(data.path);
 
-         watcherPromises.push(this.indexWatcher.initialize(this.chokidarOptions));
+         if (previous && previous.action === 'file:add' && data.action === 'file:unlink')
+         {
+            updates.delete(data.path);
+         }
+         else
+         {
+            updates.set(data.path, previous && previous.action === 'file:add' && data.action === 'file:change' ?
+             previous : data);
+         }
       }
 
-      if (this.manualGlobs && this.manualGlobs.all.length > 0)
+      this.log(`tjsdoc-plugin-watcher - ${name} watch group resumed; ${replay ? 'replaying' : 'discarded'} ${
+       updates.size} queued update(s).`);
+
+      if (replay && updates.size > 0)
       {
-         this.log(`tjsdoc-plugin-watcher - watching manual globs: ${JSON.stringify(this.manualGlobs.all)}`);
+         // Flush any pending batch so that the replayed updates form a single batch.
+         this.updateBatcher.flush();
 
-         this.manualWatcher = new ManualWatchGroup(this, this.manualGlobs, 'manual');
+         for (const data of updates.values()) { this.emitUpdate(Object.assign(data, { replayed: true })); }
 
-         watcherPromises.push(this.manualWatcher.initialize(this.chokidarOptions));
+         this.updateBatcher.flush();
       }
 
-      if (mainConfig._sourceGlobs)
-      {
-         this.log(`tjsdoc-plugin-watcher - watching source globs: ${JSON.stringify(mainConfig._sourceGlobs)}`);
+      this.eventbus.trigger('tjsdoc:system:watcher:group:resumed', { name, queued: updates.size, replayed: replay });
 
-         this.sourceWatcher = new WatchGroup(this, mainConfig._sourceGlobs, 'source');
+      return true;
+   }
 
-         watcherPromises.push(this.sourceWatcher.initialize(this.chokidarOptions, this.ignoredSource.bind(this)));
-      }
+   /**
+    * Applies the source / test globs, includes and excludes of a new config to `mainConfig` and re-targets the
+    * existing watch groups. Glob changes are applied to the live chokidar instances and include / exclude changes
+    * restart the affected group. Entries absent from the new config retain their current resolved values.
+    *
+    * @param {object}   config - The new config.
+    *
+    * @returns {{source: {globs: boolean, filters: boolean}, test: {globs: boolean, filters: boolean}}}
+    */
+   retargetConfig(config)
+   {
+      const mainConfig = this.mainConfig;
 
-      if (mainConfig.test && mainConfig.test._sourceGlobs)
+      const source = s_RESOLVE_SECTION(config, mainConfig);
+
+      const changes =
       {
-         this.log(`tjsdoc-plugin-watcher - watching test globs: ${JSON.stringify(mainConfig.test._sourceGlobs)}`);
+         source: {
+            globs: JSON.stringify(source._sourceGlobs) !== JSON.stringify(mainConfig._sourceGlobs),
+            filters: s_REGEXES_STRING(source._includes) !== s_REGEXES_STRING(mainConfig._includes) ||
+             s_REGEXES_STRING(source._excludes) !== s_REGEXES_STRING(mainConfig._excludes)
+         },
+         test: { globs: false, filters: false }
+      };
 
-         this.testWatcher = new WatchGroup(this, mainConfig.test._sourceGlobs, 'test');
+      Object.assign(mainConfig, source);
 
-         watcherPromises.push(this.testWatcher.initialize(this.chokidarOptions, this.ignoredTest.bind(this)));
+      if (this.sourceWatcher)
+      {
+         const sourceWatcher = this.sourceWatcher;
+
+         sourceWatcher.setGlobs(mainConfig._sourceGlobs).then(() => changes.source.filters ?
+          sourceWatcher.restart() : void 0).catch((err) => this.watchError(sourceWatcher, err));
       }
 
-      Promise.all(watcherPromises).then((results) =>
+      if (typeof config.test === 'object')
       {
-         const watcherStartData = Object.assign(
-         {
-            source: { globs: [], files: {} },
-            test: { globs: [], files: {} },
-            index: { globs: [], files: {} },
-            manual: { globs: [], files: {} }
-         }, ...results);
+         // A new test section defaults to the includes of the main config as TJSDoc resolves the same default.
+         const currentTest = mainConfig.test || { _includes: mainConfig._includes };
+         const test = s_RESOLVE_SECTION(config.test, currentTest);
 
-         this.log(`tjsdoc-plugin-watcher - type 'help' for options.`);
+         changes.test.globs = JSON.stringify(test._sourceGlobs) !== JSON.stringify(currentTest._sourceGlobs);
+         changes.test.filters = s_REGEXES_STRING(test._includes) !== s_REGEXES_STRING(currentTest._includes) ||
+          s_REGEXES_STRING(test._excludes) !== s_REGEXES_STRING(currentTest._excludes);
 
-         this.eventbus.trigger('tjsdoc:system:watcher:started', watcherStartData);
-      });
+         mainConfig.test = Object.assign(currentTest, test);
 
-      if (watcherPromises.length > 0)
-      {
-         // If there is no terminal enabled hook into process SIGINT event. Otherwise set terminal readline loop
-         // waiting for the user to type in the commands: `exit`, `globs`, `help`, `trigger`, `regen`, `silent`,
-         // `status`, `verbose`, `watching`. The readline terminal will hook into SIGINT (`Ctrl-C`) & SIGHUP (`Ctrl-D`)
-         // events and will send the close event if activated.
-         if (!this.terminal)
+         if (this.testWatcher)
          {
-            process.on('SIGINT', this.processInterruptCallback.bind(this));
+            const testWatcher = this.testWatcher;
+
+            testWatcher.setGlobs(mainConfig.test._sourceGlobs).then(() => changes.test.filters ?
+             testWatcher.restart() : void 0).catch((err) => this.watchError(testWatcher, err));
          }
-         else
+         else if (Array.isArray(mainConfig.test._sourceGlobs))
          {
-            const rlConfig = !this.options.silent ?
-             { input: process.stdin, output: process.stdout, prompt: '[32mTJSDoc>[0m ' } : { input: process.stdin };
-
-            this.readline = readline.createInterface(rlConfig);
+            const testWatcher = new WatchGroup(this, mainConfig.test._sourceGlobs, 'test');
 
-            const showPrompt = () =>
-            {
-               if (!this.options.silent)
-               {
-                  this.promptVisible = true;
-                  this.readline.prompt();
-               }
-            };
+            this.testWatcher = testWatcher;
 
-            // Readline will catch Ctrl-C / Ctrl-D and emit the close event.
-            this.readline.on('close', () =>
+            testWatcher.initialize(this.chokidarOptions, this.ignoredTest.bind(this)).then((watchStartData) =>
             {
-               if (this.readline)
-               {
-                  this.readline = void 0;
-                  setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown'));
-               }
-            });
+               if (this.hashContent) { this.fileHashCache.primeWatched(watchStartData.test.files); }
 
-            this.readline.on('line', (line) =>
+               if (this.dependencyGraph) { this.dependencyGraph.primeWatched(watchStartData.test.files, 'test'); }
+            }, (err) =>
             {
-               this.promptVisible = false;
-
-               const lineSplit = line.trim().split(' ');
-
-               try
-               {
-                  const command = this.commands[lineSplit[0]];
-
-                  // Handle command if it is defined and has an `exec` function.
-                  if (typeof command === 'object' && typeof command.exec === 'function')
-                  {
-                     command.exec({ command, mainConfig, line, lineSplit, options: this.getOptions(), showPrompt });
-                     return;
-                  }
-               }
-               catch (err)
-               {
-                  this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - ${err.message}[0m`);
-
-                  showPrompt();
-
-                  return;
-               }
+               testWatcher.close();
 
-               // If the entered command is anything except empty (``) then post an unknown command message.
-               if (lineSplit[0] !== '')
-               {
-                  this.eventbus.trigger('log:info:raw',
-                   `[32mtjsdoc-plugin-watcher - unknown command (type 'help' for instructions)[0m`);
-               }
+               if (this.testWatcher === testWatcher) { this.testWatcher = void 0; }
 
-               showPrompt();
+               this.reportInitializeError(err);
             });
-
-            this.eventbus.trigger('tjsdoc:system:watcher:initialized', this.getGlobs());
          }
       }
-      else
+      else if (mainConfig.test)
       {
-         this.log('tjsdoc-plugin-watcher: no main source or tests to watch.');
+         changes.test.globs = true;
+
+         if (this.testWatcher)
+         {
+            this.testWatcher.close();
+            this.testWatcher = void 0;
+         }
+
+         delete mainConfig.test;
       }
+
+      return changes;
    }
 
    /**
-    * Initializes all built-in terminal commands:
+    * Runs a command line entered in the terminal; see `executeCommands`. Errors including unknown commands are reported
+    * by `reportCommandError`.
     *
-    * `exit`      - Shutdown watcher and exit TJSDoc execution.
-    * `globs`     - List the source and test globs being watched.
-    * `help`      - Log a listing of commands.
-    * `trigger`   - [on/off], turns on / off triggering watcher events.
-    * `regen`     - Regenerates all documentation.
-    * `silent`    - [on/off], turns on / off logging.
-    * `status`    - Logs current optional status.
-    * `verbose`   - [on/off], turns on / off verbose logging.
-    * `watching`  - Logs the files being watched.
+    * @param {string}   line - The command line.
+    *
+    * @returns {Promise<boolean>} Resolved true if all commands of the command line completed.
     */
-   initializeCommands()
+   runCommand(line)
    {
-      this.addCommand(
+      return this.executeCommands(line, () => this.showPrompt()).then((executed) =>
       {
-         name: 'exit',
-         description: 'shutdown watcher',
-         exec: () => setImmediate(() => this.readline.close())
-      });
+         // Nothing is executed for an empty command line.
+         if (!executed) { this.showPrompt(); }
 
-      this.addCommand(
+         return executed;
+      }, (err) =>
       {
-         name: 'globs',
-         description: 'list globs being watched',
-         exec: ({ mainConfig, showPrompt } = {}) =>
-         {
-            if (fs.existsSync(mainConfig.index))
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching index: ${mainConfig.index}`);
-            }
+         this.reportCommandError(err);
 
-            if (this.manualGlobs && this.manualGlobs.all.length > 0)
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching manual globs: ${
-                JSON.stringify(this.manualGlobs.all)}`);
-            }
+         return false;
+      });
+   }
 
-            if (mainConfig._sourceGlobs)
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching source globs: ${
-                JSON.stringify(mainConfig._sourceGlobs)}`);
-            }
+   /**
+    * Runs the startup command lines of plugin option `startupCommands` followed by those of the rc file in order. The
+    * rc file contains one command line per line; empty lines and lines starting with `#` are skipped. A failed command
+    * line is logged and the remaining command lines still run. Invoked on `tjsdoc:system:watcher:started`.
+    *
+    * @returns {Promise} Resolved once all startup command lines complete.
+    */
+   runStartupCommands()
+   {
+      const lines = Array.isArray(this.pluginOptions.startupCommands) ?
+       this.pluginOptions.startupCommands.filter((line) => typeof line === 'string') : [];
 
-            if (mainConfig.test && mainConfig.test._sourceGlobs)
+      if (this.rcFile && fs.existsSync(this.rcFile))
+      {
+         try
+         {
+            for (const line of fs.readFileSync(this.rcFile, 'utf8').split(/\r?\n/))
             {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching test globs: ${
-                JSON.stringify(mainConfig.test._sourceGlobs)}`);
+               if (line.trim() !== '' && !line.trim().startsWith('#')) { lines.push(line.trim()); }
             }
-
-            showPrompt();
          }
-      });
-
-      this.addCommand(
-      {
-         name: 'help',
-         description: 'this listing of commands',
-         exec: ({ showPrompt } = {}) =>
+         catch (err)
          {
-            this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - options:[0m`);
-
-            Object.keys(this.commands).sort().forEach((key) =>
-            {
-               const next = this.commands[key];
-               this.eventbus.trigger('log:info:raw',
-                `[32m  '${next.name}'${next.type === 'optional' ? ' [on/off], ' : ', '}${next.description}[0m`);
-            });
-
-            showPrompt();
+            this.logWarn(`tjsdoc-plugin-watcher - could not read rc file '${this.rcFile}': ${err.message}`);
          }
-      });
-
-      this.addCommand(
-      {
-         name: 'regen',
-         description: 'regenerate all documentation',
-         exec: () => setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown', { regenerate: true }))
-      });
+      }
 
-      this.addCommand(
+      return lines.reduce((promise, line) => promise.then(() =>
       {
-         name: 'silent',
-         description: 'turns on / off logging',
-         type: 'optional'
-      });
+         this.logVerbose(`tjsdoc-plugin-watcher - startup: ${line}`);
 
-      this.addCommand(
-      {
-         name: 'status',
-         description: 'logs current optional status',
-         exec: ({ showPrompt } = {}) =>
+         return this.executeCommands(line).catch((err) =>
          {
-            this.eventbus.trigger('log:info:raw', '[32mtjsdoc-plugin-watcher - status:[0m');
-
-            const keys = Object.keys(this.options);
-            keys.sort();
-
-            // Log current optional state.
-            for (const key of keys)
-            {
-               this.eventbus.trigger('log:info:raw', `[32m  ${key}: ${this.options[key]}[0m`);
-            }
+            this.logWarn(`tjsdoc-plugin-watcher - startup command '${line}' failed: ${err.message}`);
+         });
+      }), Promise.resolve());
+   }
 
-            this.eventbus.trigger('log:info:raw', '');
+   /**
+    * Sets the globs of the given watch group updating its backing config / definition and any active chokidar
+    * instance. The `index` group globs can not be modified.
+    *
+    * @param {string}   name - The watch group name.
+    * @param {string[]} globs - The new globs.
+    *
+    * @returns {Promise} A promise resolved once any active group watches the new globs.
+    */
+   setGroupGlobs(name, globs)
+   {
+      switch (name)
+      {
+         case 'index':
+            throw new Error(`'index' watch group globs can not be modified.`);
 
-            showPrompt();
-         }
-      });
+         case 'manual':
+            if (this.manualGlobs) { this.manualGlobs.all = globs; }
+            else { this.manualGlobs = { all: globs, sections: {} }; }
+            break;
 
-      this.addCommand(
-      {
-         name: 'trigger',
-         description: 'turns on / off triggering watcher events',
-         type: 'optional'
-      });
+         case 'source':
+            this.mainConfig._sourceGlobs = globs;
+            break;
 
-      this.addCommand(
-      {
-         name: 'verbose',
-         description: 'turns on / off verbose logging',
-         type: 'optional'
-      });
+         case 'test':
+            if (!this.mainConfig.test) { throw new Error(`'test' watch group is not configured.`); }
 
-      this.addCommand(
-      {
-         name: 'watching',
-         description: 'the files being watched',
-         exec: ({ showPrompt } = {}) =>
-         {
-            if (this.indexWatcher)
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching index files: ${
-                JSON.stringify(this.indexWatcher.getWatched())}[0m`);
-            }
+            this.mainConfig.test._sourceGlobs = globs;
+            break;
 
-            if (this.manualWatcher)
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching manual files: ${
-                JSON.stringify(this.manualWatcher.getWatched())}[0m`);
-            }
+         default:
+            if (!this.regenState.customGroupDefs[name]) { throw new Error(`unknown watch group: ${name}`); }
 
-            if (this.sourceWatcher)
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching source files: ${
-                JSON.stringify(this.sourceWatcher.getWatched())}[0m`);
-            }
+            this.regenState.customGroupDefs[name].globs = globs;
+            break;
+      }
 
-            if (this.testWatcher)
-            {
-               this.eventbus.trigger('log:info:raw', `[32mtjsdoc-plugin-watcher - watching test files: ${
-                JSON.stringify(this.testWatcher.getWatched())}[0m`);
-            }
+      const group = this.getWatchGroups()[name];
 
-            showPrompt();
-         }
-      });
+      return group ? group.setGlobs(globs) : Promise.resolve();
    }
 
    /**
-    * Outputs a log message if not `silent`. If the terminal prompt is visible then a new line is output first.
+    * Set optional parameters. Only registered options with a value valid for the option type are set; see
+    * `addCommand`. If a change occurs the 'tjsdoc:system:watcher:options:changed' event binding is triggered with the
+    * current options state.
     *
-    * @param {string}   message - The log message.
+    * @param {object} options - Defines optional parameters to set.
     */
-   log(message)
+   setOptions(options = {})
    {
-      if (!this.options.silent && this.options.trigger)
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+
+      let optionsChanged = false;
+
+      for (const key in options)
       {
-         if (this.promptVisible)
+         if (this.optionTypes[key] && CommandSpec.isValid(options[key], this.optionTypes[key]))
          {
-            console.log('');
-            this.promptVisible = false;
+            this.options[key] = options[key];
+            optionsChanged = true;
          }
+      }
 
-         this.eventbus.trigger('log:info:time', message);
+      if (optionsChanged)
+      {
+         this.eventbus.trigger('tjsdoc:system:watcher:options:changed', this.getOptions());
       }
    }
 
    /**
-    * Outputs a log message if not `silent` and `verbose` mode is enabled. If the terminal prompt is visible then a
-    * new line is output first.
+    * Sets the interactive terminal mode closing the terminal of the current mode. In `line` mode a readline loop
+    * executes entered command lines. In `hotkey` mode `process.stdin` is set to raw mode and single keypresses execute
+    * commands; see `handleKeypress`. In `dashboard` mode the full-screen Dashboard is shown above the line mode command
+    * input line and log output is only shown by the dashboard.
     *
-    * @param {string}   message - The log message.
+    * @param {string}   mode - The terminal mode; either `line`, `hotkey` or `dashboard`.
     */
-   logVerbose(message)
+   setTerminalMode(mode)
    {
-      if (this.options.verbose && !this.options.silent && this.options.trigger)
+      if (mode !== 'line' && mode !== 'hotkey' && mode !== 'dashboard')
       {
-         if (this.promptVisible)
+         throw new TypeError(`'mode' is not 'line', 'hotkey' or 'dashboard'.`);
+      }
+
+      if (mode === 'hotkey' && !process.stdin.isTTY) { throw new Error('hotkey mode requires an interactive TTY.'); }
+
+      if (mode === 'dashboard')
+      {
+         if (!process.stdin.isTTY || !process.stdout.isTTY)
          {
-            console.log('');
-            this.promptVisible = false;
+            throw new Error('dashboard mode requires an interactive TTY.');
          }
 
-         this.eventbus.trigger('log:info:time', message);
+         if (this.logSink.getFormat() === 'json')
+         {
+            throw new Error(`dashboard mode is not available in 'json' log format.`);
+         }
       }
-   }
 
-   /**
-    * Handles any SIGINT received by `process`.
-    */
-   processInterruptCallback()
-   {
-      if (this.promptVisible) { console.log(''); }
+      this.closeTerminal();
 
-      this.eventbus.trigger('log:warn:time', 'tjsdoc-plugin-watcher - received SIGINT; shutting down.');
+      this.terminalMode = mode;
 
-      setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown'));
-   }
+      if (mode === 'hotkey')
+      {
+         this.keypressListener = this.handleKeypress.bind(this);
 
-   /**
-    * Set optional parameters. If a change occurs the 'tjsdoc:system:watcher:options:changed' event binding is
-    * triggered with the current options state.
-    *
-    * @param {object} options - Defines optional parameters to set.
-    */
-   setOptions(options = {})
-   {
-      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+         readline.emitKeypressEvents(process.stdin);
 
-      let optionsChanged = false;
+         process.stdin.setRawMode(true);
+         process.stdin.on('keypress', this.keypressListener);
+         process.stdin.resume();
 
-      for (const key in options)
+         return;
+      }
+
+      // The dashboard always shows the command input line.
+      const rlConfig = !this.options.silent || mode === 'dashboard' ?
+       { input: process.stdin, output: process.stdout, prompt: this.logSink.getFormat() === 'color' ?
+        '[32mTJSDoc>[0m ' : 'TJSDoc> ' } : { input: process.stdin };
+
+      rlConfig.completer = (line) => this.completeLine(line);
+      rlConfig.historySize = 500;
+
+      const rl = readline.createInterface(rlConfig);
+
+      this.readline = rl;
+
+      // Readline history is ordered newest first.
+      if (this.commandHistory) { rl.history = this.commandHistory.getLines().slice().reverse(); }
+
+      // Ctrl-C cancels any running async command otherwise the terminal is closed.
+      rl.on('SIGINT', () =>
+      {
+         if (!this.cancelCommand()) { rl.close(); }
+      });
+
+      // Readline will catch Ctrl-C / Ctrl-D and emit the close event. When the terminal is closed by switching modes or
+      // shutdown `this.readline` is already unset.
+      rl.on('close', () =>
       {
-         if (typeof this.options[key] === 'boolean' && typeof options[key] === 'boolean')
+         if (this.readline === rl)
          {
-            this.options[key] = options[key];
-            optionsChanged = true;
+            this.readline = void 0;
+            setImmediate(() => this.eventbus.trigger('tjsdoc:system:watcher:shutdown'));
          }
+      });
+
+      rl.on('line', (line) =>
+      {
+         this.promptVisible = false;
+
+         if (this.commandHistory) { this.commandHistory.add(line); }
+
+         this.runCommand(line);
+      });
+
+      if (mode === 'dashboard')
+      {
+         this.logSink.setMuted(true);
+
+         this.dashboard = new Dashboard(this, process.stdout, this.logSink.getFormat() === 'color');
+         this.dashboard.start(rl);
       }
+   }
 
-      if (optionsChanged)
+   /**
+    * Shows the terminal prompt in line mode if not `silent` and no async command is running. In dashboard mode the
+    * dashboard is redrawn with the command input line.
+    */
+   showPrompt()
+   {
+      if (this.dashboard && !this.commandTask)
       {
-         this.eventbus.trigger('tjsdoc:system:watcher:options:changed', this.getOptions());
+         this.dashboard.render();
+         return;
+      }
+
+      if (this.readline && !this.options.silent && !this.commandTask)
+      {
+         this.promptVisible = true;
+         this.readline.prompt();
       }
    }
 
@@ -783,19 +3254,56 @@ class Watcher
 
       this.logVerbose(`tjsdoc-plugin-watcher - shutdown requested${regenerate ? ' with regeneration' : ''}.`);
 
+      // The regeneration duration is measured until the next initialization.
+      this.regenState.regenStartTime = regenerate ? Date.now() : void 0;
+
       this.promptVisible = false;
 
-      if (this.readline)
-      {
-         const rl = this.readline;
-         this.readLine = void 0;
-         rl.close();
-      }
+      this.running = false;
+
+      // Any running async command is cancelled.
+      this.cancelCommand();
+      this.busyIndicator.stop();
+
+      this.closeTerminal();
 
       // Removes any locally added event bindings.
       this.eventProxy.off();
 
-      process.removeListener('SIGINT', this.processInterruptCallback);
+      if (this.headlessOptions) { this.headlessStop(); }
+
+      // Queued updates of paused watch groups are discarded.
+      this.pausedGroups = {};
+
+      if (this.journalReplay)
+      {
+         this.journalReplay.stop();
+         this.journalReplay = void 0;
+      }
+
+      // Save the manifest of watched files before watch groups are closed; no files are watched in replay mode.
+      if (this.fileManifest && this.mainConfig && !this.replayOptions)
+      {
+         try
+         {
+            this.fileManifest.save(this.collectManifest());
+         }
+         catch (err)
+         {
+            this.logWarn(`tjsdoc-plugin-watcher - could not save manifest: ${err.message}`);
+         }
+      }
+
+      // Trigger any pending rename candidates and batched updates before watching stops.
+      if (this.renameDetector) { this.renameDetector.flush(); }
+
+      this.updateBatcher.flush();
+
+      this.fileHashCache.clear();
+
+      if (this.dependencyGraph) { this.dependencyGraph.clear(); }
+
+      process.removeListener('SIGINT', this.sigintListener);
 
       if (this.indexWatcher)
       {
@@ -821,14 +3329,98 @@ class Watcher
          this.sourceWatcher = void 0;
       }
 
+      if (this.configWatcher)
+      {
+         this.configWatcher.close();
+         this.configWatcher = void 0;
+      }
+
+      // Close custom groups; definitions are retained and reinitialized on regeneration.
+      for (const name in this.customGroups) { this.customGroups[name].close(); }
+
+      this.customGroups = {};
+
       this.eventbus.trigger('tjsdoc:system:watcher:stopped');
 
+      // The control server persists across regeneration; otherwise close it after `stopped` is streamed to clients.
+      if (!regenerate && this.regenState.controlServer)
+      {
+         this.regenState.controlServer.close();
+         this.regenState.controlServer = void 0;
+      }
+
+      // The live-reload server persists across regeneration so connected browsers reload with the new docs.
+      if (!regenerate && this.regenState.liveReloadServer)
+      {
+         this.regenState.liveReloadServer.close();
+         this.regenState.liveReloadServer = void 0;
+      }
+
       this.logVerbose('tjsdoc-plugin-watcher - watching stopped.');
 
+      const headlessRun = this.regenState.headlessRun;
+
+      if (headlessRun)
+      {
+         if (regenerate)
+         {
+            headlessRun.regens++;
+         }
+         else
+         {
+            const result =
+            {
+               reason: this.headlessReason || 'shutdown',
+               duration: Date.now() - headlessRun.startTime,
+               regens: headlessRun.regens,
+               errors: headlessRun.errors
+            };
+
+            headlessRun.eventbus.off('all', headlessRun.listener);
+            this.regenState.headlessRun = void 0;
+
+            this.log(`tjsdoc-plugin-watcher - headless run complete (${result.reason}); ${result.regens
+             } regeneration(s), ${result.errors} error(s).`);
+
+            this.eventbus.trigger('tjsdoc:system:watcher:headless:complete', result);
+
+            process.exitCode = result.errors > 0 ? 1 : 0;
+         }
+      }
+
+      // All state persisting across regeneration is cleared on a final shutdown.
+      if (!regenerate) { regenState = void 0; }
+
       // Either regenerate all docs or invoke the shutdown event.
       this.eventbus.trigger(regenerate ? 'tjsdoc:system:regenerate:all:docs' : 'tjsdoc:system:shutdown');
    }
 
+   /**
+    * Returns the registered command name closest to an unknown command name by edit distance or undefined if no
+    * command is close enough; at most 2 edits and less than the length of the name.
+    *
+    * @param {string}   name - The unknown command name.
+    *
+    * @returns {string}
+    */
+   suggestCommand(name)
+   {
+      let minDistance = Math.min(3, name.length), suggestion;
+
+      for (const commandName of [...Object.keys(this.commands), ...Object.keys(this.regenState.aliases)].sort())
+      {
+         const distance = s_EDIT_DISTANCE(name, commandName);
+
+         if (distance < minDistance)
+         {
+            suggestion = commandName;
+            minDistance = distance;
+         }
+      }
+
+      return suggestion;
+   }
+
    /**
     * Triggers any outbound events if not trigger.
     *
@@ -838,6 +3430,219 @@ class Watcher
    {
       if (this.options.trigger) { this.eventbus.trigger(...args); }
    }
+
+   /**
+    * Compares the previously saved manifest against the current manifest entries and triggers any changes which
+    * occurred while the watcher was not running. Depending on `offlineChanges` either a single
+    * `tjsdoc:system:watcher:offline:changes` event is triggered or individual synthetic updates.
+    *
+    * @param {object}   manifestFiles - The current manifest entries.
+    */
+   triggerOfflineChanges(manifestFiles)
+   {
+      const previous = this.fileManifest.load();
+
+      if (typeof previous !== 'object') { return; }
+
+      const changes = this.fileManifest.diff(previous, manifestFiles);
+
+      const count = changes.add.length + changes.change.length + changes.unlink.length;
+
+      if (count === 0) { return; }
+
+      this.log(`tjsdoc-plugin-watcher - offline changes: ${changes.add.length} added, ${changes.change.length
+       } changed, ${changes.unlink.length} unlinked.`);
+
+      if (this.offlineChanges === 'updates')
+      {
+         for (const action in changes)
+         {
+            for (const entry of changes[action])
+            {
+               const data = { action: `file:${action}`, type: entry.type, path: entry.path, offline: true,
+                options: this.getOptions() };
+
+               if (this.dependencyGraph && (entry.type === 'source' || entry.type === 'test'))
+               {
+                  data.affected = this.dependencyGraph.getAffected(entry.path);
+               }
+
+               this.emitUpdate(data);
+            }
+         }
+      }
+      else
+      {
+         this.triggerEvent('tjsdoc:system:watcher:offline:changes',
+          { count, add: changes.add, change: changes.change, unlink: changes.unlink, options: this.getOptions() });
+      }
+   }
+
+   /**
+    * Processes a single file update of a watch group and emits it with `emitUpdate`. When the dependency graph is
+    * enabled source and test updates maintain the import graph and include the affected files. When `hashContent` is enabled the content hash is tracked and
+    * change updates where the content did not change are suppressed. Add / unlink updates are held by the rename
+    * detector when enabled which emits them once paired or timed out.
+    *
+    * @param {object}   data - The update event data.
+    */
+   triggerUpdate(data)
+   {
+      if (this.dependencyGraph && (data.type === 'source' || data.type === 'test'))
+      {
+         // Affected files for an unlinked file are retrieved before it is removed from the graph.
+         if (data.action === 'file:unlink')
+         {
+            data.affected = this.dependencyGraph.getAffected(data.path);
+            this.dependencyGraph.remove(data.path);
+         }
+         else
+         {
+            this.dependencyGraph.update(data.path, data.type);
+            data.affected = this.dependencyGraph.getAffected(data.path);
+         }
+      }
+
+      if (this.hashContent)
+      {
+         switch (data.action)
+         {
+            case 'file:add':
+               this.fileHashCache.update(data.path);
+
+               if (this.renameDetector)
+               {
+                  this.renameDetector.add(data, this.fileHashCache.get(data.path));
+                  return;
+               }
+               break;
+
+            case 'file:change':
+               // Emit any held add / unlink updates first so that updates stay in order.
+               if (this.renameDetector) { this.renameDetector.flush(); }
+
+               if (!this.fileHashCache.update(data.path))
+               {
+                  this.suppressedCount++;
+
+                  this.logVerbose(`tjsdoc-plugin-watcher - ${data.type} change suppressed (content unchanged; ${
+                   this.suppressedCount} suppressed): ${data.path}`, { group: data.type, action: 'file:suppressed',
+                    path: data.path });
+
+                  return;
+               }
+               break;
+
+            case 'file:unlink':
+            {
+               const hash = this.fileHashCache.get(data.path);
+
+               this.fileHashCache.remove(data.path);
+
+               if (this.renameDetector)
+               {
+                  this.renameDetector.add(data, hash);
+                  return;
+               }
+               break;
+            }
+         }
+      }
+
+      this.emitUpdate(data);
+   }
+
+   /**
+    * Removes a glob at runtime from an active watch group.
+    *
+    * @param {string}   name - The watch group name.
+    * @param {string}   glob - The glob to unwatch.
+    *
+    * @returns {Promise} A promise resolved once the glob is unwatched.
+    */
+   unwatchGlob(name, glob)
+   {
+      if (!this.getWatchGroups()[name]) { throw new Error(`unknown or inactive watch group: ${name}`); }
+
+      const globs = this.getGroupGlobs(name);
+
+      if (!globs.includes(glob)) { throw new Error(`'${glob}' is not watched by the ${name} watch group.`); }
+
+      return this.setGroupGlobs(name, globs.filter((entry) => entry !== glob)).then(() =>
+       this.globsChanged(name, 'unwatch', glob));
+   }
+
+   /**
+    * Handles a runtime error from a watch group. The error is logged with any advice and triggered as
+    * `tjsdoc:system:watcher:error`. While running the watch group falls back to polling when the inotify watch limit
+    * (ENOSPC) or open file limit (EMFILE) is exhausted or is otherwise restarted up to `s_MAX_RESTARTS` times. Errors
+    * received while a watch group is recovering are ignored.
+    *
+    * @param {WatchGroup}  group - The watch group.
+    * @param {Error}       error - The error.
+    */
+   watchError(group, error)
+   {
+      if (group.isRecovering()) { return; }
+
+      const name = group.getType();
+      const code = typeof error === 'object' && typeof error.code === 'string' ? error.code : void 0;
+
+      const data =
+      {
+         type: name,
+         code,
+         message: typeof error === 'object' && error.message ? error.message : String(error),
+         path: typeof error === 'object' ? error.path : void 0,
+         advice: s_ERROR_ADVICE[code],
+         recovery: 'none'
+      };
+
+      if (this.running && this.getWatchGroups()[name] === group)
+      {
+         if ((code === 'ENOSPC' || code === 'EMFILE') && !group.isPolling())
+         {
+            data.recovery = 'polling';
+         }
+         else if (group.getRestarts() < s_MAX_RESTARTS)
+         {
+            data.recovery = 'restart';
+         }
+      }
+
+      this.logWarn(`tjsdoc-plugin-watcher - ${name} watcher error: ${data.message}`);
+
+      if (data.advice) { this.logWarn(`tjsdoc-plugin-watcher - ${data.advice}`); }
+
+      this.eventbus.trigger('tjsdoc:system:watcher:error', data);
+
+      if (data.recovery === 'none') { return; }
+
+      group.recover(data.recovery === 'polling').then(() =>
+      {
+         this.log(`tjsdoc-plugin-watcher - ${name} watcher ${data.recovery === 'polling' ?
+          'restarted with polling' : 'restarted'}.`);
+      }, (err) => this.watchError(group, err));
+   }
+
+   /**
+    * Adds a glob at runtime to an active watch group.
+    *
+    * @param {string}   name - The watch group name.
+    * @param {string}   glob - The glob to watch.
+    *
+    * @returns {Promise} A promise resolved once the glob is watched.
+    */
+   watchGlob(name, glob)
+   {
+      if (!this.getWatchGroups()[name]) { throw new Error(`unknown or inactive watch group: ${name}`); }
+
+      const globs = this.getGroupGlobs(name);
+
+      if (globs.includes(glob)) { throw new Error(`'${glob}' is already watched by the ${name} watch group.`); }
+
+      return this.setGroupGlobs(name, [...globs, glob]).then(() => this.globsChanged(name, 'watch', glob));
+   }
 }
 
 /**
@@ -0,0 +1,64 @@
+import fs              from 'fs-extra';
+import Util            from 'tjsdoc-test-utils';
+
+import CommandHistory  from '../../src/CommandHistory.js';
+
+import StubWatcherHost from '../util/StubWatcherHost.js';
+
+/**
+ * @test {CommandHistory}
+ */
+describe('CommandHistory', () =>
+{
+   after(() =>
+   {
+      fs.removeSync('./test/dest/history');
+   });
+
+   it('persists command lines across sessions', () =>
+   {
+      fs.emptyDirSync('./test/dest/history');
+
+      const commandHistory = new CommandHistory(new StubWatcherHost(), './test/dest/history/.tjsdoc-watcher-history', 3);
+
+      Util.assert.strictEqual(JSON.stringify(commandHistory.getLines()), '[]');
+
+      // Empty lines and consecutive duplicates are not recorded.
+      for (const line of ['status', 'status', ' ', 'pause source', 'resume source', 'why README.md'])
+      {
+         commandHistory.add(line);
+      }
+
+      Util.assert.strictEqual(JSON.stringify(commandHistory.getLines()), '["pause source","resume source","why README.md"]');
+
+      Util.assert.strictEqual(fs.readFileSync('./test/dest/history/.tjsdoc-watcher-history', 'utf8'),
+       'pause source\nresume source\nwhy README.md\n');
+
+      // A new session loads the most recent lines; oldest first.
+      const nextSession = new CommandHistory(new StubWatcherHost(), './test/dest/history/.tjsdoc-watcher-history', 2);
+
+      Util.assert.strictEqual(JSON.stringify(nextSession.getLines()), '["resume source","why README.md"]');
+   });
+
+   it('history is not persisted after a save failure', () =>
+   {
+      fs.emptyDirSync('./test/dest/history');
+
+      const host = new StubWatcherHost();
+
+      // The history file path is a directory.
+      const commandHistory = new CommandHistory(host, './test/dest/history');
+
+      commandHistory.add('status');
+      commandHistory.add('watching');
+
+      Util.assert.strictEqual(JSON.stringify(commandHistory.getLines()), '["status","watching"]');
+
+      // Loading fails then saving fails once after which saving is disabled.
+      Util.assert.strictEqual(host.warnings.length, 2);
+      Util.assert.include(host.warnings[0], 'could not load command history');
+      Util.assert.include(host.warnings[1], 'could not save command history; history not persisted');
+
+      Util.assert.throws(() => new CommandHistory(host), TypeError);
+   });
+});
@@ -0,0 +1,175 @@
+import Util         from 'tjsdoc-test-utils';
+
+import CommandSpec  from '../../src/CommandSpec.js';
+
+/**
+ * @test {CommandSpec}
+ */
+describe('CommandSpec', () =>
+{
+   it('tokenize - quotes and escapes', () =>
+   {
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.tokenize(`why "docs/my file.md" 'a b' c\\ d`)),
+       '["why","docs/my file.md","a b","c d"]');
+
+      // Backslashes only escape quotes, backslashes and spaces; regex patterns are retained.
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.tokenize(`ignore source \\.spec\\.js$ "a\\"b" c\\\\d`)),
+       '["ignore","source","\\\\.spec\\\\.js$","a\\"b","c\\\\d"]');
+
+      Util.assert.throws(() => CommandSpec.tokenize('why "docs'), /unterminated " quote/);
+
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.tokenizePartial('why "docs/my f')),
+       '{"tokens":["why","docs/my f"],"partial":"\\"docs/my f"}');
+
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.tokenizePartial('pause ')),
+       '{"tokens":["pause",""],"partial":""}');
+   });
+
+   it('split - chained command lines', () =>
+   {
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.split('verbose on; pause test')), '["verbose on"," pause test"]');
+
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.split(`alias quiet "silent on; verbose off"; why a\\;b`)),
+       `["alias quiet \\"silent on; verbose off\\""," why a\\\\;b"]`);
+
+      Util.assert.strictEqual(JSON.stringify(CommandSpec.split('status')), '["status"]');
+   });
+
+   it('parse - args, flags and types', () =>
+   {
+      const spec = new CommandSpec('history',
+      {
+         args: [
+            { name: 'n', type: 'number', optional: true, defaultValue: 20 },
+            { name: 'group', optional: true }
+         ],
+         flags: { format: { type: 'enum', values: ['text', 'json'], alias: 'f', defaultValue: 'text' }, all: { type: 'boolean' } }
+      });
+
+      Util.assert.strictEqual(spec.getUsage(), 'history [n] [group] [--format <text|json>] [--all]');
+
+      Util.assert.strictEqual(JSON.stringify(spec.parse([]).args), '{"n":20}');
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['5', 'source']).args), '{"n":5,"group":"source"}');
+
+      // The optional number argument is skipped when the token is not a number.
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['source']).args), '{"n":20,"group":"source"}');
+
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['--format=json', '--all']).flags), '{"format":"json","all":true}');
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['-f', 'json', '--no-all']).flags), '{"format":"json","all":false}');
+
+      Util.assert.throws(() => spec.parse(['--format', 'xml']),
+       `history command malformed; '--format' must be one of text|json; received 'xml'; must be 'history [n] [group] [--format <text|json>] [--all]'`);
+
+      Util.assert.throws(() => spec.parse(['--color']), /unknown flag '--color'/);
+      Util.assert.throws(() => spec.parse(['5', 'source', 'extra']), /unexpected argument 'extra'/);
+   });
+
+   it('parse - required, enum and rest args', () =>
+   {
+      const spec = new CommandSpec('resume',
+      {
+         args: [{ name: 'group' }, { name: 'queued', type: 'enum', values: ['replay', 'discard'], optional: true }]
+      });
+
+      Util.assert.strictEqual(spec.getUsage(), 'resume <group> [replay|discard]');
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['test', 'discard']).args), '{"group":"test","queued":"discard"}');
+
+      Util.assert.throws(() => spec.parse([]), `resume command malformed; missing <group>; must be 'resume <group> [replay|discard]'`);
+      Util.assert.throws(() => spec.parse(['test', 'keep']), /<queued> must be one of replay\|discard/);
+
+      const rest = new CommandSpec('touch', { args: [{ name: 'paths', rest: true }] });
+
+      Util.assert.strictEqual(rest.getUsage(), 'touch <paths...>');
+      Util.assert.strictEqual(JSON.stringify(rest.parse(['a', 'b c']).args), '{"paths":["a","b c"]}');
+
+      Util.assert.throws(() => new CommandSpec('bad', { args: [{ name: 'a', optional: true }, { name: 'b' }] }), TypeError);
+      Util.assert.throws(() => new CommandSpec('bad', { args: [{ name: 'a', type: 'enum' }] }), TypeError);
+   });
+
+   it('parse - pattern args and flag parsing end', () =>
+   {
+      const spec = new CommandSpec('ignore',
+      {
+         args: [{ name: 'group' }, { name: 'pattern', pattern: true }],
+         flags: { all: { type: 'boolean' } }
+      });
+
+      // A `-` prefixed pattern argument is not a flag.
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['source', '-spec\\.js$']).args),
+       '{"group":"source","pattern":"-spec\\\\.js$"}');
+
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['--all', 'source', '--all']).args),
+       '{"group":"source","pattern":"--all"}');
+
+      Util.assert.throws(() => spec.parse(['-source', 'spec']), /unknown flag '-source'/);
+
+      // `--` ends flag parsing.
+      Util.assert.strictEqual(JSON.stringify(spec.parse(['--', '-source', 'spec']).args),
+       '{"group":"-source","pattern":"spec"}');
+
+      Util.assert.throws(() => new CommandSpec('bad', { args: [{ name: 'a', type: 'number', pattern: true }] }), TypeError);
+   });
+
+   it('parse - subcommands', () =>
+   {
+      const addExec = () => {};
+
+      const spec = new CommandSpec('group',
+      {
+         subcommands:
+         {
+            add: { description: 'adds a group', args: [{ name: 'name' }, { name: 'globs', rest: true }], exec: addExec },
+            remove: { description: 'removes a group', args: [{ name: 'name' }] }
+         }
+      });
+
+      Util.assert.strictEqual(spec.getUsage(), 'group <add|remove>');
+
+      Util.assert.strictEqual(JSON.stringify(spec.getUsages()),
+       '[{"usage":"group add <name> <globs...>","description":"adds a group"},{"usage":"group remove <name>","description":"removes a group"}]');
+
+      const result = spec.parse(['add', 'docs', 'docs/**/*']);
+
+      Util.assert.strictEqual(result.subcommand, 'add');
+      Util.assert.strictEqual(result.exec, addExec);
+      Util.assert.strictEqual(JSON.stringify(result.args), '{"name":"docs","globs":["docs/**/*"]}');
+
+      Util.assert.throws(() => spec.parse(['rename']), /unknown subcommand 'rename'/);
+      Util.assert.throws(() => spec.parse(['remove']), `group remove command malformed; missing <name>; must be 'group remove <name>'`);
+   });
+
+   it('complete', () =>
+   {
+      const spec = new CommandSpec('unwatch',
+      {
+         args: [
+            { name: 'group', complete: () => ['source', 'test'] },
+            { name: 'glob', complete: (previous) => previous[0] === 'test' ? ['test/src/**/*'] : [] }
+         ],
+         flags: { verbose: { type: 'boolean' }, queued: { type: 'enum', values: ['replay', 'discard'] } }
+      });
+
+      Util.assert.strictEqual(JSON.stringify(spec.complete([''])), '["source","test"]');
+      Util.assert.strictEqual(JSON.stringify(spec.complete(['test', 't'])), '["test/src/**/*"]');
+      Util.assert.strictEqual(JSON.stringify(spec.complete(['--verbose', 'test', ''])), '["test/src/**/*"]');
+      Util.assert.strictEqual(JSON.stringify(spec.complete(['--queued', ''])), '["replay","discard"]');
+      Util.assert.strictEqual(JSON.stringify(spec.complete(['--'])), '["--verbose","--queued"]');
+      Util.assert.strictEqual(JSON.stringify(spec.complete(['test', 'glob', ''])), '[]');
+
+      const history = new CommandSpec('history',
+       { args: [{ name: 'n', type: 'number', optional: true }, { name: 'group', optional: true, complete: () => ['source'] }] });
+
+      Util.assert.strictEqual(JSON.stringify(history.complete([''])), '["source"]');
+   });
+
+   it('isValid', () =>
+   {
+      Util.assert.isTrue(CommandSpec.isValid(true, { type: 'boolean' }));
+      Util.assert.isFalse(CommandSpec.isValid('on', { type: 'boolean' }));
+      Util.assert.isTrue(CommandSpec.isValid(5, { type: 'number' }));
+      Util.assert.isFalse(CommandSpec.isValid(Number.NaN, { type: 'number' }));
+      Util.assert.isTrue(CommandSpec.isValid('slow', { type: 'enum', values: ['fast', 'slow'] }));
+      Util.assert.isFalse(CommandSpec.isValid('medium', { type: 'enum', values: ['fast', 'slow'] }));
+      Util.assert.isTrue(CommandSpec.isValid('text', {}));
+   });
+});
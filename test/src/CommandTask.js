@@ -0,0 +1,58 @@
+import Util         from 'tjsdoc-test-utils';
+
+import CommandTask  from '../../src/CommandTask.js';
+
+/**
+ * @test {CommandTask}
+ */
+describe('CommandTask', () =>
+{
+   it('run - settles with the command promise', () =>
+   {
+      const task = new CommandTask('replay');
+
+      return task.run(Promise.resolve('done')).then((result) =>
+      {
+         Util.assert.strictEqual(result, 'done');
+         Util.assert.isFalse(task.isCancelled());
+
+         return new CommandTask('replay').run(Promise.reject(new Error('no journal'))).then(() =>
+         {
+            throw new Error('run resolved');
+         }, (err) =>
+         {
+            Util.assert.strictEqual(err.message, 'no journal');
+         });
+      });
+   });
+
+   it('cancel - rejects before the command settles', () =>
+   {
+      const task = new CommandTask('replay');
+
+      let cancelled = 0;
+
+      task.onCancel(() => cancelled++);
+
+      const promise = task.run(new Promise(() => {}));
+
+      Util.assert.isTrue(task.cancel());
+      Util.assert.isFalse(task.cancel());
+      Util.assert.isTrue(task.isCancelled());
+      Util.assert.strictEqual(cancelled, 1);
+
+      // Listeners added after cancellation are invoked immediately.
+      task.onCancel(() => cancelled++);
+
+      Util.assert.strictEqual(cancelled, 2);
+
+      return promise.then(() =>
+      {
+         throw new Error('run resolved');
+      }, (err) =>
+      {
+         Util.assert.strictEqual(err.message, 'replay command cancelled.');
+         Util.assert.strictEqual(err.code, 'ECANCELED');
+      });
+   });
+});
@@ -0,0 +1,76 @@
+import fs            from 'fs-extra';
+import Util          from 'tjsdoc-test-utils';
+
+import ConfigWatcher from '../../src/ConfigWatcher.js';
+
+/**
+ * @test {ConfigWatcher}
+ */
+describe('ConfigWatcher', () =>
+{
+   after(() =>
+   {
+      fs.removeSync('./test/dest/config');
+   });
+
+   it('load - extended configs are deeply merged', () =>
+   {
+      fs.emptyDirSync('./test/dest/config');
+
+      fs.outputFileSync('./test/dest/config/base.json', JSON.stringify(
+       { source: ['lib'], destination: 'docs', test: { type: 'mocha', source: ['test/lib'], excludes: ['\\.md$'] } }));
+
+      fs.outputFileSync('./test/dest/config/.tjsdocrc', JSON.stringify(
+       { 'extends': './base.json', 'source': ['src'], 'test': { source: ['test/src'] } }));
+
+      const configWatcher = new ConfigWatcher('./test/dest/config/.tjsdocrc', () => {}, () => {});
+
+      const { config, files } = configWatcher.load();
+
+      Util.assert.strictEqual(JSON.stringify(config),
+       '{"source":["src"],"destination":"docs","test":{"type":"mocha","source":["test/src"],"excludes":["\\\\.md$"]}}');
+
+      Util.assert.strictEqual(files.length, 2);
+
+      fs.outputFileSync('./test/dest/config/base.json', JSON.stringify({ 'extends': './.tjsdocrc', 'source': ['lib'] }));
+
+      Util.assert.throws(() => configWatcher.load(), `circular 'extends'`);
+   });
+
+   it('reload - valid and invalid changes', (done) =>
+   {
+      fs.emptyDirSync('./test/dest/config');
+      fs.outputFileSync('./test/dest/config/.tjsdocrc', JSON.stringify({ source: ['src'] }));
+
+      const changes = [], errors = [];
+
+      const configWatcher = new ConfigWatcher('./test/dest/config/.tjsdocrc',
+       (config, previous) => changes.push([config, previous]), (err) => errors.push(err.message));
+
+      configWatcher.initialize().then(() =>
+      {
+         Util.assert.strictEqual(JSON.stringify(configWatcher.lastGoodConfig), '{"source":["src"]}');
+
+         setTimeout(() => fs.outputFileSync('./test/dest/config/.tjsdocrc', JSON.stringify({ includes: ['('] })), 250);
+
+         setTimeout(() =>
+         {
+            Util.assert.strictEqual(changes.length, 0);
+            Util.assert.strictEqual(JSON.stringify(errors), `["'source' is missing."]`);
+            Util.assert.strictEqual(JSON.stringify(configWatcher.lastGoodConfig), '{"source":["src"]}');
+
+            fs.outputFileSync('./test/dest/config/.tjsdocrc', JSON.stringify({ source: ['lib'] }));
+         }, 1000);
+
+         setTimeout(() =>
+         {
+            configWatcher.close();
+
+            Util.assert.strictEqual(JSON.stringify(changes), '[[{"source":["lib"]},{"source":["src"]}]]');
+            Util.assert.strictEqual(JSON.stringify(configWatcher.lastGoodConfig), '{"source":["lib"]}');
+
+            done();
+         }, 1750);
+      });
+   });
+});
@@ -0,0 +1,159 @@
+import http            from 'http';
+import Util            from 'tjsdoc-test-utils';
+
+import ControlServer   from '../../src/ControlServer.js';
+
+import StubWatcherHost from '../util/StubWatcherHost.js';
+
+/**
+ * Provides the stub `executeCommands` of the watcher host which outputs `<line> output` for the `status` command and
+ * rejects any other command.
+ *
+ * @param {string}   line - The command line.
+ * @param {function} showPrompt - Unused.
+ * @param {function} onOutput - Receives the command output.
+ *
+ * @returns {Promise<boolean>}
+ */
+const s_EXECUTE_COMMANDS = (line, showPrompt, onOutput) =>
+{
+   if (line !== 'status') { return Promise.reject(new Error(`unknown command '${line}'`)); }
+
+   return new Promise((resolve) =>
+   {
+      onOutput(`${line} output`);
+      setTimeout(() => resolve(true), 10);
+   });
+};
+
+/**
+ * Performs a request against the control server.
+ *
+ * @param {string}   serverURL - The server URL.
+ * @param {string}   method - The HTTP method.
+ * @param {string}   requestPath - The request path including any query.
+ * @param {object}   [headers] - Request headers.
+ * @param {string}   [body] - The request body.
+ *
+ * @returns {Promise<{status: number, data: object}>}
+ */
+const s_REQUEST = (serverURL, method, requestPath, headers = {}, body = void 0) => new Promise((resolve, reject) =>
+{
+   const request = http.request(`${serverURL}${requestPath}`, { method, headers }, (response) =>
+   {
+      let data = '';
+
+      response.on('data', (chunk) => { data += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, data: JSON.parse(data) }));
+   });
+
+   request.on('error', reject);
+   request.end(body);
+});
+
+/**
+ * @test {ControlServer}
+ */
+describe('ControlServer', () =>
+{
+   it('unauthorized requests', () =>
+   {
+      const controlServer = new ControlServer(new StubWatcherHost({ executeCommands: s_EXECUTE_COMMANDS }), { token: 'secret' });
+
+      return controlServer.initialize().then((serverURL) => Promise.all([
+         s_REQUEST(serverURL, 'GET', '/events'),
+         s_REQUEST(serverURL, 'GET', '/events?token=wrong'),
+         s_REQUEST(serverURL, 'POST', '/command', { Authorization: 'Bearer secreT' }, '{"command":"status"}')
+      ])).then((results) =>
+      {
+         for (const result of results)
+         {
+            Util.assert.strictEqual(result.status, 401);
+            Util.assert.strictEqual(JSON.stringify(result.data), '{"ok":false,"error":"unauthorized"}');
+         }
+
+         return controlServer.close();
+      });
+   });
+
+   it('POST /command - success and errors', () =>
+   {
+      const host = new StubWatcherHost({ executeCommands: s_EXECUTE_COMMANDS });
+      const controlServer = new ControlServer(host, { token: 'secret' });
+
+      const headers = { Authorization: 'Bearer secret' };
+
+      return controlServer.initialize().then((serverURL) =>
+      {
+         const status = s_REQUEST(serverURL, 'POST', '/command', headers, '{"command":"status"}');
+
+         // Output of other commands or the terminal is not captured.
+         host.eventbus.trigger('tjsdoc:system:watcher:log', { level: 'output', message: 'terminal output' });
+
+         return Promise.all([
+            status,
+            s_REQUEST(serverURL, 'POST', '/command', headers, '{"command":"stauts"}'),
+            s_REQUEST(serverURL, 'POST', '/command', headers, 'not json'),
+            s_REQUEST(serverURL, 'POST', '/command?token=secret', {}, '{}'),
+            s_REQUEST(serverURL, 'GET', '/command', headers)
+         ]);
+      }).then((results) =>
+      {
+         Util.assert.strictEqual(results[0].status, 200);
+         Util.assert.strictEqual(JSON.stringify(results[0].data), '{"ok":true,"output":["status output"]}');
+
+         Util.assert.strictEqual(results[1].status, 400);
+         Util.assert.strictEqual(JSON.stringify(results[1].data), `{"ok":false,"error":"unknown command 'stauts'"}`);
+
+         Util.assert.strictEqual(results[2].status, 400);
+         Util.assert.isFalse(results[2].data.ok);
+
+         Util.assert.strictEqual(results[3].status, 400);
+         Util.assert.strictEqual(results[3].data.error, `'command' is not a 'string'.`);
+
+         Util.assert.strictEqual(results[4].status, 404);
+
+         return controlServer.close();
+      });
+   });
+
+   it('GET /events - server sent events', (done) =>
+   {
+      const host = new StubWatcherHost({ executeCommands: s_EXECUTE_COMMANDS });
+      const controlServer = new ControlServer(host, { token: 'secret' });
+
+      controlServer.initialize().then((serverURL) =>
+      {
+         http.get(`${serverURL}/events?token=secret`, (response) =>
+         {
+            let data = '';
+
+            Util.assert.strictEqual(response.statusCode, 200);
+            Util.assert.strictEqual(response.headers['content-type'], 'text/event-stream');
+
+            response.on('data', (chunk) =>
+            {
+               data += chunk;
+
+               if (data === ': tjsdoc-plugin-watcher\n\n')
+               {
+                  // Only watcher events are streamed.
+                  host.eventbus.trigger('tjsdoc:system:shutdown');
+                  host.eventbus.trigger('tjsdoc:system:watcher:update', { action: 'file:add', path: 'src/a.js' });
+               }
+            });
+
+            response.on('end', () =>
+            {
+               Util.assert.strictEqual(data, ': tjsdoc-plugin-watcher\n\nevent: tjsdoc:system:watcher:update\n'
+                + 'data: {"event":"tjsdoc:system:watcher:update","data":{"action":"file:add","path":"src/a.js"}}\n\n');
+
+               done();
+            });
+
+            // Closing the server ends all event streams.
+            setTimeout(() => controlServer.close(), 100);
+         });
+      });
+   });
+});
@@ -0,0 +1,121 @@
+import { EventEmitter }  from 'events';
+import Util              from 'tjsdoc-test-utils';
+
+import Dashboard         from '../../src/Dashboard.js';
+
+import StubWatcherHost   from '../util/StubWatcherHost.js';
+
+/**
+ * Creates a stub watcher host with watch groups, a paused group and a completed regeneration.
+ *
+ * @returns {StubWatcherHost}
+ */
+const s_CREATE_HOST = () => new StubWatcherHost(
+{
+   getOptions: () => ({ silent: false, trigger: true, verbose: false }),
+   getWatchGroups: () => ({ source: { getStrategy: () => 'native' }, test: { getStrategy: () => 'polling' } }),
+   getWatching: () => (
+   {
+      index: { globs: ['./README.md'], files: { '': ['README.md'] } },
+      source: { globs: ['src/**/*'], files: { '': ['src'], 'src': ['a.js', 'b.js', 'sub'], 'src/sub': ['c.js'] } },
+      test: { globs: ['test/src/**/*'], files: {} }
+   }),
+   pausedGroups: { test: [{}, {}] },
+   commandTask: void 0,
+   regenState: { lastRegen: { duration: 1234, time: new Date().toISOString() } }
+});
+
+/**
+ * @test {Dashboard}
+ */
+describe('Dashboard', () =>
+{
+   it('getLines - groups, regeneration, errors, updates and messages', () =>
+   {
+      const host = s_CREATE_HOST();
+      const dashboard = new Dashboard(host, new EventEmitter(), false);
+
+      dashboard.handleEvent('tjsdoc:system:watcher:update', { type: 'source', action: 'file:change', path: 'src/a.js' });
+
+      dashboard.handleEvent('tjsdoc:system:watcher:update',
+       { type: 'source', action: 'file:rename', path: 'src/d.js', fromPath: 'src/b.js' });
+
+      dashboard.handleEvent('tjsdoc:system:watcher:log', { level: 'warn', timestamp: new Date().toISOString(),
+       message: 'tjsdoc-plugin-watcher - source watcher error: EMFILE' });
+
+      dashboard.handleEvent('tjsdoc:system:watcher:log', { level: 'output', timestamp: new Date().toISOString(),
+       message: 'tjsdoc-plugin-watcher - status:' });
+
+      // Update log entries are not listed as messages.
+      dashboard.handleEvent('tjsdoc:system:watcher:log', { level: 'verbose', timestamp: new Date().toISOString(),
+       message: 'tjsdoc-plugin-watcher - source changed: src/a.js', group: 'source', action: 'file:change' });
+
+      const lines = dashboard.getLines(24, 80).map((line) => line.replace(/\d\d:\d\d:\d\d/g, 'HH:MM:SS'));
+
+      Util.assert.strictEqual(lines.length, 23);
+      Util.assert.strictEqual(lines[0], 'TJSDoc watcher | trigger: on | verbose: off');
+      Util.assert.strictEqual(lines[3], '  index              1  inactive                 -');
+      Util.assert.strictEqual(lines[4], '  source             3  watching                 native');
+      Util.assert.strictEqual(lines[5], '  test               0  paused (2 queued)        polling');
+      Util.assert.strictEqual(lines[7], 'last regeneration: 1234 ms at HH:MM:SS');
+      Util.assert.strictEqual(lines[9], 'errors:');
+      Util.assert.strictEqual(lines[10], '  HH:MM:SS source watcher error: EMFILE');
+      Util.assert.strictEqual(lines[12], 'recent updates:');
+      Util.assert.strictEqual(lines[13], '  HH:MM:SS source file:rename src/b.js -> src/d.js');
+      Util.assert.strictEqual(lines[14], '  HH:MM:SS source file:change src/a.js');
+      Util.assert.strictEqual(lines[16], 'messages:');
+      Util.assert.strictEqual(lines[17], '  status:');
+      Util.assert.strictEqual(lines[18], '');
+   });
+
+   it('getLines - running command and small terminal', () =>
+   {
+      const host = s_CREATE_HOST();
+      const dashboard = new Dashboard(host, new EventEmitter(), false);
+
+      host.commandTask = { getName: () => 'replay' };
+
+      const lines = dashboard.getLines(4, 30);
+
+      Util.assert.strictEqual(lines.length, 3);
+      Util.assert.strictEqual(lines[0], 'TJSDoc watcher | trigger: on |');
+   });
+
+   it('start / stop - alternate screen and live refresh', (done) =>
+   {
+      const host = s_CREATE_HOST();
+      const output = new EventEmitter();
+
+      let prompts = 0, written = '';
+
+      output.rows = 24;
+      output.columns = 80;
+      output.write = (data) => { written += data; };
+
+      const dashboard = new Dashboard(host, output, true, 10);
+
+      dashboard.start({ prompt: () => prompts++ });
+
+      Util.assert.isTrue(dashboard.isRunning());
+      Util.assert.isTrue(written.startsWith('\u001b[?1049h'));
+      Util.assert.strictEqual(prompts, 1);
+
+      host.listeners[0]('tjsdoc:system:watcher:update', { type: 'test', action: 'file:add', path: 'test/src/a.js' });
+      host.listeners[0]('tjsdoc:system:watcher:options:changed', host.getOptions());
+
+      setTimeout(() =>
+      {
+         // Both events are drawn by a single redraw.
+         Util.assert.strictEqual(prompts, 2);
+         Util.assert.isTrue(written.includes('test file:add test/src/a.js'));
+
+         dashboard.stop();
+
+         Util.assert.isFalse(dashboard.isRunning());
+         Util.assert.isTrue(written.endsWith('\u001b[?1049l'));
+         Util.assert.strictEqual(host.listeners.length, 0);
+
+         done();
+      }, 50);
+   });
+});
@@ -0,0 +1,57 @@
+import fs                 from 'fs-extra';
+import path               from 'path';
+import Util               from 'tjsdoc-test-utils';
+
+import FileHashCache      from '../../src/FileHashCache.js';
+import FileManifest       from '../../src/FileManifest.js';
+import MemoryWatchBackend from '../../src/MemoryWatchBackend.js';
+
+/**
+ * @test {FileManifest}
+ */
+describe('FileManifest', () =>
+{
+   after(() =>
+   {
+      fs.removeSync('./test/dest/manifest');
+   });
+
+   it('offline add, change and unlink', () =>
+   {
+      fs.emptyDirSync('./test/dest/manifest');
+
+      const backend = new MemoryWatchBackend({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/c.js': 'c' });
+      const manifest = new FileManifest('./test/dest/manifest/manifest.json');
+
+      Util.assert.isUndefined(manifest.load());
+
+      manifest.save(manifest.collect({ source: { [path.resolve('src')]: ['a.js', 'b.js', 'c.js'] } },
+       new FileHashCache(backend), backend));
+
+      // Changes while the watcher is not running; `c.js` is saved with unchanged content.
+      backend.write('src/a.js', 'a changed');
+      backend.unlink('src/b.js');
+      backend.write('src/c.js', 'c');
+      backend.write('src/d.js', 'd');
+
+      const current = manifest.collect({ source: { [path.resolve('src')]: ['a.js', 'c.js', 'd.js'] } },
+       new FileHashCache(backend), backend);
+
+      Util.assert.strictEqual(JSON.stringify(Object.keys(current)), '["src/a.js","src/c.js","src/d.js"]');
+
+      Util.assert.strictEqual(JSON.stringify(manifest.diff(manifest.load(), current)),
+       '{"add":[{"type":"source","path":"src/d.js"}],"change":[{"type":"source","path":"src/a.js"}],'
+        + '"unlink":[{"type":"source","path":"src/b.js"}]}');
+   });
+
+   it('diff - mtime and size without content hashes', () =>
+   {
+      const manifest = new FileManifest('./test/dest/manifest/manifest.json');
+
+      const previous = { 'a.md': { type: 'manual', mtime: 1, size: 1 }, 'b.md': { type: 'manual', mtime: 1, size: 1 } };
+      const current = { 'a.md': { type: 'manual', mtime: 2, size: 1 }, 'b.md': { type: 'manual', mtime: 1, size: 1 } };
+
+      Util.assert.strictEqual(JSON.stringify(manifest.diff(previous, current)),
+       '{"add":[],"change":[{"type":"manual","path":"a.md"}],"unlink":[]}');
+   });
+});
@@ -0,0 +1,112 @@
+import fs               from 'fs-extra';
+import http             from 'http';
+import Util             from 'tjsdoc-test-utils';
+
+import LiveReloadServer from '../../src/LiveReloadServer.js';
+
+/**
+ * Performs a GET request returning the status, content type and body.
+ *
+ * @param {string}   serverURL - The server URL ending in `/`.
+ * @param {string}   requestPath - The raw request path without the leading `/`.
+ *
+ * @returns {Promise<{status: number, type: string, body: string}>}
+ */
+const s_GET = (serverURL, requestPath) => new Promise((resolve, reject) =>
+{
+   http.get(`${serverURL}${requestPath}`, (response) =>
+   {
+      let body = '';
+
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, type: response.headers['content-type'], body }));
+   }).on('error', reject);
+});
+
+/**
+ * @test {LiveReloadServer}
+ */
+describe('LiveReloadServer', () =>
+{
+   after(() =>
+   {
+      fs.removeSync('./test/dest/livereload');
+   });
+
+   it('static files, script injection, path traversal and malformed paths', () =>
+   {
+      fs.emptyDirSync('./test/dest/livereload');
+      fs.outputFileSync('./test/dest/livereload/secret.txt', 'secret');
+      fs.outputFileSync('./test/dest/livereload/docs/index.html', '<html><body>index</body></html>');
+      fs.outputFileSync('./test/dest/livereload/docs/style.css', 'body {}');
+
+      const server = new LiveReloadServer({ destination: './test/dest/livereload/docs', port: 0 });
+
+      return server.initialize().then((serverURL) => Promise.all([
+         s_GET(serverURL, ''),
+         s_GET(serverURL, 'style.css'),
+         s_GET(serverURL, '__livereload.js'),
+         s_GET(serverURL, 'missing.html'),
+         s_GET(serverURL, '..%2fsecret.txt'),
+         s_GET(serverURL, '%E0%A4%A')
+      ])).then((results) =>
+      {
+         Util.assert.strictEqual(results[0].status, 200);
+         Util.assert.strictEqual(results[0].type, 'text/html');
+         Util.assert.strictEqual(results[0].body,
+          '<html><body>index<script src="/__livereload.js"></script></body></html>');
+
+         Util.assert.strictEqual(results[1].type, 'text/css');
+         Util.assert.strictEqual(results[1].body, 'body {}');
+
+         Util.assert.strictEqual(results[2].type, 'application/javascript');
+         Util.assert.include(results[2].body, `new EventSource('/__livereload')`);
+
+         Util.assert.strictEqual(results[3].status, 404);
+         Util.assert.strictEqual(results[4].status, 403);
+         Util.assert.strictEqual(results[5].status, 400);
+
+         return server.close();
+      });
+   });
+
+   it('pushes css for stylesheet only changes and reload otherwise', (done) =>
+   {
+      fs.emptyDirSync('./test/dest/livereload/docs');
+
+      const reloads = [];
+
+      const server = new LiveReloadServer({ destination: './test/dest/livereload/docs', port: 0, delay: 50,
+       onReload: (type) => reloads.push(type) });
+
+      server.initialize().then((serverURL) =>
+      {
+         http.get(`${serverURL}__livereload`, (response) =>
+         {
+            let data = '';
+
+            response.on('data', (chunk) => { data += chunk; });
+
+            response.on('end', () =>
+            {
+               Util.assert.strictEqual(JSON.stringify(reloads), '["css","reload","reload"]');
+               Util.assert.strictEqual(data, ': tjsdoc-plugin-watcher\n\nevent: css\ndata: {}\n\n'
+                + 'event: reload\ndata: {}\n\nevent: reload\ndata: {}\n\n');
+
+               done();
+            });
+
+            setTimeout(() => fs.outputFileSync('./test/dest/livereload/docs/style.css', 'body {}'), 300);
+
+            setTimeout(() =>
+            {
+               fs.outputFileSync('./test/dest/livereload/docs/style.css', 'body { color: red; }');
+               fs.outputFileSync('./test/dest/livereload/docs/index.html', '<html></html>');
+            }, 600);
+
+            setTimeout(() => server.reload(), 900);
+            setTimeout(() => server.close(), 1000);
+         });
+      });
+   });
+});
@@ -0,0 +1,100 @@
+import fs              from 'fs-extra';
+import Util            from 'tjsdoc-test-utils';
+
+import LogFile         from '../../src/LogFile.js';
+import LogSink         from '../../src/LogSink.js';
+
+import StubWatcherHost from '../util/StubWatcherHost.js';
+
+/**
+ * Returns the events triggered on the stub watcher host for terminal output; `tjsdoc:system:watcher:log` is excluded.
+ *
+ * @param {StubWatcherHost}   host - The stub watcher host.
+ *
+ * @returns {Array[]}
+ */
+const s_OUTPUT_EVENTS = (host) => host.events.filter(([name]) => name !== 'tjsdoc:system:watcher:log');
+
+/**
+ * @test {LogSink}
+ */
+describe('LogSink', () =>
+{
+   after(() =>
+   {
+      fs.removeSync('./test/dest/log');
+   });
+
+   it('color format', () =>
+   {
+      const host = new StubWatcherHost();
+      const logSink = new LogSink(host, { format: 'color' });
+
+      logSink.write('info', 'watching index');
+      logSink.write('warn', 'watcher error');
+      logSink.write('output', 'status:');
+
+      Util.assert.strictEqual(JSON.stringify(s_OUTPUT_EVENTS(host)),
+       '[["log:info:time","watching index"],["log:warn:time","watcher error"],["log:info:raw","\\u001b[32mstatus:\\u001b[0m"]]');
+   });
+
+   it('plain format', () =>
+   {
+      const host = new StubWatcherHost();
+      const logSink = new LogSink(host, { format: 'plain' });
+
+      logSink.write('warn', 'watcher error');
+      logSink.write('output', 'status:');
+
+      const events = s_OUTPUT_EVENTS(host);
+
+      Util.assert.strictEqual(events[0][0], 'log:info:raw');
+      Util.assert.match(events[0][1], /^\d{4}-\d\d-\d\dT[\d:.]+Z \[warn\] watcher error$/);
+      Util.assert.strictEqual(events[1][1], 'status:');
+
+      Util.assert.throws(() => new LogSink(host, { format: 'xml' }), TypeError);
+   });
+
+   it('json format', () =>
+   {
+      const host = new StubWatcherHost();
+      const logSink = new LogSink(host, { format: 'json' });
+
+      logSink.write('verbose', 'source addition', { group: 'source', action: 'file:add', path: 'src/a.js' });
+      logSink.write('output', '');
+
+      const events = s_OUTPUT_EVENTS(host);
+
+      Util.assert.strictEqual(events.length, 1);
+
+      const entry = JSON.parse(events[0][1]);
+
+      Util.assert.isString(entry.timestamp);
+      delete entry.timestamp;
+
+      Util.assert.strictEqual(JSON.stringify(entry),
+       '{"level":"verbose","message":"source addition","group":"source","action":"file:add","path":"src/a.js"}');
+   });
+
+   it('rotating log file', () =>
+   {
+      fs.emptyDirSync('./test/dest/log');
+
+      const logFile = new LogFile('./test/dest/log/watcher.log', 40, 2);
+
+      for (let cntr = 0; cntr < 6; cntr++) { logFile.write(`line ${cntr} of the log file`); }
+
+      Util.assert.strictEqual(JSON.stringify(fs.readdirSync('./test/dest/log').sort()),
+       '["watcher.log","watcher.log.1","watcher.log.2"]');
+
+      Util.assert.strictEqual(fs.readFileSync('./test/dest/log/watcher.log', 'utf8'), 'line 5 of the log file\n');
+      Util.assert.strictEqual(fs.readFileSync('./test/dest/log/watcher.log.2', 'utf8'), 'line 3 of the log file\n');
+
+      const host = new StubWatcherHost();
+      const logSink = new LogSink(host, { format: 'json', file: './test/dest/log/watcher.json' });
+
+      logSink.write('info', 'watching index', { group: 'index' });
+
+      Util.assert.strictEqual(JSON.parse(fs.readFileSync('./test/dest/log/watcher.json', 'utf8')).group, 'index');
+   });
+});
@@ -0,0 +1,64 @@
+import Util               from 'tjsdoc-test-utils';
+
+import MemoryWatchBackend from '../../src/MemoryWatchBackend.js';
+
+/**
+ * @test {MemoryWatchBackend}
+ */
+describe('MemoryWatchBackend', () =>
+{
+   it('file access', () =>
+   {
+      const backend = new MemoryWatchBackend({ 'src/a.js': 'a' });
+
+      Util.assert.isTrue(backend.exists('src/a.js'));
+      Util.assert.isTrue(backend.exists('src'));
+      Util.assert.isFalse(backend.exists('src/b.js'));
+      Util.assert.isTrue(backend.stat('src/a.js').isFile());
+      Util.assert.isTrue(backend.lstat('src').isDirectory());
+      Util.assert.strictEqual(backend.readFile('src/a.js', 'utf8'), 'a');
+      Util.assert.throws(() => backend.stat('src/b.js'), /ENOENT/);
+
+      backend.rename('src/a.js', 'lib/a.js');
+
+      Util.assert.strictEqual(JSON.stringify(backend.getFiles()), '["lib/a.js"]');
+   });
+
+   it('write, unlink, rename - synchronous events', (done) =>
+   {
+      const backend = new MemoryWatchBackend({ 'src/a.js': 'a', 'src/a.md': 'a' });
+
+      const events = [];
+
+      const watcher = backend.watch(['src/**/*'], { ignored: (path, stats) => stats && stats.isFile() &&
+       !path.endsWith('.js') });
+
+      watcher.on('ready', () =>
+      {
+         watcher.on('add', (path) => events.push(`add:${path}`));
+         watcher.on('change', (path) => events.push(`change:${path}`));
+         watcher.on('unlink', (path) => events.push(`unlink:${path}`));
+
+         Util.assert.strictEqual(JSON.stringify(Object.keys(watcher.getWatched()).map((dir) =>
+          watcher.getWatched()[dir])), '[["a.js"]]');
+
+         backend.write('src/b.js', 'b');
+         backend.write('src/a.js', 'a2');
+         backend.write('src/b.md', 'ignored');
+         backend.write('lib/c.js', 'not watched');
+         backend.rename('src/b.js', 'src/sub/b.js');
+         backend.unlink('src/a.js');
+
+         Util.assert.strictEqual(JSON.stringify(events),
+          '["add:src/b.js","change:src/a.js","unlink:src/b.js","add:src/sub/b.js","unlink:src/a.js"]');
+
+         watcher.close();
+
+         backend.write('src/d.js', 'closed');
+
+         Util.assert.strictEqual(events.length, 5);
+
+         done();
+      });
+   });
+});
@@ -0,0 +1,57 @@
+import crypto          from 'crypto';
+import Util            from 'tjsdoc-test-utils';
+
+import RenameDetector  from '../../src/RenameDetector.js';
+
+import StubWatcherHost from '../util/StubWatcherHost.js';
+
+/**
+ * Returns the content hash of the given content.
+ *
+ * @param {string}   content - File content.
+ *
+ * @returns {string}
+ */
+const s_HASH = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+/**
+ * @test {RenameDetector}
+ */
+describe('RenameDetector', () =>
+{
+   it('held updates before a rename are emitted first', () =>
+   {
+      const host = new StubWatcherHost();
+      const renameDetector = new RenameDetector(host, 100);
+
+      renameDetector.add({ action: 'file:add', type: 'source', path: 'src/c.js' }, s_HASH('c'));
+      renameDetector.add({ action: 'file:unlink', type: 'source', path: 'src/c.js' }, s_HASH('c'));
+      renameDetector.add({ action: 'file:unlink', type: 'source', path: 'src/a.js' }, s_HASH('a'));
+      renameDetector.add({ action: 'file:add', type: 'test', path: 'test/a.js' }, s_HASH('a'));
+
+      Util.assert.strictEqual(JSON.stringify(host.emitted),
+       '["file:add:src/c.js","file:unlink:src/c.js","file:rename:src/a.js->test/a.js"]');
+   });
+
+   it('empty files are only paired with an unchanged file name', (done) =>
+   {
+      const host = new StubWatcherHost();
+      const renameDetector = new RenameDetector(host, 20);
+
+      renameDetector.add({ action: 'file:unlink', type: 'source', path: 'src/empty.js' }, s_HASH(''));
+      renameDetector.add({ action: 'file:add', type: 'test', path: 'test/empty.js' }, s_HASH(''));
+
+      renameDetector.add({ action: 'file:unlink', type: 'source', path: 'src/a.js' }, s_HASH(''));
+      renameDetector.add({ action: 'file:add', type: 'source', path: 'src/b.js' }, s_HASH(''));
+
+      Util.assert.strictEqual(JSON.stringify(host.emitted), '["file:rename:src/empty.js->test/empty.js"]');
+
+      setTimeout(() =>
+      {
+         Util.assert.strictEqual(JSON.stringify(host.emitted),
+          '["file:rename:src/empty.js->test/empty.js","file:unlink:src/a.js","file:add:src/b.js"]');
+
+         done();
+      }, 100);
+   });
+});
@@ -0,0 +1,133 @@
+import Util               from 'tjsdoc-test-utils';
+
+import MemoryWatchBackend from '../../src/MemoryWatchBackend.js';
+import WatchGroup         from '../../src/WatchGroup.js';
+import WatchStrategy      from '../../src/WatchStrategy.js';
+
+import StubWatcherHost    from '../util/StubWatcherHost.js';
+
+/**
+ * Provides a backend which records the options of all created watchers.
+ */
+class RecordingWatchBackend extends MemoryWatchBackend
+{
+   /**
+    * Records the watch options then creates the watcher.
+    *
+    * @param {string|string[]}   globs - The globs to watch.
+    * @param {object}            [options={}] - The watch options.
+    *
+    * @returns {MemoryWatcher}
+    */
+   watch(globs, options = {})
+   {
+      if (!Array.isArray(this.options)) { this.options = []; }
+
+      this.options.push(options);
+
+      return super.watch(globs, options);
+   }
+}
+
+/**
+ * Creates a stub watcher host for the backend and watch strategy settings.
+ *
+ * @param {object}         backend - The watch backend.
+ * @param {string|object}  strategy - The watch strategy settings.
+ *
+ * @returns {StubWatcherHost}
+ */
+const s_CREATE_HOST = (backend, strategy) =>
+{
+   const watchStrategy = new WatchStrategy(strategy);
+
+   return new StubWatcherHost({ getBackend: () => backend, getStrategy: () => watchStrategy });
+};
+
+/**
+ * @test {WatchGroup}
+ */
+describe('WatchGroup', () =>
+{
+   it('hybrid - duplicates from the other watcher are ignored; repeated saves are not', () =>
+   {
+      const backend = new RecordingWatchBackend({ 'src/a.js': 'a' });
+      const host = s_CREATE_HOST(backend, 'hybrid');
+      const watchGroup = new WatchGroup(host, ['src/**/*'], 'source');
+
+      return watchGroup.initialize().then(() =>
+      {
+         Util.assert.strictEqual(JSON.stringify(backend.options.map((options) => options.usePolling)), '[false,true]');
+
+         // Both watchers report each write.
+         backend.write('src/a.js', 'b');
+         backend.write('src/a.js', 'c');
+         backend.write('src/b.js', 'b');
+
+         // An event only reported by the polling watcher; the late native duplicate is ignored.
+         watchGroup.handleEvent('file:change', 'src/c.js', 'poll');
+         watchGroup.handleEvent('file:change', 'src/c.js', 'native');
+
+         Util.assert.strictEqual(JSON.stringify(host.updates),
+          '["file:change:src/a.js","file:change:src/a.js","file:add:src/b.js","file:change:src/c.js"]');
+
+         watchGroup.close();
+      });
+   });
+
+   it('polling and auto', () =>
+   {
+      const backend = new RecordingWatchBackend({ 'src/a.js': 'a' });
+      const polling = new WatchGroup(s_CREATE_HOST(backend, { strategy: 'polling', interval: 50 }), ['src/**/*'],
+       'source');
+
+      const autoHost = s_CREATE_HOST(backend, 'auto');
+      const auto = new WatchGroup(autoHost, ['src/**/*'], 'test');
+
+      return Promise.all([polling.initialize(), auto.initialize()]).then((results) =>
+      {
+         Util.assert.strictEqual(JSON.stringify(results[0]), '{"source":{"globs":["src/**/*"],"files":{"src":["a.js"]}}}');
+
+         Util.assert.isTrue(polling.isPolling());
+         Util.assert.isFalse(auto.isPolling());
+         Util.assert.strictEqual(auto.getStrategy().toString(), 'auto -> native (native events received)');
+
+         // The probe watcher then the watchers of both groups.
+         Util.assert.strictEqual(JSON.stringify(backend.options.map((options) => options.usePolling)),
+          '[false,true,false]');
+
+         Util.assert.strictEqual(backend.options[1].interval, 50);
+
+         // Probe files of other groups are ignored.
+         auto.handleEvent('file:add', 'src/.tjsdoc-watcher-probe-0a1b2c3d');
+
+         Util.assert.strictEqual(JSON.stringify(autoHost.updates), '[]');
+
+         polling.close();
+         auto.close();
+      });
+   });
+
+   it('recover - fallback to polling', () =>
+   {
+      const backend = new RecordingWatchBackend({ 'src/a.js': 'a' });
+      const host = s_CREATE_HOST(backend, 'native');
+      const watchGroup = new WatchGroup(host, ['src/**/*'], 'source');
+
+      return watchGroup.initialize().then(() => watchGroup.recover(true)).then(() =>
+      {
+         Util.assert.strictEqual(JSON.stringify(backend.options.map((options) => options.usePolling)), '[false,true]');
+
+         Util.assert.isTrue(watchGroup.isPolling());
+         Util.assert.isFalse(watchGroup.isRecovering());
+         Util.assert.strictEqual(watchGroup.getRestarts(), 1);
+         Util.assert.strictEqual(watchGroup.getStrategy().toString(), 'native -> polling (100 ms; native watching failed)');
+
+         backend.write('src/a.js', 'b');
+
+         Util.assert.strictEqual(JSON.stringify(host.updates), '["file:change:src/a.js"]');
+
+         watchGroup.close();
+      });
+   });
+});
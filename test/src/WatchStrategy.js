@@ -0,0 +1,97 @@
+import Util               from 'tjsdoc-test-utils';
+
+import MemoryWatchBackend from '../../src/MemoryWatchBackend.js';
+import WatchStrategy      from '../../src/WatchStrategy.js';
+
+/**
+ * Provides a backend where no file events are emitted simulating a file system without native events.
+ */
+class SilentWatchBackend extends MemoryWatchBackend
+{
+   /**
+    * Ignores all file events.
+    */
+   notify() {}
+}
+
+/**
+ * @test {WatchStrategy}
+ */
+describe('WatchStrategy', () =>
+{
+   it('native, polling and hybrid chokidar options', () =>
+   {
+      Util.assert.throws(() => new WatchStrategy('inotify'), 'unknown watch strategy: inotify');
+
+      const native = new WatchStrategy();
+      const polling = new WatchStrategy({ strategy: 'polling', interval: 200 });
+      const hybrid = new WatchStrategy('hybrid');
+
+      Util.assert.strictEqual(JSON.stringify(native.getChokidarOptions({ depth: 1 })), '{"depth":1,"usePolling":false}');
+
+      Util.assert.strictEqual(JSON.stringify(polling.getChokidarOptions({ depth: 1 })),
+       '{"depth":1,"usePolling":true,"interval":200,"binaryInterval":300}');
+
+      Util.assert.strictEqual(JSON.stringify(hybrid.getChokidarOptions({})), '{"usePolling":false}');
+      Util.assert.strictEqual(JSON.stringify(hybrid.getPollingOptions({})),
+       '{"usePolling":true,"interval":100,"binaryInterval":300}');
+
+      Util.assert.strictEqual(hybrid.getDedupeWindow(), 800);
+
+      Util.assert.strictEqual(native.toString(), 'native');
+      Util.assert.strictEqual(polling.toString(), 'polling (200 ms)');
+      Util.assert.strictEqual(hybrid.toString(), 'hybrid (100 ms)');
+   });
+
+   it('auto - native events received', () =>
+   {
+      const backend = new MemoryWatchBackend({ 'src/index.js': '' });
+      const strategy = new WatchStrategy('auto');
+
+      Util.assert.strictEqual(strategy.toString(), 'auto -> probing');
+
+      return strategy.resolve([`${process.cwd()}/src`], backend).then((resolved) =>
+      {
+         Util.assert.strictEqual(resolved, 'native');
+         Util.assert.strictEqual(strategy.toString(), 'auto -> native (native events received)');
+
+         // The probe file is removed.
+         Util.assert.strictEqual(JSON.stringify(backend.getFiles()), '["src/index.js"]');
+      });
+   });
+
+   it('auto - no native events and no existing root', () =>
+   {
+      const strategy = new WatchStrategy({ strategy: 'auto', probeTimeout: 50 });
+      const missing = new WatchStrategy('auto');
+
+      return Promise.all([
+         strategy.resolve([`${process.cwd()}/src`], new SilentWatchBackend({ 'src/index.js': '' })),
+         missing.resolve([`${process.cwd()}/lib`], new MemoryWatchBackend())
+      ]).then((resolved) =>
+      {
+         Util.assert.strictEqual(JSON.stringify(resolved), '["polling","native"]');
+         Util.assert.strictEqual(strategy.toString(), 'auto -> polling (100 ms; no native events received)');
+         Util.assert.strictEqual(missing.toString(), 'auto -> native (no existing root to probe)');
+
+         // The probe runs once.
+         return strategy.resolve([`${process.cwd()}/src`], new MemoryWatchBackend({ 'src/index.js': '' }));
+      }).then((resolved) =>
+      {
+         Util.assert.strictEqual(resolved, 'polling');
+      });
+   });
+
+   it('fallback', () =>
+   {
+      const strategy = new WatchStrategy('native');
+
+      strategy.fallback('native watching failed');
+
+      Util.assert.strictEqual(strategy.getResolved(), 'polling');
+      Util.assert.isTrue(strategy.getChokidarOptions({}).usePolling);
+      Util.assert.strictEqual(JSON.stringify(strategy.getStatus()),
+       '{"strategy":"native","resolved":"polling","interval":100,"binaryInterval":300,'
+        + '"reason":"native watching failed"}');
+   });
+});
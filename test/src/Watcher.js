@@ -1,8 +1,11 @@
 import fs            from 'fs-extra';
+import http          from 'http';
 import mainEventbus  from 'backbone-esnext-eventbus';
 import path          from 'path';
 import Util          from 'tjsdoc-test-utils';
 
+import MemoryWatchBackend from '../../src/MemoryWatchBackend.js';
+
 /**
  * `backbone-esnext-eventbus is remapped in `.babelrc` for dev-test NPM script to point to
  * `../../typhonjs-node-tjsdoc/tjsdoc/node_modules/backbone-esnext-eventbus/dist/eventbus.js` to link it to executing
@@ -31,10 +34,30 @@ const s_VERIFY_INIT_MANUAL = '["./test/fixture/ManualTest.md"]';
 const s_VERIFY_INIT_SOURCE = '["src/**/*","test/dest/main/**/*"]';
 const s_VERIFY_INIT_TEST = '["test/src/**/*","test/dest/test/**/*"]';
 
-const s_VERIFY_START_INDEX = '{"globs":"./README.md","files":{"":["README.md"]}}';
-const s_VERIFY_START_MANUAL = '{"globs":["./test/fixture/ManualTest.md"],"files":{"test/fixture":["ManualTest.md"]}}';
-const s_VERIFY_START_SOURCE = '{"globs":["src/**/*","test/dest/main/**/*"],"files":{"src":["ManualWatchGroup.js","WatchGroup.js","Watcher.js"]}}';
-const s_VERIFY_START_TEST = '{"globs":["test/src/**/*","test/dest/test/**/*"],"files":{"test/src":["Watcher.js"]}}';
+const s_VERIFY_START_INDEX = { globs: './README.md', files: { '': ['README.md'] } };
+const s_VERIFY_START_MANUAL = { globs: ['./test/fixture/ManualTest.md'], files: { 'test/fixture': ['ManualTest.md'] } };
+const s_VERIFY_START_SOURCE = { globs: ['src/**/*', 'test/dest/main/**/*'],
+ files: { src: ['ManualWatchGroup.js', 'WatchGroup.js', 'Watcher.js'] } };
+const s_VERIFY_START_TEST = { globs: ['test/src/**/*', 'test/dest/test/**/*'], files: { 'test/src': ['Watcher.js'] } };
+
+/**
+ * Verifies the globs of watched group data and that the expected files are watched. The files are checked by
+ * membership as source and test files are added to the repo over time.
+ *
+ * @param {object}   data - Watched group data; `{ globs, files }`.
+ * @param {object}   expected - Expected globs and files indexed by relative directory.
+ */
+const s_VERIFY_WATCHING = (data, expected) =>
+{
+   Util.assert.strictEqual(JSON.stringify(data.globs), JSON.stringify(expected.globs));
+
+   for (const dir in expected.files)
+   {
+      Util.assert.isArray(data.files[dir]);
+
+      for (const file of expected.files[dir]) { Util.assert.include(data.files[dir], file); }
+   }
+};
 
 /**
  * @test {Watcher}
@@ -219,21 +242,1138 @@ describe('tjsdoc-plugin-watcher', () =>
       Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
    });
 
-   it('Event bindings', (done) =>
+   it('Options (logFormat=json, verbose=true), add, change, delete', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      const verifyInfo =
+      {
+         sourceAdded: false,
+         testAdded: false,
+         sourceUnlinked: false,
+         testUnlinked: false,
+         logEvent: false
+      };
+
+      eventProxy.on('log:info:time', () => { throw new Error(`Received 'log:info:time' event in 'json' format.`); });
+
+      // Verifies that log entries are output as JSON lines carrying the update fields.
+      eventProxy.on('log:info:raw', (message) =>
+      {
+         // Skip any output of TJSDoc itself.
+         if (!message.startsWith('{"timestamp":')) { return; }
+
+         const entry = JSON.parse(message);
+
+         Util.assert.isString(entry.level);
+
+         if (entry.level !== 'verbose' || typeof entry.group !== 'string') { return; }
+
+         if (entry.group === 'source' && entry.action === 'file:add' && entry.path === 'test/dest/main/source.js')
+         {
+            verifyInfo.sourceAdded = true;
+         }
+
+         if (entry.group === 'test' && entry.action === 'file:add' && entry.path === 'test/dest/test/test.js')
+         {
+            verifyInfo.testAdded = true;
+         }
+
+         if (entry.group === 'source' && entry.action === 'file:unlink') { verifyInfo.sourceUnlinked = true; }
+         if (entry.group === 'test' && entry.action === 'file:unlink') { verifyInfo.testUnlinked = true; }
+      });
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         if (entry.message.startsWith(`tjsdoc-plugin-watcher - type 'help' for options.`)) { verifyInfo.logEvent = true; }
+      });
+
+      config.plugins = [{ name: './src/Watcher.js', options: { verbose: true, logFormat: 'json' } }];
+
+      s_PERFORM_INIT_TEST(eventProxy, true,
+       () => s_PERFORM_CHANGES(eventProxy, () => { eventProxy.trigger('tjsdoc:system:watcher:shutdown'); }));
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         for (const key in verifyInfo)
+         {
+            if (!verifyInfo[key])
+            {
+               throw new Error(`Did not receive all JSON log entries, verifyInfo: ${JSON.stringify(verifyInfo)}`);
+            }
+         }
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Batched update events', (done) =>
+   {
+      const batched = {};
+
+      eventProxy.on('tjsdoc:system:watcher:update:batch', (data) =>
+      {
+         Util.assert.isObject(data.types);
+         Util.assert.isArray(data.updates);
+         Util.assert.strictEqual(data.count, data.updates.length);
+
+         for (const update of data.updates) { batched[`${update.action}:${update.type}:${update.path}`] = true; }
+      });
+
+      s_PERFORM_INIT_TEST(eventProxy, true,
+       () => s_PERFORM_CHANGES(eventProxy, () => { eventProxy.trigger('tjsdoc:system:watcher:shutdown'); }));
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         // Pending updates are flushed on shutdown so all 8 updates from `s_PERFORM_CHANGES` are batched.
+         Util.assert.strictEqual(Object.keys(batched).length, 8);
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Content hash suppresses unchanged saves', (done) =>
    {
+      const changes = [];
+
       s_PERFORM_INIT_TEST(eventProxy, true, () =>
       {
-         const globs = eventProxy.triggerSync('tjsdoc:system:watcher:globs:get');
-         let options = eventProxy.triggerSync('tjsdoc:system:watcher:options:get');
-         const watching = eventProxy.triggerSync('tjsdoc:system:watcher:watching:get', { relative: true });
+         eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+         {
+            if (data.action === 'file:change') { changes.push(data.path); }
+         });
 
-         let currentOptions = {};
+         setTimeout(() => fs.outputFileSync('./test/dest/main/source.js', 'new'), 250);
+         setTimeout(() => fs.outputFileSync('./test/dest/main/source.js', 'new'), 500);
+         setTimeout(() => fs.outputFileSync('./test/dest/main/source.js', 'mod!'), 750);
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 1250);
+      });
 
-         eventProxy.on('tjsdoc:system:watcher:options:changed', (newOptions) => { currentOptions = newOptions; });
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(changes), '["test/dest/main/source.js"]');
 
-         Util.assert.strictEqual(JSON.stringify(globs), '{"index":["./README.md"],"manual":["./test/fixture/ManualTest.md"],"source":["src/**/*","test/dest/main/**/*"],"test":["test/src/**/*","test/dest/test/**/*"]}');
-         Util.assert.strictEqual(JSON.stringify(options), '{"silent":false,"trigger":true,"verbose":false}');
-         Util.assert.strictEqual(JSON.stringify(watching), '{"index":{"globs":["./README.md"],"files":{"":["README.md"]}},"manual":{"globs":["./test/fixture/ManualTest.md"],"files":{"test/fixture":["ManualTest.md"]}},"source":{"globs":["src/**/*","test/dest/main/**/*"],"files":{"src":["ManualWatchGroup.js","WatchGroup.js","Watcher.js"]}},"test":{"globs":["test/src/**/*","test/dest/test/**/*"],"files":{"test/src":["Watcher.js"]}}}');
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Rename detection across groups', (done) =>
+   {
+      let renameData;
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+         {
+            if (data.action === 'file:rename')
+            {
+               delete data.options;
+               renameData = data;
+            }
+         });
+
+         setTimeout(() => fs.outputFileSync('./test/dest/main/moved.js', 'moved content'), 250);
+         setTimeout(() => fs.moveSync('./test/dest/main/moved.js', './test/dest/test/moved.js'), 750);
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 1250);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(renameData), '{"action":"file:rename","type":"test","path":"test/dest/test/moved.js","fromPath":"test/dest/main/moved.js","fromType":"source"}');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Config change re-targets watch groups', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      fs.outputFileSync('./test/dest/config/.tjsdocrc', JSON.stringify(config));
+
+      config.plugins = [{ name: './src/Watcher.js',
+       options: { configFile: './test/dest/config/.tjsdocrc', configReload: 'retarget' } }];
+
+      const updates = [];
+
+      let changedData;
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         eventProxy.on('tjsdoc:system:watcher:update', (data) => updates.push(data.path));
+
+         eventProxy.on('tjsdoc:system:watcher:config:changed', (data) =>
+         {
+            changedData = data;
+
+            const globs = eventProxy.triggerSync('tjsdoc:system:watcher:globs:get');
+
+            Util.assert.strictEqual(JSON.stringify(globs.source), '["src/**/*"]');
+
+            // The removed source glob no longer produces updates.
+            setTimeout(() => fs.outputFileSync('./test/dest/main/retarget.js', 'retarget'), 250);
+            setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 750);
+         });
+
+         setTimeout(() => fs.outputFileSync('./test/dest/config/.tjsdocrc',
+          JSON.stringify(Object.assign({}, config, { source: ['src'] }))), 500);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         fs.removeSync('./test/dest/config');
+
+         Util.assert.strictEqual(changedData.action, 'retarget');
+         Util.assert.strictEqual(JSON.stringify(changedData.changes),
+          '{"source":{"globs":true,"filters":false},"test":{"globs":false,"filters":false}}');
+         Util.assert.strictEqual(JSON.stringify(updates), '[]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Config change adds a test watch group', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+      const testConfig = config.test;
+
+      delete config.test;
+
+      fs.outputFileSync('./test/dest/config/.tjsdocrc', JSON.stringify(config));
+      fs.outputFileSync('./test/dest/main/lib.js', 'export default 1;');
+      fs.outputFileSync('./test/dest/test/lib.test.js', `import lib from '../main/lib.js';`);
+
+      config.plugins = [{ name: './src/Watcher.js',
+       options: { configFile: './test/dest/config/.tjsdocrc', configReload: 'retarget', dependencyGraph: true } }];
+
+      const updates = [];
+
+      eventProxy.on('tjsdoc:system:watcher:started', () =>
+      {
+         eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+          updates.push(`${data.action}:${data.path}:${JSON.stringify(data.affected)}`));
+
+         eventProxy.on('tjsdoc:system:watcher:config:changed', () =>
+         {
+            const watching = eventProxy.triggerSync('tjsdoc:system:watcher:watching:get', { relative: true });
+
+            Util.assert.strictEqual(JSON.stringify(Object.keys(watching)), '["index","manual","source","test"]');
+
+            // The new test group is primed so its import is tracked and an unchanged save is suppressed.
+            setTimeout(() => fs.outputFileSync('./test/dest/main/lib.js', 'export default 2;'), 500);
+
+            setTimeout(() => fs.outputFileSync('./test/dest/test/lib.test.js', `import lib from '../main/lib.js';`),
+             750);
+
+            setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 1250);
+         });
+
+         setTimeout(() => fs.outputFileSync('./test/dest/config/.tjsdocrc',
+          JSON.stringify(Object.assign({}, config, { test: testConfig }))), 500);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         fs.removeSync('./test/dest/config');
+         fs.emptyDirSync('./test/dest/main');
+         fs.emptyDirSync('./test/dest/test');
+
+         Util.assert.strictEqual(JSON.stringify(updates),
+          JSON.stringify(['file:change:test/dest/main/lib.js:{"source":[],"test":["test/dest/test/lib.test.js"]}']));
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Runtime glob edits - watch, unwatch, ignore', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      // The regex backslashes of the `ignore` pattern are retained by the tokenizer.
+      config.plugins = [{ name: './src/Watcher.js', options: { startupCommands:
+       ['watch source test/dest/extra/**/*', 'unwatch test test/dest/test/**/*', 'ignore source \\bignored\\.js$'] } }];
+
+      fs.emptyDirSync('./test/dest/extra');
+
+      const edits = [], updates = [];
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         eventProxy.on('tjsdoc:system:watcher:globs:changed', (data) => edits.push(`${data.group}:${data.action}`));
+         eventProxy.on('tjsdoc:system:watcher:update', (data) => updates.push(`${data.type}:${data.path}`));
+
+         setTimeout(() =>
+         {
+            const globs = eventProxy.triggerSync('tjsdoc:system:watcher:globs:get');
+
+            Util.assert.strictEqual(JSON.stringify(globs.source), '["src/**/*","test/dest/main/**/*","test/dest/extra/**/*"]');
+            Util.assert.strictEqual(JSON.stringify(globs.test), '["test/src/**/*"]');
+
+            fs.outputFileSync('./test/dest/extra/extra.js', 'extra');
+            fs.outputFileSync('./test/dest/main/kept.js', 'kept');
+            fs.outputFileSync('./test/dest/main/ignored.js', 'ignored');
+            fs.outputFileSync('./test/dest/test/unwatched.js', 'unwatched');
+         }, 500);
+
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 1250);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         fs.removeSync('./test/dest/extra');
+
+         Util.assert.strictEqual(JSON.stringify(edits), '["source:watch","test:unwatch","source:ignore"]');
+         Util.assert.strictEqual(JSON.stringify(updates.sort()),
+          '["source:test/dest/extra/extra.js","source:test/dest/main/kept.js"]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Runtime glob edit failures are reported', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      /**
+       * Provides a backend where watching fails once `fail` is set.
+       */
+      class FailingBackend extends MemoryWatchBackend
+      {
+         /**
+          * Creates a watcher unless `fail` is set.
+          *
+          * @param {string|string[]}   globs - The globs to watch.
+          * @param {object}            options - The watch options.
+          *
+          * @returns {MemoryWatcher}
+          */
+         watch(globs, options)
+         {
+            if (this.fail) { throw new Error('watch failed'); }
+
+            return super.watch(globs, options);
+         }
+      }
+
+      const backend = new FailingBackend({ 'README.md': 'readme', 'src/Watcher.js': 'source' });
+
+      config.plugins = [{ name: './src/Watcher.js', options: { backend, startupCommands: ['ignore source ignored'] } }];
+
+      const edits = [], warnings = [];
+
+      eventProxy.on('tjsdoc:system:watcher:globs:changed', (data) => edits.push(`${data.group}:${data.action}`));
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         if (entry.level === 'warn') { warnings.push(entry.message); }
+      });
+
+      // The restart of the source group by the `ignore` startup command fails.
+      eventProxy.on('tjsdoc:system:watcher:started', () =>
+      {
+         backend.fail = true;
+
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 250);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(warnings),
+          `["tjsdoc-plugin-watcher - startup command 'ignore source ignored' failed: watch failed"]`);
+
+         // The failed edit is not recorded.
+         Util.assert.strictEqual(JSON.stringify(edits), '[]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Custom watch groups persist across regeneration', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      const backend = new MemoryWatchBackend({ 'README.md': 'readme', 'src/Watcher.js': 'source', 'extra/a.js': 'a' });
+
+      config.plugins = [{ name: './src/Watcher.js', options: { backend } }];
+
+      const groups = [];
+
+      let started = 0;
+
+      eventProxy.on('tjsdoc:system:watcher:started', () =>
+      {
+         if (++started === 1)
+         {
+            eventProxy.triggerSync('tjsdoc:system:watcher:group:add', { name: 'extra', globs: ['extra/**/*'] }).then(
+             () => eventProxy.trigger('tjsdoc:system:watcher:shutdown', { regenerate: true }));
+         }
+         else
+         {
+            const watching = eventProxy.triggerSync('tjsdoc:system:watcher:watching:get', { relative: true });
+
+            groups.push(...Object.keys(watching));
+
+            eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+         }
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         // The custom group registered before regeneration is reinitialized.
+         Util.assert.strictEqual(JSON.stringify(groups.sort()), '["extra","index","manual","source","test"]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Explain include / exclude decisions', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{ name: './src/Watcher.js', options: { startupCommands: ['why README.md'] } }];
+
+      const output = [];
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         if (entry.level === 'output') { output.push(entry.message); }
+      });
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         const source = eventProxy.triggerSync('tjsdoc:system:watcher:explain:get', './src/Watcher.js');
+
+         Util.assert.strictEqual(source.path, 'src/Watcher.js');
+         Util.assert.isTrue(source.watched);
+         Util.assert.strictEqual(source.message, 'src/Watcher.js is watched by: source');
+
+         const sourceGroup = source.groups.find((entry) => entry.group === 'source');
+
+         Util.assert.strictEqual(sourceGroup.glob, 'src/**/*');
+         Util.assert.strictEqual(sourceGroup.verdict, 'watched');
+
+         const none = eventProxy.triggerSync('tjsdoc:system:watcher:explain:get', 'lib/none.js');
+
+         Util.assert.isFalse(none.watched);
+         Util.assert.strictEqual(none.message, 'lib/none.js is not watched by any group');
+         Util.assert.isTrue(none.groups.every((entry) => entry.verdict === 'no glob matched'));
+
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 250);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.include(output, 'tjsdoc-plugin-watcher - README.md is watched by: index');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Custom watch group', (done) =>
+   {
+      let customData;
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+         {
+            if (data.type === 'fixture')
+            {
+               delete data.options;
+               customData = data;
+            }
+         });
+
+         const promise = eventProxy.triggerSync('tjsdoc:system:watcher:group:add',
+          { name: 'fixture', globs: ['test/dest/main/**/*'], includes: ['\\.md$'], decorator: (data) =>
+          {
+             data.custom = true;
+             return data;
+          } });
+
+         promise.then(() =>
+         {
+            const globs = eventProxy.triggerSync('tjsdoc:system:watcher:globs:get');
+            const watching = eventProxy.triggerSync('tjsdoc:system:watcher:watching:get', { relative: true });
+
+            Util.assert.strictEqual(JSON.stringify(globs.fixture), '["test/dest/main/**/*"]');
+            Util.assert.isObject(watching.fixture);
+
+            setTimeout(() => fs.outputFileSync('./test/dest/main/ignored.js', 'ignored'), 250);
+            setTimeout(() => fs.outputFileSync('./test/dest/main/custom.md', 'custom'), 500);
+            setTimeout(() =>
+            {
+               eventProxy.triggerSync('tjsdoc:system:watcher:group:remove', 'fixture');
+               eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+            }, 1000);
+         });
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(customData), '{"action":"file:add","type":"fixture","path":"test/dest/main/custom.md","custom":true}');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Pause and resume watch group', (done) =>
+   {
+      const updates = [];
+
+      let batchData;
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+         {
+            updates.push(`${data.type}:${data.action}:${data.replayed === true}`);
+         });
+
+         eventProxy.on('tjsdoc:system:watcher:update:batch', (data) => { batchData = data; });
+
+         eventProxy.triggerSync('tjsdoc:system:watcher:group:pause', 'test');
+
+         setTimeout(() =>
+         {
+            fs.outputFileSync('./test/dest/main/paused.js', 'paused');
+            fs.outputFileSync('./test/dest/test/paused.js', 'paused');
+         }, 250);
+
+         setTimeout(() =>
+         {
+            Util.assert.strictEqual(JSON.stringify(updates), '["source:file:add:false"]');
+
+            eventProxy.triggerSync('tjsdoc:system:watcher:group:resume', 'test', true);
+
+            Util.assert.strictEqual(batchData.count, 1);
+            Util.assert.strictEqual(batchData.updates[0].path, 'test/dest/test/paused.js');
+         }, 750);
+
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 1000);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(updates), '["source:file:add:false","test:file:add:true"]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Event history', (done) =>
+   {
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         setTimeout(() => fs.outputFileSync('./test/dest/main/history.js', 'history'), 250);
+
+         setTimeout(() =>
+         {
+            const history = eventProxy.triggerSync('tjsdoc:system:watcher:history:get', { group: 'source' });
+
+            Util.assert.isArray(history);
+            Util.assert.strictEqual(history.length, 1);
+            Util.assert.strictEqual(history[0].event, 'update');
+            Util.assert.isString(history[0].time);
+            Util.assert.strictEqual(history[0].data.path, 'test/dest/main/history.js');
+            Util.assert.isUndefined(history[0].data.options);
+
+            const all = eventProxy.triggerSync('tjsdoc:system:watcher:history:get', { count: 2 });
+
+            Util.assert.strictEqual(all.length, 2);
+
+            eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+         }, 750);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () => done());
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Memory backend - add, change, rename, manual section', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      const backend = new MemoryWatchBackend(
+      {
+         'README.md': 'readme',
+         'test/fixture/ManualTest.md': 'manual',
+         'src/Watcher.js': 'source',
+         'test/src/Watcher.js': 'test'
+      });
+
+      config.plugins = [{ name: './src/Watcher.js', options: { backend, manifest: false } }];
+
+      const updates = [];
+
+      eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+      {
+         updates.push(`${data.type}:${data.action}:${data.path}${data.section ? `:${data.section}` : ''}`);
+      });
+
+      eventProxy.on('tjsdoc:system:watcher:started', (data) =>
+      {
+         Util.assert.strictEqual(JSON.stringify(data.source.files.src), '["Watcher.js"]');
+         Util.assert.strictEqual(eventProxy.triggerSync('tjsdoc:system:watcher:backend:get'), backend);
+
+         backend.write('test/dest/main/memory.js', 'memory');
+         backend.write('test/dest/main/memory.js', 'memory changed');
+         backend.write('test/dest/main/memory.js', 'memory changed');
+         backend.rename('test/dest/main/memory.js', 'test/dest/test/memory.js');
+         backend.write('README.md', 'readme changed');
+         backend.write('test/fixture/ManualTest.md', 'manual changed');
+
+         eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         // Events are synchronous; the unchanged save is suppressed and the unlink / add pair is a rename.
+         Util.assert.strictEqual(JSON.stringify(updates), JSON.stringify([
+            'source:file:add:test/dest/main/memory.js',
+            'source:file:change:test/dest/main/memory.js',
+            'test:file:rename:test/dest/test/memory.js',
+            'index:file:change:README.md',
+            'manual:file:change:test/fixture/ManualTest.md:overview'
+         ]));
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Dependency graph - affected files', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      const backend = new MemoryWatchBackend(
+      {
+         'README.md': 'readme',
+         'src/Watcher.js': 'source',
+         'test/dest/main/lib.js': 'export default 1;',
+         'test/dest/main/app.js': `import lib from './lib.js';`,
+         'test/dest/test/app.test.js': `import app from '../main/app.js';`
+      });
+
+      config.plugins = [{ name: './src/Watcher.js', options: { backend, dependencyGraph: true } }];
+
+      const updates = [];
+
+      eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+       updates.push(`${data.action}:${data.path}:${JSON.stringify(data.affected)}`));
+
+      eventProxy.on('tjsdoc:system:watcher:started', () =>
+      {
+         backend.write('test/dest/main/lib.js', 'export default 2;');
+         backend.write('README.md', 'readme changed');
+
+         eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         // Affected files are the direct and transitive importers; only source / test updates include them.
+         Util.assert.strictEqual(JSON.stringify(updates), JSON.stringify([
+            'file:change:test/dest/main/lib.js:{"source":["test/dest/main/app.js"],"test":["test/dest/test/app.test.js"]}',
+            'file:change:README.md:undefined'
+         ]));
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Watch error recovery - polling fallback, restart and root directory removal', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      /**
+       * Records the created watchers and their options.
+       */
+      class RecordingBackend extends MemoryWatchBackend
+      {
+         /**
+          * Creates a watcher recording it.
+          *
+          * @param {string|string[]}   globs - The globs to watch.
+          * @param {object}            options - The watch options.
+          *
+          * @returns {MemoryWatcher}
+          */
+         watch(globs, options)
+         {
+            const watcher = super.watch(globs, options);
+
+            this.created.push({ globs, options, watcher });
+
+            return watcher;
+         }
+      }
+
+      const backend = new RecordingBackend({ 'README.md': 'readme', 'src/Watcher.js': 'source' });
+
+      backend.created = [];
+
+      config.plugins = [{ name: './src/Watcher.js', options: { backend } }];
+
+      const errors = [];
+
+      // Returns the most recent source watcher.
+      const sourceWatcher = () => backend.created.filter((entry) => JSON.stringify(entry.globs) ===
+       '["src/**/*","test/dest/main/**/*"]').pop();
+
+      const emitError = (code) =>
+      {
+         const error = new Error(`${code || 'unknown'} error`);
+
+         error.code = code;
+
+         sourceWatcher().watcher.emit('error', error);
+      };
+
+      eventProxy.on('tjsdoc:system:watcher:error', (data) => errors.push(`${data.type}:${data.code}:${data.recovery}`));
+
+      eventProxy.on('tjsdoc:system:watcher:started', () =>
+      {
+         Util.assert.isFalse(sourceWatcher().options.usePolling);
+
+         emitError('EMFILE');
+
+         setTimeout(() =>
+         {
+            // The watch group fell back to polling.
+            Util.assert.isTrue(sourceWatcher().options.usePolling);
+
+            emitError(void 0);
+         }, 50);
+
+         setTimeout(() => sourceWatcher().watcher.emit('unlinkDir', 'src'), 100);
+
+         setTimeout(() =>
+         {
+            // Restarts are exhausted.
+            emitError('EIO');
+
+            backend.write('src/recovered.js', 'recovered');
+         }, 150);
+
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 500);
+      });
+
+      const updates = [];
+
+      eventProxy.on('tjsdoc:system:watcher:update', (data) => updates.push(data.path));
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(errors),
+          '["source:EMFILE:polling","source:undefined:restart","source:ENOENT:restart","source:EIO:none"]');
+
+         // The restarted watcher still produces updates.
+         Util.assert.strictEqual(JSON.stringify(updates), '["src/recovered.js"]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Errors thrown by started listeners are reported', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{ name: './src/Watcher.js',
+       options: { backend: new MemoryWatchBackend({ 'README.md': 'readme', 'src/Watcher.js': 'source' }) } }];
+
+      const errors = [];
+      const warnings = [];
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         if (entry.level === 'warn') { warnings.push(entry.message); }
+      });
+
+      eventProxy.on('tjsdoc:system:watcher:error', (data) =>
+      {
+         errors.push(`${data.type}:${data.message}:${data.recovery}`);
+
+         setImmediate(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'));
+      });
+
+      eventProxy.on('tjsdoc:system:watcher:started', () => { throw new Error('listener failed'); });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(errors), '["started:listener failed:none"]');
+         Util.assert.include(warnings, 'tjsdoc-plugin-watcher - watcher started error: listener failed');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Control server event stream persists across regeneration', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{ name: './src/Watcher.js', options: { server: { token: 'secret' } } }];
+
+      const serverURLs = [];
+      const streamed = [];
+
+      let streamEnded = false;
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         const match = (/control server: (\S+)$/).exec(entry.message);
+
+         if (!match) { return; }
+
+         serverURLs.push(match[1]);
+
+         http.get(`${match[1]}/events?token=secret`, (response) =>
+         {
+            response.setEncoding('utf8');
+
+            response.on('data', (chunk) =>
+            {
+               for (const name of chunk.match(/^event: \S+$/gm) || []) { streamed.push(name.substring(7)); }
+
+               // Regenerate once the stream is connected then shutdown once the regenerated watcher has started.
+               if (streamed.length === 0)
+               {
+                  eventProxy.trigger('tjsdoc:system:watcher:shutdown', { regenerate: true });
+               }
+               else if (streamed[streamed.length - 1] === 'tjsdoc:system:watcher:started')
+               {
+                  eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+               }
+            });
+
+            response.on('end', () => { streamEnded = true; });
+         });
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         // The same server is used after regeneration and closes its event streams on shutdown.
+         Util.assert.strictEqual(serverURLs.length, 1);
+         Util.assert.include(streamed, 'tjsdoc:system:watcher:stopped');
+         Util.assert.isTrue(streamed.indexOf('tjsdoc:system:watcher:stopped')
+          < streamed.lastIndexOf('tjsdoc:system:watcher:started'));
+
+         setTimeout(() =>
+         {
+            Util.assert.isTrue(streamEnded);
+
+            done();
+         }, 100);
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Journal replay', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{ name: './src/Watcher.js',
+       options: { replay: { file: './test/fixture/journal.jsonl', speed: 0 }, manifest: false } }];
+
+      const updates = [];
+
+      eventProxy.on('tjsdoc:system:watcher:update', (data) =>
+      {
+         Util.assert.isTrue(data.journal);
+         Util.assert.isObject(data.options);
+
+         updates.push(`${data.type}:${data.action}:${data.path}`);
+      });
+
+      eventProxy.on('tjsdoc:system:watcher:replay:complete', (data) =>
+      {
+         Util.assert.strictEqual(data.count, 3);
+
+         eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(updates),
+          '["source:file:add:src/Replay.js","source:file:change:src/Replay.js","test:file:unlink:test/src/Replay.js"]');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Headless mode shuts down once updates settle', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{ name: './src/Watcher.js', options: { headless: { settle: 500 } } }];
+
+      let completeData;
+
+      s_PERFORM_INIT_TEST(eventProxy, false, () =>
+      {
+         setTimeout(() => fs.outputFileSync('./test/dest/main/headless.js', 'headless'), 250);
+      });
+
+      eventProxy.on('tjsdoc:system:watcher:headless:complete', (data) => { completeData = data; });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.isObject(completeData);
+         Util.assert.strictEqual(completeData.reason, 'settled');
+         Util.assert.strictEqual(completeData.regens, 0);
+         Util.assert.strictEqual(process.exitCode, completeData.errors > 0 ? 1 : 0);
+
+         process.exitCode = 0;
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Command hotkeys', (done) =>
+   {
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         const exec = ({ showPrompt } = {}) => showPrompt();
+
+         // Built-in hotkeys and the line mode hotkey may not be rebound.
+         Util.assert.throws(() => eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'rebuild', description: 'rebuild', hotkey: 'r', exec }), `hotkey 'r' is already bound to 'regen'.`);
+
+         Util.assert.throws(() => eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'rebuild', description: 'rebuild', hotkey: 'l', exec }), `hotkey 'l' is reserved`);
+
+         Util.assert.throws(() => eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'rebuild', description: 'rebuild', hotkey: 'rb', exec }), `'command.hotkey' is not a single`);
+
+         eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'rebuild', description: 'rebuild', hotkey: 'b', exec });
+
+         // Replacing a command releases its previous hotkey.
+         eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'rebuild', description: 'rebuild', hotkey: 'x', exec });
+
+         eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'backup', description: 'backup', hotkey: 'b', exec });
+
+         eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () => done());
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Tab completion and command suggestions', (done) =>
+   {
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{ name: './src/Watcher.js', options: { startupCommands: ['stauts', 'qqqq'] } }];
+
+      const warnings = [];
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         if (entry.level === 'warn') { warnings.push(entry.message); }
+      });
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         const complete = (line) => eventProxy.triggerSync('tjsdoc:system:watcher:completions:get', line);
+
+         Util.assert.strictEqual(JSON.stringify(complete('wa')), '[["watch","watching"],"wa"]');
+         Util.assert.strictEqual(JSON.stringify(complete('pause s')), '[["source"],"s"]');
+
+         // Only the last of `;` chained command lines is completed.
+         Util.assert.strictEqual(JSON.stringify(complete('status; why src/Watche')), '[["src/Watcher.js"],"src/Watche"]');
+
+         Util.assert.strictEqual(JSON.stringify(complete('unknown ')), '[[],""]');
+
+         setTimeout(() => eventProxy.trigger('tjsdoc:system:watcher:shutdown'), 250);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(warnings), JSON.stringify([
+            `tjsdoc-plugin-watcher - startup command 'stauts' failed: unknown command 'stauts'; did you mean 'status'? (type 'help' for instructions)`,
+            `tjsdoc-plugin-watcher - startup command 'qqqq' failed: unknown command 'qqqq' (type 'help' for instructions)`
+         ]));
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Aliases, rc file and chained command errors', (done) =>
+   {
+      fs.emptyDirSync('./test/dest/rc');
+
+      // Comments and blank lines are skipped; rc file lines run after `startupCommands`.
+      fs.writeFileSync('./test/dest/rc/.tjsdoc-watcherrc', [
+         '# Startup commands',
+         'alias loud "verbose on; trigger off"',
+         '',
+         'alias loop1 loop2',
+         'alias loop2 loop1',
+         'alias',
+         'loud',
+         'loop1'
+      ].join('\n'));
+
+      const config = JSON.parse(fs.readFileSync('./.tjsdocrc').toString());
+
+      config.plugins = [{
+         name: './src/Watcher.js',
+         options: {
+            rcFile: './test/dest/rc/.tjsdoc-watcherrc',
+            startupCommands: [
+               // Unknown commands reject the whole chain before any command runs.
+               'silent on; stauts',
+
+               // Execution stops at the first failing command.
+               'alias status help',
+               'trigger off; unalias missing; trigger on'
+            ]
+         }
+      }];
+
+      const output = [];
+      const warnings = [];
+
+      eventProxy.on('tjsdoc:system:watcher:log', (entry) =>
+      {
+         if (entry.level === 'output') { output.push(entry.message); }
+         if (entry.level === 'warn') { warnings.push(entry.message); }
+      });
+
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         setTimeout(() =>
+         {
+            Util.assert.strictEqual(JSON.stringify(eventProxy.triggerSync('tjsdoc:system:watcher:options:get')),
+             '{"silent":false,"trigger":false,"verbose":true}');
+
+            eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+         }, 250);
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () =>
+      {
+         Util.assert.strictEqual(JSON.stringify(output), JSON.stringify([
+            'tjsdoc-plugin-watcher - aliases:',
+            '  loop1: loop2',
+            '  loop2: loop1',
+            '  loud: verbose on; trigger off'
+         ]));
+
+         Util.assert.strictEqual(JSON.stringify(warnings), JSON.stringify([
+            `tjsdoc-plugin-watcher - startup command 'silent on; stauts' failed: unknown command 'stauts'; did you mean 'status'? (type 'help' for instructions)`,
+            `tjsdoc-plugin-watcher - startup command 'alias status help' failed: 'status' is a command and can not be aliased.`,
+            `tjsdoc-plugin-watcher - startup command 'trigger off; unalias missing; trigger on' failed: unknown alias 'missing'.`,
+            `tjsdoc-plugin-watcher - startup command 'loop1' failed: alias 'loop1' expands recursively.`
+         ]));
+
+         fs.removeSync('./test/dest/rc');
+
+         done();
+      });
+
+      Util.invoke(s_DEV_TARGET, config, { modConfig: false, silent: false });
+   });
+
+   it('Typed option commands', (done) =>
+   {
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'speed', description: 'sets the speed', option: { type: 'enum', values: ['fast', 'slow'] } });
+
+         eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'delay', description: 'sets the delay', option: { type: 'number', defaultValue: 100 } });
+
+         Util.assert.throws(() => eventProxy.trigger('tjsdoc:system:watcher:command:add',
+          { name: 'mode', description: 'sets the mode', option: { type: 'enum' } }), TypeError);
+
+         let options = eventProxy.triggerSync('tjsdoc:system:watcher:options:get');
+         Util.assert.strictEqual(JSON.stringify(options),
+          '{"silent":false,"trigger":true,"verbose":false,"speed":"fast","delay":100}');
+
+         // Invalid values for the option type are ignored.
+         eventProxy.triggerSync('tjsdoc:system:watcher:options:set', { speed: 'medium', delay: '5' });
+         options = eventProxy.triggerSync('tjsdoc:system:watcher:options:get');
+         Util.assert.strictEqual(JSON.stringify(options),
+          '{"silent":false,"trigger":true,"verbose":false,"speed":"fast","delay":100}');
+
+         eventProxy.triggerSync('tjsdoc:system:watcher:options:set', { speed: 'slow', delay: 5 });
+         options = eventProxy.triggerSync('tjsdoc:system:watcher:options:get');
+         Util.assert.strictEqual(JSON.stringify(options),
+          '{"silent":false,"trigger":true,"verbose":false,"speed":"slow","delay":5}');
+
+         eventProxy.trigger('tjsdoc:system:watcher:shutdown');
+      });
+
+      eventProxy.on('tjsdoc:system:shutdown', () => done());
+
+      Util.invoke(s_DEV_TARGET, './.tjsdocrc', { modConfig: false, silent: false });
+   });
+
+   it('Event bindings', (done) =>
+   {
+      s_PERFORM_INIT_TEST(eventProxy, true, () =>
+      {
+         const globs = eventProxy.triggerSync('tjsdoc:system:watcher:globs:get');
+         let options = eventProxy.triggerSync('tjsdoc:system:watcher:options:get');
+         const watching = eventProxy.triggerSync('tjsdoc:system:watcher:watching:get', { relative: true });
+
+         let currentOptions = {};
+
+         eventProxy.on('tjsdoc:system:watcher:options:changed', (newOptions) => { currentOptions = newOptions; });
+
+         Util.assert.strictEqual(JSON.stringify(globs), '{"index":["./README.md"],"manual":["./test/fixture/ManualTest.md"],"source":["src/**/*","test/dest/main/**/*"],"test":["test/src/**/*","test/dest/test/**/*"]}');
+         Util.assert.strictEqual(JSON.stringify(options), '{"silent":false,"trigger":true,"verbose":false}');
+         Util.assert.strictEqual(JSON.stringify(Object.keys(watching)), '["index","manual","source","test"]');
+
+         s_VERIFY_WATCHING(watching.index, Object.assign({}, s_VERIFY_START_INDEX, { globs: ['./README.md'] }));
+         s_VERIFY_WATCHING(watching.manual, s_VERIFY_START_MANUAL);
+         s_VERIFY_WATCHING(watching.source, s_VERIFY_START_SOURCE);
+         s_VERIFY_WATCHING(watching.test, s_VERIFY_START_TEST);
 
          eventProxy.triggerSync('tjsdoc:system:watcher:options:set', { trigger: false });
          options = eventProxy.triggerSync('tjsdoc:system:watcher:options:get');
@@ -338,10 +1478,10 @@ const s_PERFORM_INIT_TEST = (eventProxy, testInit, doneCallback) =>
       }
 
       // Test separately as order of addition may be swapped.
-      Util.assert.strictEqual(JSON.stringify(data.index), s_VERIFY_START_INDEX);
-      Util.assert.strictEqual(JSON.stringify(data.manual), s_VERIFY_START_MANUAL);
-      Util.assert.strictEqual(JSON.stringify(data.source), s_VERIFY_START_SOURCE);
-      Util.assert.strictEqual(JSON.stringify(data.test), s_VERIFY_START_TEST);
+      s_VERIFY_WATCHING(data.index, s_VERIFY_START_INDEX);
+      s_VERIFY_WATCHING(data.manual, s_VERIFY_START_MANUAL);
+      s_VERIFY_WATCHING(data.source, s_VERIFY_START_SOURCE);
+      s_VERIFY_WATCHING(data.test, s_VERIFY_START_TEST);
 
       if (doneCallback) { doneCallback(); }
    });
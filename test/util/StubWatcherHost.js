@@ -0,0 +1,124 @@
+/**
+ * Provides a stub of the host Watcher for unit tests of the classes it creates. The eventbus supports `all` listeners
+ * and records triggered events. Updates, emitted updates and warnings are recorded. Members may be added or replaced
+ * by `overrides`; IE `new StubWatcherHost({ getBackend: () => backend })`.
+ */
+export default class StubWatcherHost
+{
+   /**
+    * Instantiate StubWatcherHost.
+    *
+    * @param {object}   [overrides] - Members which are added or replace the default members.
+    */
+   constructor(overrides = {})
+   {
+      /**
+       * The `all` listeners of the eventbus.
+       * @type {function[]}
+       */
+      this.listeners = [];
+
+      /**
+       * The triggered events as `[name, data]`.
+       * @type {Array[]}
+       */
+      this.events = [];
+
+      /**
+       * The updates emitted by `emitUpdate` as `action:path` or `action:fromPath->path` for renames.
+       * @type {string[]}
+       */
+      this.emitted = [];
+
+      /**
+       * The updates triggered by `triggerUpdate` as `action:path`.
+       * @type {string[]}
+       */
+      this.updates = [];
+
+      /**
+       * The messages logged by `logWarn`.
+       * @type {string[]}
+       */
+      this.warnings = [];
+
+      /**
+       * A stub eventbus where all listeners receive all events.
+       * @type {{on: function, off: function, trigger: function}}
+       */
+      this.eventbus =
+      {
+         on: (name, listener) => this.listeners.push(listener),
+
+         off: (name, listener) =>
+         {
+            const index = this.listeners.indexOf(listener);
+
+            if (index >= 0) { this.listeners.splice(index, 1); }
+         },
+
+         trigger: (name, ...args) =>
+         {
+            this.events.push([name, args[0]]);
+
+            for (const listener of this.listeners.slice()) { listener(name, ...args); }
+         }
+      };
+
+      Object.assign(this, overrides);
+   }
+
+   /**
+    * Records an emitted update.
+    *
+    * @param {object}   data - The update event data.
+    */
+   emitUpdate(data)
+   {
+      this.emitted.push(`${data.action}:${data.fromPath ? `${data.fromPath}->` : ''}${data.path}`);
+   }
+
+   /**
+    * Returns the optional parameter state.
+    *
+    * @returns {object}
+    */
+   getOptions()
+   {
+      return {};
+   }
+
+   /**
+    * Ignores verbose log messages.
+    */
+   logVerbose()
+   {
+   }
+
+   /**
+    * Records a warning.
+    *
+    * @param {string}   message - The warning.
+    */
+   logWarn(message)
+   {
+      this.warnings.push(message);
+   }
+
+   /**
+    * Records a triggered update.
+    *
+    * @param {object}   data - The update event data.
+    */
+   triggerUpdate(data)
+   {
+      this.updates.push(`${data.action}:${data.path}`);
+   }
+
+   /**
+    * Ignores watch errors.
+    */
+   watchError()
+   {
+   }
+}